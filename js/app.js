@@ -8,12 +8,52 @@ const AppState = {
     stacks: {},         // stackName -> { files: [], data, columns, dateRange, ... }
     selectedForStack: new Set(),  // Files currently selected for new stack
     templateWorkbook: null,  // Loaded template
+    templateMapping: null,   // Where the data goes in the template (see TemplateMapping)
+    templateMappingSource: 'default',
+    alignment: {},      // sourceName -> alignment method chosen in the time section
+    recipe: null,       // Loaded recipe, re-applied when matching files are uploaded
+    sessionId: `session-${Date.now()}`,  // IndexedDB key this page saves to
+    sessionSaveTimer: null,
+    workbookFiles: {},  // workbook name -> File, for loading more of its sheets (not kept in sessions)
+    graphedColumns: [],  // [{ name, col, isStack, label }] on the current graph, for the lag estimate
+    calculatedColumns: [],  // [{ title, expression, units }] worked out after alignment (see Formulas)
     processingFiles: false
 };
 
 // DOM Elements
 const elements = {};
 
+// Interval aggregations offered per column (see DataProcessing.aggregate)
+const AGGREGATION_LABELS = {
+    mean: 'Mean',
+    min: 'Minimum',
+    max: 'Maximum',
+    sum: 'Sum',
+    first: 'First value',
+    last: 'Last value',
+    count: 'Count of values',
+    median: 'Median',
+    std: 'Standard deviation'
+};
+
+// Column types (see DataProcessing.createCombinedDataset); measurements need no setting
+const COLUMN_TYPE_LABELS = {
+    '': 'Measurement',
+    counter: 'Counter / totaliser',
+    state: 'State / discrete (valve, run status, batch ID)'
+};
+
+// Outlier filter settings per column (see DataProcessing.filterSeries): key -> [label, placeholder]
+const FILTER_FIELDS = {
+    min: ['Valid minimum', 'No limit'],
+    max: ['Valid maximum', 'No limit'],
+    sentinels: ['Sentinel values', 'e.g. -9999, 9999'],
+    spikeWindow: ['Spike window (samples each side)', 'Off (e.g. 5)'],
+    spikeThreshold: ['Spike threshold (MADs)', '3'],
+    maxRate: ['Maximum change per minute', 'No limit'],
+    flatLine: ['Stuck if unchanged for', 'Off (e.g. 30min)']
+};
+
 /**
  * Initialize the application
  */
@@ -31,24 +71,69 @@ function init() {
     elements.graphColumns = document.getElementById('graph-columns');
     elements.generateGraphBtn = document.getElementById('generate-graph-btn');
     elements.graphContainer = document.getElementById('graph-container');
+    elements.lagReference = document.getElementById('lag-reference');
+    elements.lagColumn = document.getElementById('lag-column');
+    elements.lagMax = document.getElementById('lag-max');
+    elements.estimateLagBtn = document.getElementById('estimate-lag-btn');
+    elements.lagResult = document.getElementById('lag-result');
     elements.startDate = document.getElementById('start-date');
     elements.startTime = document.getElementById('start-time');
     elements.endDate = document.getElementById('end-date');
     elements.endTime = document.getElementById('end-time');
     elements.durationDays = document.getElementById('duration-days');
     elements.interval = document.getElementById('interval');
+    elements.rowSource = document.getElementById('row-source');
+    elements.eventInputs = document.getElementById('event-inputs');
+    elements.eventColumn = document.getElementById('event-column');
+    elements.eventColumnOptions = document.getElementById('event-column-options');
+    elements.eventBefore = document.getElementById('event-before');
+    elements.eventAfter = document.getElementById('event-after');
+    elements.outputTimezone = document.getElementById('output-timezone');
+    elements.indexMode = document.getElementById('index-mode');
+    elements.dstPolicyInputs = document.getElementById('dst-policy-inputs');
+    elements.dstRepeated = document.getElementById('dst-repeated');
+    elements.dstSkipped = document.getElementById('dst-skipped');
     elements.alignmentOptions = document.getElementById('alignment-options');
+    elements.binLabel = document.getElementById('bin-label');
+    elements.binClosed = document.getElementById('bin-closed');
     elements.createFileBtn = document.getElementById('create-file-btn');
+    elements.qualityOutput = document.getElementById('quality-output');
+    elements.outputFileName = document.getElementById('output-file-name');
+    elements.outputCounter = document.getElementById('output-counter');
+    elements.templateWriteMode = document.getElementById('template-write-mode');
+    elements.outputFormat = document.getElementById('output-format');
+    elements.templateOutputOptions = document.getElementById('template-output-options');
+    elements.csvOptions = document.getElementById('csv-options');
+    elements.csvDelimiter = document.getElementById('csv-delimiter');
+    elements.csvDecimal = document.getElementById('csv-decimal');
+    elements.csvDateFormat = document.getElementById('csv-date-format');
+    elements.jsonOptions = document.getElementById('json-options');
+    elements.jsonLayout = document.getElementById('json-layout');
     elements.progressContainer = document.getElementById('progress-container');
     elements.progressFill = document.getElementById('progress-fill');
     elements.progressText = document.getElementById('progress-text');
     elements.downloadContainer = document.getElementById('download-container');
     elements.downloadBtn = document.getElementById('download-btn');
+    elements.downloadSummary = document.getElementById('download-summary');
     elements.templateInput = document.getElementById('template-input');
     elements.templateStatus = document.getElementById('template-status');
+    elements.mappingSheet = document.getElementById('mapping-sheet');
+    elements.mappingDateColumn = document.getElementById('mapping-date-column');
+    elements.mappingHeaderCell = document.getElementById('mapping-header-cell');
+    elements.mappingDataStartCell = document.getElementById('mapping-data-start-cell');
+    elements.mappingUnitsRow = document.getElementById('mapping-units-row');
+    elements.mappingWriteUnits = document.getElementById('mapping-write-units');
+    elements.mappingSummary = document.getElementById('template-mapping-summary');
     elements.globalLoader = document.getElementById('global-loader');
     elements.globalLoaderFill = document.getElementById('global-loader-fill');
     elements.globalLoaderText = document.getElementById('global-loader-text');
+    elements.globalLoaderCancel = document.getElementById('global-loader-cancel');
+    elements.recipeInput = document.getElementById('recipe-input');
+    elements.recipeSaveBtn = document.getElementById('recipe-save-btn');
+    elements.recipeStatus = document.getElementById('recipe-status');
+    elements.sessionBanner = document.getElementById('session-banner');
+    elements.sessionBannerText = document.getElementById('session-banner-text');
+    elements.sessionManager = document.getElementById('session-manager');
     
     // Stacking elements
     elements.stackSection = document.getElementById('stack-section');
@@ -59,13 +144,34 @@ function init() {
     elements.stackInfo = document.getElementById('stack-info');
     elements.stackName = document.getElementById('stack-name');
     elements.overlapHandling = document.getElementById('overlap-handling');
+    elements.customUnits = document.getElementById('custom-units');
+    elements.calculatedList = document.getElementById('calculated-list');
+    elements.addCalculatedBtn = document.getElementById('add-calculated-btn');
+    elements.formulaOutput = document.getElementById('formula-output');
     elements.createStackBtn = document.getElementById('create-stack-btn');
 
     // Set up event listeners
     setupEventListeners();
     
+    // Fill timezone suggestions
+    const timezoneList = document.getElementById('timezone-options');
+    for (const zone of TimeUtils.getTimezoneNames()) {
+        const option = document.createElement('option');
+        option.value = zone;
+        timezoneList.appendChild(option);
+    }
+
+    // Fill unit suggestions
+    updateUnitOptions();
+
     // Set default dates
     setDefaultDates();
+
+    // Default template layout (the original Analysis template)
+    setTemplateMapping(TemplateMapping.normalize(), 'default');
+
+    // Offer to restore the last saved session
+    checkForSavedSessions();
 }
 
 /**
@@ -85,20 +191,71 @@ function setupEventListeners() {
 
     // Template upload
     elements.templateInput.addEventListener('change', handleTemplateSelect);
+    document.querySelectorAll('.mapping-input').forEach(input => {
+        input.addEventListener('change', handleTemplateMappingChange);
+    });
+
+    // Recipes
+    elements.recipeInput.addEventListener('change', handleRecipeSelect);
+    elements.recipeSaveBtn.addEventListener('click', saveRecipe);
+
+    // Session persistence - any settings change is saved shortly afterwards
+    document.addEventListener('change', scheduleSessionSave);
+    document.getElementById('session-restore-btn').addEventListener('click', () => {
+        restoreSession(elements.sessionBanner.dataset.sessionId);
+    });
+    document.getElementById('session-dismiss-btn').addEventListener('click', () => {
+        elements.sessionBanner.classList.add('hidden');
+    });
+    document.getElementById('session-manage-btn').addEventListener('click', () => {
+        elements.sessionManager.classList.toggle('hidden');
+        renderSessionManager();
+    });
 
     // Range mode toggle
     document.querySelectorAll('input[name="range-mode"]').forEach(radio => {
         radio.addEventListener('change', handleRangeModeChange);
     });
 
+    // Output timezone & DST handling
+    elements.outputTimezone.addEventListener('change', handleOutputTimezoneChange);
+    elements.indexMode.addEventListener('change', () => {
+        elements.dstPolicyInputs.classList.toggle('hidden', elements.indexMode.value !== 'wall-clock');
+    });
+
+    // Event-based output rows
+    elements.rowSource.addEventListener('change', () => {
+        elements.eventInputs.classList.toggle('hidden', elements.rowSource.value !== 'events');
+    });
+    elements.eventColumn.addEventListener('focus', updateEventColumnOptions);
+
+    // Unit conversions
+    elements.customUnits.addEventListener('change', handleCustomUnitsChange);
+
+    // Calculated columns
+    elements.addCalculatedBtn.addEventListener('click', () => {
+        AppState.calculatedColumns.push({ title: '', expression: '', units: '' });
+        renderCalculatedColumns();
+    });
+    elements.calculatedList.addEventListener('change', handleCalculatedColumnChange);
+    elements.calculatedList.addEventListener('click', (e) => {
+        const button = e.target.closest('.calc-remove');
+        if (!button) return;
+        AppState.calculatedColumns.splice(parseInt(button.dataset.index, 10), 1);
+        renderCalculatedColumns();
+        scheduleSessionSave();
+    });
+
     // Graphing
     elements.generateGraphBtn.addEventListener('click', generateGraph);
+    elements.estimateLagBtn.addEventListener('click', estimateLag);
 
     // Create file button
+    elements.outputFormat.addEventListener('change', updateOutputFormatOptions);
     elements.createFileBtn.addEventListener('click', createCombinedFile);
     
     // Stacking
-    elements.createStackBtn.addEventListener('click', createStack);
+    elements.createStackBtn.addEventListener('click', () => createStack());
     elements.stackName.addEventListener('input', updateCreateStackButton);
 }
 
@@ -115,16 +272,87 @@ function setDefaultDates() {
 }
 
 /**
- * Format date for input[type="date"]
+ * Format date for input[type="date"] (uses the Date's local fields)
  */
 function formatDateForInput(date) {
-    return date.toISOString().split('T')[0];
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Get the output timezone setting, falling back to browser local time if invalid
+ */
+function getOutputTimezone() {
+    const value = elements.outputTimezone.value.trim() || 'local';
+    return TimeUtils.isValidTimezone(value) ? value : 'local';
+}
+
+/**
+ * Read a date + time input pair as an instant in the output timezone
+ */
+function readDateTimeInputs(dateInput, timeInput) {
+    const fields = TimeUtils.parseInputFields(dateInput.value, timeInput.value);
+    if (!fields) return new Date(NaN);
+    return new Date(TimeUtils.wallClockToEpoch(fields, getOutputTimezone()));
+}
+
+function handleOutputTimezoneChange() {
+    const value = elements.outputTimezone.value.trim();
+    const valid = TimeUtils.isValidTimezone(value);
+    elements.outputTimezone.classList.toggle('input-error', !valid);
+    if (!valid) {
+        showStatus(`Unknown timezone "${value}". Use local, UTC, an offset like +05:30, or a name like Europe/Berlin.`, 'error');
+    }
+}
+
+/**
+ * Offer the selected columns as the column whose timestamps become the output rows
+ */
+function updateEventColumnOptions() {
+    const stackedFiles = getStackedFiles();
+    const sources = [
+        ...Object.values(AppState.stacks),
+        ...Object.entries(AppState.files).filter(([name]) => !stackedFiles.has(name)).map(([, info]) => info)
+    ];
+    elements.eventColumnOptions.innerHTML = sources
+        .flatMap(info => Object.values(info.selectedCols || {}))
+        .map(title => `<option value="${escapeHtml(title)}"></option>`)
+        .join('');
+}
+
+/**
+ * Read the event row settings
+ * @returns {{column: string, beforeMs: number|null, afterMs: number|null}|null} - null for a row every
+ *     interval; throws when a setting is not understood
+ */
+function getEventOptions() {
+    if (elements.rowSource.value !== 'events') return null;
+    const column = elements.eventColumn.value.trim();
+    if (!column) throw new Error('Choose the column whose timestamps become the output rows.');
+
+    // Blank leaves the window to the time since the previous event
+    const [beforeMs, afterMs] = [elements.eventBefore, elements.eventAfter].map(input => {
+        if (input.value.trim() === '') return null;
+        const ms = TimeUtils.parseTimeOffset(input.value);
+        if (!(ms >= 0)) throw new Error(`Event window "${input.value}" not recognised. Use e.g. 30min or 2h.`);
+        return ms;
+    });
+    return { column, beforeMs, afterMs };
 }
 
 // ===== GLOBAL LOADER =====
 
-function showGlobalLoader(text = 'Processing...') {
+/**
+ * Show the global loader
+ * @param {string} text - Status text
+ * @param {Function} [onCancel] - If given, a Cancel button is shown that calls it
+ */
+function showGlobalLoader(text = 'Processing...', onCancel = null) {
     elements.globalLoader.classList.remove('hidden');
+    elements.globalLoaderCancel.classList.toggle('hidden', !onCancel);
+    elements.globalLoaderCancel.onclick = onCancel;
     elements.globalLoaderText.textContent = text;
     elements.globalLoaderFill.style.width = '0%';
 }
@@ -138,6 +366,8 @@ function updateGlobalLoader(percent, text) {
 
 function hideGlobalLoader() {
     elements.globalLoader.classList.add('hidden');
+    elements.globalLoaderCancel.classList.add('hidden');
+    elements.globalLoaderCancel.onclick = null;
 }
 
 // ===== TEMPLATE HANDLING =====
@@ -153,15 +383,16 @@ async function handleTemplateSelect(e) {
         const arrayBuffer = await file.arrayBuffer();
         // Store raw bytes to preserve all formatting
         AppState.templateBytes = arrayBuffer;
-        // Also parse it to verify it's valid and get sheet info
+        // Also parse it to verify it's valid and find where the data goes
         const testRead = XLSX.read(arrayBuffer, { type: 'array' });
-        
-        if (!testRead.Sheets['Analysis']) {
-            throw new Error('Template must have a sheet named "Analysis"');
-        }
+        const detected = TemplateMapping.detect(testRead);
+        setTemplateMapping(detected.mapping, detected.source, testRead.SheetNames);
         
         updateGlobalLoader(100, 'Template loaded!');
-        elements.templateStatus.textContent = `✅ ${file.name}`;
+        AppState.templateName = file.name;
+        elements.templateStatus.textContent = detected.source === 'default'
+            ? `✅ ${file.name}`
+            : `✅ ${file.name} (layout from ${detected.source})`;
         elements.templateStatus.classList.add('loaded');
         
         setTimeout(hideGlobalLoader, 500);
@@ -170,8 +401,74 @@ async function handleTemplateSelect(e) {
         elements.templateStatus.textContent = `❌ ${error.message || 'Error loading template'}`;
         elements.templateStatus.classList.remove('loaded');
         AppState.templateBytes = null;
+        AppState.templateName = null;
         hideGlobalLoader();
     }
+    scheduleSessionSave();
+}
+
+/**
+ * Use a template mapping and show it in the layout editor
+ * @param {Object} mapping - Normalized mapping
+ * @param {string} source - 'named ranges', 'markers', 'default' or 'edited'
+ * @param {Array<string>} [sheetNames] - Sheets of the loaded template, suggested in the editor
+ */
+function setTemplateMapping(mapping, source, sheetNames) {
+    AppState.templateMapping = mapping;
+    AppState.templateMappingSource = source;
+
+    elements.mappingSheet.value = mapping.sheet;
+    elements.mappingDateColumn.value = mapping.dateColumn;
+    elements.mappingHeaderCell.value = mapping.headerCell;
+    elements.mappingDataStartCell.value = mapping.dataStartCell;
+    elements.mappingUnitsRow.value = mapping.unitsRow;
+    elements.mappingWriteUnits.checked = mapping.writeUnits;
+    elements.mappingUnitsRow.disabled = !mapping.writeUnits;
+    document.querySelectorAll('.mapping-input').forEach(input => input.classList.remove('input-error'));
+
+    if (sheetNames) {
+        document.getElementById('template-sheet-options').innerHTML =
+            sheetNames.map(name => `<option value="${escapeHtml(name)}">`).join('');
+    }
+    updateTemplateMappingSummary();
+}
+
+/**
+ * Read the layout editor after an edit
+ */
+function handleTemplateMappingChange() {
+    const mapping = TemplateMapping.normalize({
+        sheet: elements.mappingSheet.value,
+        dateColumn: elements.mappingDateColumn.value,
+        headerCell: elements.mappingHeaderCell.value,
+        dataStartCell: elements.mappingDataStartCell.value,
+        unitsRow: elements.mappingUnitsRow.value,
+        writeUnits: elements.mappingWriteUnits.checked
+    });
+    elements.mappingUnitsRow.disabled = !mapping.writeUnits;
+
+    const errors = TemplateMapping.validate(mapping);
+    elements.mappingSheet.classList.toggle('input-error', errors.some(e => e.startsWith('Sheet')));
+    elements.mappingDateColumn.classList.toggle('input-error', errors.some(e => e.startsWith('Date column')));
+    elements.mappingHeaderCell.classList.toggle('input-error', errors.some(e => e.startsWith('Header') || e.startsWith('Data must')));
+    elements.mappingDataStartCell.classList.toggle('input-error', errors.some(e => e.startsWith('Data')));
+    elements.mappingUnitsRow.classList.toggle('input-error', errors.some(e => e.startsWith('Units')));
+
+    if (errors.length > 0) {
+        showStatus(`Template layout: ${errors.join('; ')}`, 'error');
+        return;
+    }
+    AppState.templateMapping = mapping;
+    AppState.templateMappingSource = 'edited';
+    updateTemplateMappingSummary();
+}
+
+function updateTemplateMappingSummary() {
+    const m = AppState.templateMapping;
+    const source = AppState.templateMappingSource === 'default' ? '' : ` (${AppState.templateMappingSource})`;
+    elements.mappingSummary.textContent =
+        `sheet "${m.sheet}", dates in ${m.dateColumn}, headers from ${m.headerCell}, ` +
+        `${m.writeUnits ? `units in row ${m.unitsRow}, ` : 'no units, '}data from ${m.dataStartCell}${source}`;
 }
 
 // ===== FILE UPLOAD HANDLERS =====
@@ -219,7 +516,9 @@ async function processFiles(fileList) {
     }
 
     AppState.processingFiles = true;
-    showGlobalLoader(`Processing 0 of ${filesToProcess.length} files...`);
+    showGlobalLoader(`Processing 0 of ${filesToProcess.length} files...`, () => WorkerClient.cancel());
+    const ambiguousFiles = [];
+    let cancelled = false;
 
     for (let i = 0; i < filesToProcess.length; i++) {
         const file = filesToProcess[i];
@@ -227,65 +526,56 @@ async function processFiles(fileList) {
         updateGlobalLoader(progress, `Processing ${i + 1} of ${filesToProcess.length}: ${file.name}`);
 
         try {
-            const result = await FileHandlers.readFile(file);
-            
-            // Detect datetime columns
-            const dateTimeCols = FileHandlers.detectDateTimeColumns(result.columns, result.data);
-            const dateTimeCol = dateTimeCols[0] || null;
-            
-            // Detect if data is in long format (needs pivoting)
-            const longFormatInfo = FileHandlers.detectLongFormat(result.data, result.columns, dateTimeCol);
-            
-            // Get selectable columns (excludes datetime and index-like columns)
-            const selectableColumns = FileHandlers.getSelectableColumns(result.columns, dateTimeCols);
-            
-            // Check for duplicate timestamps
-            const hasDuplicates = dateTimeCol ? 
-                FileHandlers.hasDuplicateTimestamps(result.data, dateTimeCol) : false;
-            
-            // Get date range
-            const dateRange = dateTimeCol ?
-                FileHandlers.getDateRange(result.data, dateTimeCol) : { earliest: null, latest: null };
-
-            // Store file data
-            AppState.files[file.name] = {
-                file: file,
-                data: result.data,
-                columns: result.columns,
-                selectableColumns: selectableColumns,
-                headerRow: result.headerRow,
-                dateTimeCol: dateTimeCol,
-                dateTimeCols: dateTimeCols,
-                hasDuplicates: hasDuplicates,
-                dateRange: dateRange,
-                selectedCols: {},
-                units: {},
-                cleanup: {},
-                dupeHandling: 'Average values',
-                longFormatInfo: longFormatInfo,  // Store pivot detection info
-                isPivoted: false  // Track if user has applied pivot
+            const loadSheet = async (sheet) => {
+                const { name, info } = await loadSource(file, sheet, (percent, message) => {
+                    updateGlobalLoader(progress + percent / filesToProcess.length, `(${i + 1}/${filesToProcess.length}) ${message}`);
+                });
+                if (info.timestampDetection?.ambiguous) {
+                    ambiguousFiles.push(name);
+                }
+                return info;
             };
 
-            if (result.headerRow > 0) {
-                console.log(`Detected data starting on line ${result.headerRow + 1} in ${file.name}`);
-            }
-            
-            if (longFormatInfo) {
-                console.log(`Detected long format in ${file.name}: ${longFormatInfo.tagCount} unique tags`);
+            // A workbook uploaded again reloads the sheets loaded from it before; otherwise its first
+            // sheet, plus any other sheets the loaded recipe has settings for
+            const loadedSheets = Object.values(AppState.files)
+                .filter(info => info.workbookName === file.name)
+                .map(info => info.sheetName);
+            if (loadedSheets.length > 0) {
+                for (const sheet of loadedSheets) {
+                    await loadSheet(sheet);
+                }
+            } else {
+                const first = await loadSheet(undefined);
+                const recipeSheets = AppState.recipe && first.workbookName
+                    ? first.sheetNames.filter(sheet => sheet !== first.sheetName &&
+                        Recipes.findSource(AppState.recipe, `${file.name} [${sheet}]`, 'file'))
+                    : [];
+                for (const sheet of recipeSheets) {
+                    await loadSheet(sheet);
+                }
             }
-
         } catch (error) {
+            if (WorkerClient.isCancelled(error)) {
+                cancelled = true;
+                break;
+            }
             console.error(`Error processing ${file.name}:`, error);
             showStatus(`Error reading ${file.name}: ${error.message}`, 'error');
         }
     }
 
-    updateGlobalLoader(100, `✅ Processed ${filesToProcess.length} files!`);
-    
-    setTimeout(() => {
+    if (cancelled) {
         hideGlobalLoader();
         AppState.processingFiles = false;
-    }, 800);
+    } else {
+        updateGlobalLoader(100, `✅ Processed ${filesToProcess.length} files!`);
+        
+        setTimeout(() => {
+            hideGlobalLoader();
+            AppState.processingFiles = false;
+        }, 800);
+    }
 
     // Update UI
     updateFileList();
@@ -296,7 +586,251 @@ async function processFiles(fileList) {
     updateGraphColumnOptions();
     updateStackingSection();
 
-    showStatus(`✅ Uploaded ${Object.keys(AppState.files).length} file(s)!`, 'success');
+    if (cancelled) {
+        showStatus(`Upload cancelled. ${Object.keys(AppState.files).length} file(s) loaded.`, 'warning');
+    } else if (ambiguousFiles.length > 0) {
+        showStatus(`⚠️ Uploaded ${Object.keys(AppState.files).length} file(s), but the day/month order of timestamps in ${ambiguousFiles.join(', ')} is ambiguous. Check the timestamp settings below.`, 'warning');
+    } else {
+        showStatus(`✅ Uploaded ${Object.keys(AppState.files).length} file(s)!`, 'success');
+    }
+
+    // Re-apply the loaded recipe so matching files get their saved settings
+    if (!cancelled && AppState.recipe) {
+        await applyRecipe(AppState.recipe);
+    }
+    scheduleSessionSave();
+}
+
+/**
+ * Parse one file (or one sheet of a workbook) in the processing worker and store it as a source
+ * Sheets of workbooks with more than one sheet are named "book.xlsx [Sheet]"
+ * @param {File} file
+ * @param {string} [sheet] - Sheet to read (default: the first)
+ * @param {function(number, string)} onProgress
+ * @param {Object|null} [parseOptions] - Header / units / footer rows set by hand; null to detect,
+ *   undefined to reuse the ones set before for this source or in the loaded recipe
+ * @returns {Promise<{name: string, info: Object}>}
+ */
+async function loadSource(file, sheet, onProgress, parseOptions) {
+    let result = await WorkerClient.run('loadFile', { file, sheet, parseOptions }, onProgress);
+    const multiSheet = result.sheetNames?.length > 1;
+    const name = multiSheet ? `${file.name} [${result.sheetName}]` : file.name;
+
+    // The source name is only known once the file is read, so saved rows mean a second read
+    if (parseOptions === undefined) {
+        parseOptions = savedParseOptions(name);
+        if (parseOptions) {
+            result = await WorkerClient.run('loadFile', { file, sheet: result.sheetName, parseOptions }, onProgress);
+        }
+    }
+
+    const { dateTimeCol, timestampDetection, longFormatInfo } = result;
+    if (multiSheet) {
+        AppState.workbookFiles[file.name] = file;
+    }
+
+    // Store file data
+    const info = {
+        file: file,
+        fileSize: file.size,
+        workbookName: multiSheet ? file.name : null,
+        sheetName: result.sheetName || null,
+        sheetNames: result.sheetNames || null,
+        data: result.data,
+        columns: result.columns,
+        selectableColumns: result.selectableColumns,
+        headerRow: result.headerRow,
+        unitsRow: result.unitsRow,
+        footerRows: result.footerRows,
+        parseOptions: parseOptions || null,  // Rows set by hand in the header / data rows editor
+        rawPreview: result.rawPreview,
+        dialect: result.dialect || null,  // How a CSV file is written (encoding, delimiter, separators)
+        dateTimeCol: dateTimeCol,
+        dateTimeCols: result.dateTimeCols,
+        timestampFormat: '',  // Explicit format pattern; empty = auto-detect
+        timestampDetection: timestampDetection,
+        sourceTimezone: 'local',
+        sourceOffset: '',  // Time offset added to every timestamp, e.g. "-90s"
+        hasDuplicates: result.hasDuplicates,
+        dateRange: result.dateRange,
+        selectedCols: {},
+        units: { ...result.columnUnits },  // Pre-filled from the units row / headers
+        columnUnits: result.columnUnits,  // Units read from the file, used when a column is selected
+        columnTitles: result.columnTitles,  // Headers without their unit, e.g. "Flow" for "Flow (m3/h)"
+        cleanup: {},
+        aggregation: {},
+        maxGap: {},
+        flagGaps: {},
+        quality: {},
+        outputUnit: {},  // Unit each column is converted to (empty keeps the source unit)
+        timeOffset: {},  // Time offset of each column on top of the source's, e.g. "-90s"
+        filters: {},  // Outlier filter settings of each column (see FILTER_FIELDS)
+        transforms: {},  // Transform pipeline of each column: { steps: [{ type, param }], stage, addColumn, title }
+        columnType: {},  // '' for measurements, 'counter' for totalisers, 'state' for discrete signals (see COLUMN_TYPE_LABELS)
+        counter: {},  // Counter settings of each counter column: { output, rollover, per }
+        state: {},  // State settings of each state column: { output, states }
+        dupeHandling: 'Average values',
+        longFormatInfo: longFormatInfo,  // Store pivot detection info
+        isPivoted: false  // Track if user has applied pivot
+    };
+    AppState.files[name] = info;
+
+    if (result.headerRow > 0) {
+        console.log(`Detected data starting on line ${result.headerRow + 1} in ${name}`);
+    }
+    
+    if (longFormatInfo) {
+        console.log(`Detected long format in ${name}: ${longFormatInfo.tagCount} unique tags`);
+    }
+
+    return { name, info };
+}
+
+/**
+ * Header / units / footer rows to reuse for a source: set by hand before, or from the loaded recipe
+ * @param {string} name - Source name
+ * @returns {Object|null}
+ */
+function savedParseOptions(name) {
+    const entry = AppState.recipe ? Recipes.findSource(AppState.recipe, name, 'file') : null;
+    return AppState.files[name]?.parseOptions || entry?.parseOptions || null;
+}
+
+/**
+ * Read a file again with other header / units / footer rows, keeping the settings of the
+ * columns that are still there
+ * @param {string} name - Source name
+ * @param {Object|null} parseOptions - { headerRow, unitsRow, footerRows } (row indexes) and { dialect }, or null to detect
+ * @returns {Promise<Object>} - The new file info
+ */
+async function reparseSource(name, parseOptions) {
+    const old = AppState.files[name];
+    const { info } = await loadSource(old.file, old.sheetName || undefined, (percent, message) => {
+        updateGlobalLoader(percent, message);
+    }, parseOptions);
+    info.timestampFormat = old.timestampFormat;
+    info.sourceTimezone = old.sourceTimezone;
+    info.sourceOffset = old.sourceOffset;
+    info.dupeHandling = old.dupeHandling;
+
+    // Pivot long-format data the same way as before
+    if (old.pivot && info.columns.includes(old.pivot.tagCol) && info.columns.includes(old.pivot.valueCol)) {
+        applyPivot(name, old.pivot.tagCol, old.pivot.valueCol, false);
+    }
+
+    const kept = new Set(info.selectableColumns);
+    for (const setting of ['selectedCols', ...Recipes.COLUMN_SETTINGS]) {
+        for (const [col, value] of Object.entries(old[setting] || {})) {
+            // An empty unit keeps the one read from the file
+            if (kept.has(col) && (setting !== 'units' || value)) info[setting][col] = value;
+        }
+    }
+    info.dateRange = FileHandlers.getDateRange(info.data, info.dateTimeCol, TimeUtils.parserForSource(info));
+    return info;
+}
+
+/**
+ * Re-read a file from the header / data rows editor and rebuild the page
+ * @param {string} name - Source name
+ * @param {Object|null} parseOptions - As for reparseSource
+ */
+async function applySourceLayout(name, parseOptions) {
+    AppState.processingFiles = true;
+    showGlobalLoader(`Re-reading ${name}...`, () => WorkerClient.cancel());
+    try {
+        const info = await reparseSource(name, parseOptions);
+        const stackName = getStackNameForFile(name);
+
+        updateFileList();
+        updateFileConfigs();
+        updateSectionVisibility();
+        updateAlignmentOptions();
+        updateDefaultDatesFromData();
+        updateGraphColumnOptions();
+        updateStackingSection();
+        document.getElementById(`config-${sanitizeId(name)}`)?.classList.add('open');
+
+        const summary = `${info.columns.length} columns, ${info.data.length.toLocaleString()} rows`;
+        if (stackName) {
+            showStatus(`✅ Re-read ${name} (${summary}). Create the stack "${stackName}" again to use the new rows.`, 'warning');
+        } else {
+            showStatus(`✅ Re-read ${name} (${summary}).`, 'success');
+        }
+        scheduleSessionSave();
+    } catch (error) {
+        if (WorkerClient.isCancelled(error)) {
+            showStatus(`Re-reading ${name} was cancelled.`, 'warning');
+        } else {
+            console.error(`Error re-reading ${name}:`, error);
+            showStatus(`Error re-reading ${name}: ${error.message}`, 'error');
+        }
+    } finally {
+        hideGlobalLoader();
+        AppState.processingFiles = false;
+    }
+}
+
+/**
+ * Load the chosen sheets of a workbook as sources and remove the ones no longer chosen
+ * @param {string} workbookName
+ * @param {Array<string>} sheets - Sheet names to keep loaded
+ */
+async function applySheetSelection(workbookName, sheets) {
+    if (sheets.length === 0) {
+        showStatus('Select at least one sheet, or remove the workbook\'s sheets with ✕.', 'error');
+        return;
+    }
+
+    const loaded = Object.entries(AppState.files).filter(([, info]) => info.workbookName === workbookName);
+    for (const [name, info] of loaded) {
+        if (!sheets.includes(info.sheetName)) {
+            await removeFileFromAllStacks(name);
+            delete AppState.files[name];
+            AppState.selectedForStack.delete(name);
+        }
+    }
+
+    const toLoad = sheets.filter(sheet => !loaded.some(([, info]) => info.sheetName === sheet));
+    let cancelled = false;
+    if (toLoad.length > 0) {
+        const file = AppState.workbookFiles[workbookName];
+        AppState.processingFiles = true;
+        showGlobalLoader(`Loading ${toLoad.length} sheet(s)...`, () => WorkerClient.cancel());
+        try {
+            for (let i = 0; i < toLoad.length; i++) {
+                const progress = (i / toLoad.length) * 100;
+                await loadSource(file, toLoad[i], (percent, message) => {
+                    updateGlobalLoader(progress + percent / toLoad.length, `(${i + 1}/${toLoad.length}) ${message}`);
+                });
+            }
+        } catch (error) {
+            if (WorkerClient.isCancelled(error)) {
+                cancelled = true;
+            } else {
+                console.error(`Error loading sheets of ${workbookName}:`, error);
+                showStatus(`Error reading ${workbookName}: ${error.message}`, 'error');
+            }
+        } finally {
+            hideGlobalLoader();
+            AppState.processingFiles = false;
+        }
+    }
+
+    updateFileList();
+    updateFileConfigs();
+    updateSectionVisibility();
+    updateAlignmentOptions();
+    updateDefaultDatesFromData();
+    updateGraphColumnOptions();
+    updateStackingSection();
+
+    if (!cancelled && AppState.recipe) {
+        await applyRecipe(AppState.recipe);
+    }
+    if (cancelled) {
+        showStatus('Loading sheets was cancelled.', 'warning');
+    }
+    scheduleSessionSave();
 }
 
 /**
@@ -317,7 +851,7 @@ function updateFileList() {
         fileItem.innerHTML = `
             <div>
                 <span class="file-item-name">${escapeHtml(fileName)}</span>
-                <span class="file-item-size">(${FileHandlers.formatFileSize(fileInfo.file.size)})</span>
+                <span class="file-item-size">(${FileHandlers.formatFileSize(fileInfo.fileSize ?? fileInfo.file?.size ?? 0)})</span>
                 ${isInStack ? `<span class="file-item-stack-badge">In: ${escapeHtml(stackName)}</span>` : ''}
             </div>
             <button class="file-item-remove" data-filename="${escapeHtml(fileName)}" title="Remove file">✕</button>
@@ -325,16 +859,52 @@ function updateFileList() {
         elements.fileList.appendChild(fileItem);
     }
 
+    // Sheet pickers for workbooks with more than one sheet
+    const workbooks = {};
+    for (const info of Object.values(AppState.files)) {
+        if (!info.workbookName) continue;
+        workbooks[info.workbookName] = workbooks[info.workbookName] || { sheetNames: info.sheetNames, loaded: new Set() };
+        workbooks[info.workbookName].loaded.add(info.sheetName);
+    }
+    for (const [workbookName, workbook] of Object.entries(workbooks)) {
+        // The File is gone after a session restore, so only loaded sheets can be dropped
+        const canLoad = Boolean(AppState.workbookFiles[workbookName]);
+        const picker = document.createElement('div');
+        picker.className = 'sheet-picker';
+        picker.dataset.workbook = workbookName;
+        picker.innerHTML = `
+            <div class="sheet-picker-title">📑 Sheets in <span class="file-item-name">${escapeHtml(workbookName)}</span></div>
+            <div class="sheet-picker-options">
+                ${workbook.sheetNames.map(sheet => `
+                    <label class="checkbox-label">
+                        <input type="checkbox" value="${escapeHtml(sheet)}"
+                            ${workbook.loaded.has(sheet) ? 'checked' : ''}
+                            ${!canLoad && !workbook.loaded.has(sheet) ? 'disabled' : ''}>
+                        ${escapeHtml(sheet)}
+                    </label>
+                `).join('')}
+            </div>
+            <button class="btn btn-secondary btn-sm sheet-picker-apply">Load selected sheets</button>
+            ${canLoad ? '' : '<p class="upload-hint">Upload the workbook again to load its other sheets.</p>'}
+        `;
+        picker.querySelector('.sheet-picker-apply').addEventListener('click', () => {
+            const sheets = [...picker.querySelectorAll('input[type="checkbox"]:checked')].map(input => input.value);
+            applySheetSelection(workbookName, sheets);
+        });
+        elements.fileList.appendChild(picker);
+    }
+
     // Add remove handlers
     elements.fileList.querySelectorAll('.file-item-remove').forEach(btn => {
-        btn.addEventListener('click', (e) => {
+        btn.addEventListener('click', async (e) => {
             const fileName = e.target.dataset.filename;
             
             // Remove from any stacks that contain this file
-            removeFileFromAllStacks(fileName);
+            await removeFileFromAllStacks(fileName);
             
             delete AppState.files[fileName];
             AppState.selectedForStack.delete(fileName);
+            scheduleSessionSave();
             
             updateFileList();
             updateFileConfigs();
@@ -557,15 +1127,21 @@ function createFileConfigPanel(name, info, isStack = false) {
                 <div class="form-group">
                     <label>How should duplicates be handled?</label>
                     <select class="select dupe-handling" data-filename="${escapeHtml(name)}">
-                        <option value="Average values">Average values</option>
-                        <option value="Maximum value">Maximum value</option>
-                        <option value="Minimum value">Minimum value</option>
+                        ${['Average values', 'Maximum value', 'Minimum value'].map(option => `
+                            <option value="${option}" ${info.dupeHandling === option ? 'selected' : ''}>${option}</option>
+                        `).join('')}
                     </select>
                 </div>
             </div>
         `;
     }
 
+    // Header / units / footer rows (files only; stacks are built from already-read files)
+    const layoutHtml = isStack ? '' : createSourceLayoutHtml(info) + createCsvDialectHtml(info);
+
+    // Timestamp format and timezone
+    const timestampHtml = createTimestampSettingsHtml(name, info, isStack);
+
     // Column selection with checkboxes
     const columnsHtml = createColumnCheckboxes(name, info, isStack);
 
@@ -573,6 +1149,8 @@ function createFileConfigPanel(name, info, isStack = false) {
         ${stackInfoHtml}
         ${pivotHtml}
         <div class="data-preview">${previewHtml}</div>
+        ${layoutHtml}
+        ${timestampHtml}
         ${dupeWarningHtml}
         <h4 style="color: var(--text-primary); margin-bottom: var(--spacing-md);">
             Select data columns to include in the combination
@@ -587,70 +1165,321 @@ function createFileConfigPanel(name, info, isStack = false) {
     // Set up event listeners after adding to DOM
     setTimeout(() => {
         setupFileConfigListeners(name, info, isStack);
+        updateColumnSettingsUI(name, Object.keys(info.selectedCols || {}), isStack);
     }, 0);
 
     return panel;
 }
 
 /**
- * Create HTML for data preview table
+ * Create HTML for the header / data rows editor: the first raw lines of the file, where a click
+ * sets the header or units row, plus the number of rows to skip at the bottom
  */
-function createDataTable(columns, rows) {
-    let html = '<table class="data-table"><thead><tr>';
-    for (const col of columns) {
-        html += `<th>${escapeHtml(col)}</th>`;
+function createSourceLayoutHtml(info) {
+    const unitsText = info.unitsRow !== null && info.unitsRow !== undefined ? `, units on line ${info.unitsRow + 1}` : '';
+    const footerText = info.footerRows ? `, last ${info.footerRows} row(s) skipped` : '';
+    const how = Number.isInteger(info.parseOptions?.headerRow) ? 'set by hand' : 'detected';
+
+    let body;
+    if (!info.rawPreview) {
+        body = '<p class="upload-hint">Upload the file again to see its raw lines.</p>';
+    } else {
+        const width = Math.min(20, Math.max(1, ...info.rawPreview.map(cells => cells.length)));
+        const rows = info.rawPreview.map((cells, i) => {
+            const role = i === info.headerRow ? 'layout-header-row' : i === info.unitsRow ? 'layout-units-row' : '';
+            const tds = Array.from({ length: width }, (_, c) => `<td>${escapeHtml(cells[c] ?? '')}</td>`).join('');
+            return `<tr class="layout-line ${role}" data-line="${i}"><th>${i + 1}</th>${tds}</tr>`;
+        }).join('');
+
+        body = `
+            <div class="form-grid">
+                <div class="form-group">
+                    <label>Clicking a line sets the</label>
+                    <select class="select layout-click-target">
+                        <option value="header">Header row</option>
+                        <option value="units">Units row</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Rows to skip at the bottom (footers, totals)</label>
+                    <input type="number" class="input layout-footer-rows" min="0" value="${info.footerRows || 0}">
+                </div>
+            </div>
+            <div class="data-preview layout-raw-lines">
+                <table class="data-table"><tbody>${rows}</tbody></table>
+            </div>
+            <div class="layout-actions">
+                <button type="button" class="btn btn-primary btn-sm layout-apply" ${info.file ? '' : 'disabled'}>Re-read with these rows</button>
+                <button type="button" class="btn btn-secondary btn-sm layout-no-units">No units row</button>
+                <button type="button" class="btn btn-secondary btn-sm layout-auto" ${info.file ? '' : 'disabled'}>Auto-detect</button>
+            </div>
+            ${info.file ? '' : '<p class="upload-hint">Upload the file again to re-read it with other rows.</p>'}
+        `;
     }
-    html += '</tr></thead><tbody>';
 
-    for (const row of rows) {
-        html += '<tr>';
-        for (const col of columns) {
-            const value = row[col];
-            html += `<td>${value != null ? escapeHtml(String(value)) : ''}</td>`;
-        }
-        html += '</tr>';
-    }
+    return `
+        <details class="accordion source-layout"
+            data-header-row="${info.headerRow ?? 0}" data-units-row="${info.unitsRow ?? ''}">
+            <summary>📄 Header &amp; data rows: headers on line ${(info.headerRow ?? 0) + 1}${unitsText}${footerText} (${how})</summary>
+            <div class="accordion-content">${body}</div>
+        </details>
+    `;
+}
 
-    html += '</tbody></table>';
-    return html;
+// Choices of the CSV format panel (value -> label); 'auto' keeps the detected setting
+const CSV_DIALECT_OPTIONS = {
+    encoding: { 'utf-8': 'UTF-8', 'utf-16le': 'UTF-16 LE', 'utf-16be': 'UTF-16 BE', 'windows-1252': 'Windows-1252', 'iso-8859-1': 'ISO-8859-1' },
+    delimiter: { ',': 'Comma', ';': 'Semicolon', '\t': 'Tab', '|': 'Pipe', ' ': 'Space' },
+    quoteChar: { '"': 'Double quote "', "'": "Single quote '" },
+    decimal: { '.': 'Point (1.5)', ',': 'Comma (1,5)' },
+    thousands: { '': 'None', ',': 'Comma (1,000)', '.': 'Point (1.000)', ' ': 'Space (1 000)', "'": "Apostrophe (1'000)" }
+};
+
+/**
+ * Create HTML for the CSV format panel: the detected encoding, delimiter, quote character and
+ * number separators, each of which can be set by hand
+ */
+function createCsvDialectHtml(info) {
+    const dialect = info.dialect;
+    if (!dialect) return '';
+
+    const chosen = info.parseOptions?.dialect || {};
+    const label = (key) => CSV_DIALECT_OPTIONS[key][dialect[key]] || dialect[key];
+    const how = Object.keys(chosen).length > 0 ? 'partly set by hand' : 'detected';
+    const thousands = dialect.thousands ? `, thousands ${label('thousands').toLowerCase()}` : '';
+    const summary = `${label('delimiter')}-separated, decimal ${dialect.decimal === ',' ? 'comma' : 'point'}${thousands}, ` +
+        `${label('encoding')}${dialect.bom ? ' with BOM' : ''}`;
+
+    const field = (key, title) => `
+        <div class="form-group">
+            <label>${title}</label>
+            <select class="select dialect-${key}" data-setting="${key}">
+                <option value="auto" ${chosen[key] === undefined ? 'selected' : ''}>Auto (${escapeHtml(label(key))})</option>
+                ${Object.entries(CSV_DIALECT_OPTIONS[key]).map(([value, text]) => `
+                    <option value="${escapeHtml(value)}" ${chosen[key] === value ? 'selected' : ''}>${escapeHtml(text)}</option>
+                `).join('')}
+            </select>
+        </div>
+    `;
+
+    return `
+        <details class="accordion csv-dialect">
+            <summary>🔤 CSV format: ${escapeHtml(summary)} (${how})</summary>
+            <div class="accordion-content">
+                <div class="form-grid">
+                    ${field('encoding', 'Encoding')}
+                    ${field('delimiter', 'Delimiter')}
+                    ${field('quoteChar', 'Quote character')}
+                    ${field('decimal', 'Decimal separator')}
+                    ${field('thousands', 'Thousands separator')}
+                </div>
+                <div class="layout-actions">
+                    <button type="button" class="btn btn-primary btn-sm dialect-apply" ${info.file ? '' : 'disabled'}>Re-read with this format</button>
+                </div>
+                ${info.file ? '' : '<p class="upload-hint">Upload the file again to re-read it in another format.</p>'}
+            </div>
+        </details>
+    `;
 }
 
 /**
- * Create column selector with checkboxes (allows multiple selection easily)
+ * Create HTML for the timestamp format / source timezone settings of a file or stack
  */
-function createColumnCheckboxes(name, info, isStack = false) {
-    const selectableCols = info.selectableColumns || [];
-    
-    if (selectableCols.length === 0) {
-        return '<div class="column-checkbox-list"><p class="checkbox-grid-empty">No selectable columns found</p></div>';
-    }
-    
-    let html = `<div class="column-checkbox-list" id="col-list-${sanitizeId(name)}">`;
-    for (const col of selectableCols) {
-        const checkId = `col-check-${sanitizeId(name)}-${sanitizeId(col)}`;
-        html += `
-            <div class="column-checkbox-item">
-                <input type="checkbox" 
-                    id="${checkId}" 
-                    data-filename="${escapeHtml(name)}" 
-                    data-column="${escapeHtml(col)}"
-                    data-isstack="${isStack}"
-                    class="column-checkbox">
-                <label for="${checkId}">${escapeHtml(col)}</label>
+function createTimestampSettingsHtml(name, info, isStack = false) {
+    if (!info.dateTimeCol) {
+        return `
+            <div class="timestamp-settings">
+                <div class="timestamp-feedback timestamp-warning">⚠️ No timestamp column detected in this data.</div>
             </div>
         `;
     }
-    html += '</div>';
-    
-    return html;
+
+    const placeholder = info.timestampDetection?.format ?
+        `Auto (${info.timestampDetection.format})` : 'Auto-detect';
+
+    return `
+        <div class="timestamp-settings">
+            <div class="timestamp-settings-title">🕐 Timestamps in "<strong>${escapeHtml(info.dateTimeCol)}</strong>"</div>
+            <div class="form-grid">
+                <div class="form-group">
+                    <label>Timestamp format</label>
+                    <input type="text" class="input ts-format" list="timestamp-format-options"
+                        data-filename="${escapeHtml(name)}" data-isstack="${isStack}"
+                        placeholder="${escapeHtml(placeholder)}"
+                        value="${escapeHtml(info.timestampFormat || '')}">
+                </div>
+                <div class="form-group">
+                    <label>Source timezone</label>
+                    <input type="text" class="input ts-timezone" list="timezone-options"
+                        data-filename="${escapeHtml(name)}" data-isstack="${isStack}"
+                        placeholder="local, UTC, +05:30 or e.g. Europe/Berlin"
+                        value="${escapeHtml(info.sourceTimezone || 'local')}">
+                </div>
+                <div class="form-group">
+                    <label>Time offset</label>
+                    <input type="text" class="input ts-offset"
+                        data-filename="${escapeHtml(name)}" data-isstack="${isStack}"
+                        placeholder="None (e.g. -90s, +2min)"
+                        title="Added to every timestamp of this source, for a logger whose clock runs late or early"
+                        value="${escapeHtml(info.sourceOffset || '')}">
+                </div>
+            </div>
+            <div class="timestamp-feedback-container">${getTimestampFeedbackHtml(info)}</div>
+        </div>
+    `;
 }
 
 /**
- * Set up event listeners for file config panel
+ * Describe how the current timestamp settings read the data (and warn about ambiguity)
  */
-function setupFileConfigListeners(name, info, isStack = false) {
-    const panel = document.getElementById(`config-${sanitizeId(name)}`);
-    if (!panel) return;
+function getTimestampFeedbackHtml(info) {
+    const parseTime = TimeUtils.parserForSource(info);
+    const samples = info.data.slice(0, 200)
+        .map(row => row[info.dateTimeCol])
+        .filter(v => v != null && v !== '');
+    const failed = samples.filter(v => isNaN(parseTime(v)));
+
+    let html = '';
+
+    if (!info.timestampFormat && info.timestampDetection?.message) {
+        const candidateButtons = (info.timestampDetection.candidates || []).map(format => `
+            <button type="button" class="btn btn-secondary btn-sm ts-use-format" data-format="${escapeHtml(format)}">
+                Use ${escapeHtml(format)}
+            </button>
+        `).join('');
+        html += `
+            <div class="timestamp-feedback timestamp-warning">
+                ⚠️ ${escapeHtml(info.timestampDetection.message)}
+                <div class="timestamp-candidates">${candidateButtons}</div>
+            </div>
+        `;
+    }
+
+    if (failed.length > 0) {
+        html += `
+            <div class="timestamp-feedback timestamp-warning">
+                ⚠️ ${failed.length} of the first ${samples.length} timestamps could not be read (e.g. "${escapeHtml(String(failed[0]))}").
+            </div>
+        `;
+    }
+
+    const firstValid = samples.find(v => !isNaN(parseTime(v)));
+    if (firstValid !== undefined) {
+        const ms = parseTime(firstValid);
+        const zone = info.sourceTimezone || 'local';
+        const offset = TimeUtils.formatOffset(TimeUtils.getOffsetMinutes(ms, zone));
+        const shifted = TimeUtils.parseTimeOffset(info.sourceOffset)
+            ? ` after the ${escapeHtml(info.sourceOffset)} time offset`
+            : '';
+        html += `
+            <div class="timestamp-feedback">
+                "${escapeHtml(String(firstValid))}" reads as ${TimeUtils.formatInZone(ms, zone)} (UTC${offset})
+                = ${TimeUtils.formatInZone(ms, 'UTC')} UTC${shifted}
+            </div>
+        `;
+    }
+
+    return html;
+}
+
+/**
+ * Apply changed timestamp settings to a file or stack
+ */
+function updateTimestampSettings(name, isStack, changes) {
+    const info = isStack ? AppState.stacks[name] : AppState.files[name];
+    if (!info) return;
+
+    Object.assign(info, changes);
+    info.dateRange = FileHandlers.getDateRange(info.data, info.dateTimeCol, TimeUtils.parserForSource(info));
+
+    const panel = document.getElementById(`config-${sanitizeId(name)}`);
+    const feedback = panel?.querySelector('.timestamp-feedback-container');
+    if (feedback) {
+        feedback.innerHTML = getTimestampFeedbackHtml(info);
+        setupTimestampFeedbackListeners(panel, name, isStack);
+    }
+
+    if (isStack) {
+        renderExistingStacks();
+    } else {
+        updateStackingSection();
+    }
+    updateDefaultDatesFromData();
+}
+
+/**
+ * Wire the "Use <format>" suggestion buttons
+ */
+function setupTimestampFeedbackListeners(panel, name, isStack) {
+    panel.querySelectorAll('.ts-use-format').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const formatInput = panel.querySelector('.ts-format');
+            if (formatInput) formatInput.value = btn.dataset.format;
+            updateTimestampSettings(name, isStack, { timestampFormat: btn.dataset.format });
+        });
+    });
+}
+
+/**
+ * Create HTML for data preview table
+ */
+function createDataTable(columns, rows) {
+    let html = '<table class="data-table"><thead><tr>';
+    for (const col of columns) {
+        html += `<th>${escapeHtml(col)}</th>`;
+    }
+    html += '</tr></thead><tbody>';
+
+    for (const row of rows) {
+        html += '<tr>';
+        for (const col of columns) {
+            const value = row[col];
+            html += `<td>${value != null ? escapeHtml(String(value)) : ''}</td>`;
+        }
+        html += '</tr>';
+    }
+
+    html += '</tbody></table>';
+    return html;
+}
+
+/**
+ * Create column selector with checkboxes (allows multiple selection easily)
+ */
+function createColumnCheckboxes(name, info, isStack = false) {
+    const selectableCols = info.selectableColumns || [];
+    
+    if (selectableCols.length === 0) {
+        return '<div class="column-checkbox-list"><p class="checkbox-grid-empty">No selectable columns found</p></div>';
+    }
+    
+    let html = `<div class="column-checkbox-list" id="col-list-${sanitizeId(name)}">`;
+    for (const col of selectableCols) {
+        const checkId = `col-check-${sanitizeId(name)}-${sanitizeId(col)}`;
+        html += `
+            <div class="column-checkbox-item">
+                <input type="checkbox" 
+                    id="${checkId}" 
+                    data-filename="${escapeHtml(name)}" 
+                    data-column="${escapeHtml(col)}"
+                    data-isstack="${isStack}"
+                    class="column-checkbox"
+                    ${info.selectedCols?.[col] !== undefined ? 'checked' : ''}>
+                <label for="${checkId}">${escapeHtml(col)}</label>
+            </div>
+        `;
+    }
+    html += '</div>';
+    
+    return html;
+}
+
+/**
+ * Set up event listeners for file config panel
+ */
+function setupFileConfigListeners(name, info, isStack = false) {
+    const panel = document.getElementById(`config-${sanitizeId(name)}`);
+    if (!panel) return;
 
     // Column checkboxes
     panel.querySelectorAll('.column-checkbox').forEach(checkbox => {
@@ -659,6 +1488,106 @@ function setupFileConfigListeners(name, info, isStack = false) {
         });
     });
 
+    // Timestamp settings
+    const formatInput = panel.querySelector('.ts-format');
+    if (formatInput) {
+        formatInput.addEventListener('change', (e) => {
+            updateTimestampSettings(name, isStack, { timestampFormat: e.target.value.trim() });
+        });
+    }
+
+    const timezoneInput = panel.querySelector('.ts-timezone');
+    if (timezoneInput) {
+        timezoneInput.addEventListener('change', (e) => {
+            const value = e.target.value.trim() || 'local';
+            const valid = TimeUtils.isValidTimezone(value);
+            e.target.classList.toggle('input-error', !valid);
+            if (!valid) {
+                showStatus(`Unknown timezone "${value}". Use local, UTC, an offset like +05:30, or a name like Europe/Berlin.`, 'error');
+                return;
+            }
+            updateTimestampSettings(name, isStack, { sourceTimezone: value });
+        });
+    }
+
+    const offsetInput = panel.querySelector('.ts-offset');
+    if (offsetInput) {
+        offsetInput.addEventListener('change', (e) => {
+            const value = e.target.value.trim();
+            const invalid = isNaN(TimeUtils.parseTimeOffset(value));
+            e.target.classList.toggle('input-error', invalid);
+            if (invalid) {
+                showStatus(`Time offset "${value}" not recognised. Use e.g. -90s, +2min, 1h or a number of minutes.`, 'error');
+                return;
+            }
+            updateTimestampSettings(name, isStack, { sourceOffset: value });
+        });
+    }
+
+    setupTimestampFeedbackListeners(panel, name, isStack);
+
+    // Header / data rows editor
+    const layout = panel.querySelector('.source-layout');
+    if (layout) {
+        const markLines = () => {
+            layout.querySelectorAll('.layout-line').forEach(row => {
+                row.classList.toggle('layout-header-row', row.dataset.line === layout.dataset.headerRow);
+                row.classList.toggle('layout-units-row', row.dataset.line === layout.dataset.unitsRow);
+            });
+        };
+        layout.querySelectorAll('.layout-line').forEach(row => {
+            row.addEventListener('click', () => {
+                const line = parseInt(row.dataset.line, 10);
+                if (layout.querySelector('.layout-click-target').value === 'units') {
+                    if (line <= parseInt(layout.dataset.headerRow, 10)) {
+                        showStatus('The units row must be below the header row.', 'error');
+                        return;
+                    }
+                    layout.dataset.unitsRow = row.dataset.line;
+                } else {
+                    layout.dataset.headerRow = row.dataset.line;
+                    if (layout.dataset.unitsRow !== '' && parseInt(layout.dataset.unitsRow, 10) <= line) {
+                        layout.dataset.unitsRow = '';
+                    }
+                }
+                markLines();
+            });
+        });
+        layout.querySelector('.layout-no-units')?.addEventListener('click', () => {
+            layout.dataset.unitsRow = '';
+            markLines();
+        });
+        // The CSV format chosen by hand is kept either way
+        const dialect = AppState.files[name]?.parseOptions?.dialect;
+        layout.querySelector('.layout-apply')?.addEventListener('click', () => {
+            applySourceLayout(name, {
+                headerRow: parseInt(layout.dataset.headerRow, 10),
+                unitsRow: layout.dataset.unitsRow === '' ? null : parseInt(layout.dataset.unitsRow, 10),
+                footerRows: Math.max(0, parseInt(layout.querySelector('.layout-footer-rows').value, 10) || 0),
+                ...(dialect ? { dialect } : {})
+            });
+        });
+        layout.querySelector('.layout-auto')?.addEventListener('click', () => applySourceLayout(name, dialect ? { dialect } : null));
+    }
+
+    // CSV format panel
+    panel.querySelector('.dialect-apply')?.addEventListener('click', () => {
+        const dialect = {};
+        panel.querySelectorAll('.csv-dialect select').forEach(select => {
+            if (select.value !== 'auto') dialect[select.dataset.setting] = select.value;
+        });
+        if (dialect.decimal !== undefined && dialect.decimal === dialect.delimiter) {
+            showStatus('The delimiter and decimal separator must be different.', 'error');
+            return;
+        }
+
+        // Header / units / footer rows chosen by hand are kept
+        const parseOptions = { ...(AppState.files[name]?.parseOptions || {}) };
+        delete parseOptions.dialect;
+        if (Object.keys(dialect).length > 0) parseOptions.dialect = dialect;
+        applySourceLayout(name, Object.keys(parseOptions).length > 0 ? parseOptions : null);
+    });
+
     // Duplicate handling
     const dupeSelect = panel.querySelector('.dupe-handling');
     if (dupeSelect) {
@@ -702,16 +1631,49 @@ function updateSelectedColumns(name, isStack = false) {
     const newSelectedCols = {};
     const newUnits = {};
     const newCleanup = {};
+    const newAggregation = {};
+    const newMaxGap = {};
+    const newFlagGaps = {};
+    const newQuality = {};
+    const newOutputUnit = {};
+    const newTimeOffset = {};
+    const newFilters = {};
+    const newTransforms = {};
+    const newColumnType = {};
+    const newCounter = {};
+    const newState = {};
 
     for (const col of selectedColumns) {
-        newSelectedCols[col] = info.selectedCols[col] || col;
-        newUnits[col] = info.units[col] || '';
+        newSelectedCols[col] = info.selectedCols[col] || info.columnTitles?.[col] || col;
+        newUnits[col] = info.units[col] || info.columnUnits?.[col] || '';
         newCleanup[col] = info.cleanup[col] || 'Fill with nearest available value';
+        newAggregation[col] = info.aggregation[col] || 'mean';
+        newMaxGap[col] = info.maxGap[col] || '';
+        newFlagGaps[col] = info.flagGaps[col] || false;
+        newQuality[col] = info.quality[col] || false;
+        newOutputUnit[col] = info.outputUnit?.[col] || '';
+        newTimeOffset[col] = info.timeOffset?.[col] || '';
+        newFilters[col] = info.filters?.[col] || {};
+        if (info.transforms?.[col]) newTransforms[col] = info.transforms[col];
+        newColumnType[col] = info.columnType?.[col] || '';
+        if (info.counter?.[col]) newCounter[col] = info.counter[col];
+        if (info.state?.[col]) newState[col] = info.state[col];
     }
 
     info.selectedCols = newSelectedCols;
     info.units = newUnits;
     info.cleanup = newCleanup;
+    info.aggregation = newAggregation;
+    info.maxGap = newMaxGap;
+    info.flagGaps = newFlagGaps;
+    info.quality = newQuality;
+    info.outputUnit = newOutputUnit;
+    info.timeOffset = newTimeOffset;
+    info.filters = newFilters;
+    info.transforms = newTransforms;
+    info.columnType = newColumnType;
+    info.counter = newCounter;
+    info.state = newState;
 
     // Update column settings UI
     updateColumnSettingsUI(name, selectedColumns, isStack);
@@ -760,6 +1722,28 @@ function updateColumnSettingsUI(name, selectedColumns, isStack = false) {
                                 data-isstack="${isStack}"
                                 value="${escapeHtml(info.units[col] || '')}">
                         </div>
+                        <div class="form-group">
+                            <label>Convert to unit</label>
+                            <input type="text" class="input col-output-unit" list="unit-options"
+                                data-filename="${escapeHtml(name)}"
+                                data-column="${escapeHtml(col)}"
+                                data-isstack="${isStack}"
+                                placeholder="Keep the source unit"
+                                value="${escapeHtml(info.outputUnit?.[col] || '')}">
+                        </div>
+                        <div class="form-group">
+                            <label>Column type</label>
+                            <select class="select col-type"
+                                data-filename="${escapeHtml(name)}"
+                                data-column="${escapeHtml(col)}"
+                                data-isstack="${isStack}">
+                                ${Object.entries(COLUMN_TYPE_LABELS).map(([value, label]) => `
+                                    <option value="${value}" ${(info.columnType?.[col] || '') === value ? 'selected' : ''}>${label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        ${createCounterSettingsHtml(name, col, info, isStack)}
+                        ${createStateSettingsHtml(name, col, info, isStack)}
                         <div class="form-group">
                             <label>Missing data handling</label>
                             <select class="select col-cleanup"
@@ -784,6 +1768,80 @@ function updateColumnSettingsUI(name, selectedColumns, isStack = false) {
                                 </option>
                             </select>
                         </div>
+                        <div class="form-group">
+                            <label>Interval aggregation</label>
+                            <select class="select col-aggregation"
+                                data-filename="${escapeHtml(name)}"
+                                data-column="${escapeHtml(col)}"
+                                data-isstack="${isStack}"
+                                title="Used when this source is aggregated within each interval">
+                                ${Object.entries(AGGREGATION_LABELS).map(([value, label]) => `
+                                    <option value="${value}" ${info.aggregation[col] === value ? 'selected' : ''}>${label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label>Maximum gap to fill</label>
+                            <input type="text" class="input col-max-gap"
+                                data-filename="${escapeHtml(name)}"
+                                data-column="${escapeHtml(col)}"
+                                data-isstack="${isStack}"
+                                placeholder="No limit (e.g. 15min, 2h, 1D)"
+                                value="${escapeHtml(info.maxGap[col] || '')}">
+                            <label class="checkbox-label">
+                                <input type="checkbox" class="col-flag-gaps"
+                                    data-filename="${escapeHtml(name)}"
+                                    data-column="${escapeHtml(col)}"
+                                    data-isstack="${isStack}"
+                                    ${info.flagGaps[col] ? 'checked' : ''}>
+                                Add a flag column marking values left blank
+                            </label>
+                        </div>
+                        <div class="form-group">
+                            <label>Time offset</label>
+                            <input type="text" class="input col-time-offset"
+                                data-filename="${escapeHtml(name)}"
+                                data-column="${escapeHtml(col)}"
+                                data-isstack="${isStack}"
+                                placeholder="None (e.g. -90s, +2min)"
+                                title="Added to this column's timestamps before alignment, on top of the source's offset"
+                                value="${escapeHtml(info.timeOffset?.[col] || '')}">
+                        </div>
+                        <div class="form-group">
+                            <label>Data quality</label>
+                            <label class="checkbox-label">
+                                <input type="checkbox" class="col-quality"
+                                    data-filename="${escapeHtml(name)}"
+                                    data-column="${escapeHtml(col)}"
+                                    data-isstack="${isStack}"
+                                    ${info.quality[col] ? 'checked' : ''}>
+                                Record whether each value is measured or synthesized
+                            </label>
+                        </div>
+                    </div>
+                    <div class="column-filters">
+                        <div class="column-filters-title">🧽 Outlier filters <span>(in the source units, before conversion; removed values count as missing)</span></div>
+                        <div class="column-setting-grid">
+                            ${Object.entries(FILTER_FIELDS).map(([key, [label, placeholder]]) => `
+                                <div class="form-group">
+                                    <label>${label}</label>
+                                    <input type="text" class="input col-filter"
+                                        data-filename="${escapeHtml(name)}"
+                                        data-column="${escapeHtml(col)}"
+                                        data-isstack="${isStack}"
+                                        data-filter="${key}"
+                                        placeholder="${escapeHtml(placeholder)}"
+                                        value="${escapeHtml(info.filters?.[col]?.[key] || '')}">
+                                </div>
+                            `).join('')}
+                        </div>
+                        <div class="filter-report">${getFilterReportHtml(info, col)}</div>
+                    </div>
+                    <div class="column-transforms"
+                        data-filename="${escapeHtml(name)}"
+                        data-column="${escapeHtml(col)}"
+                        data-isstack="${isStack}">
+                        ${createTransformsHtml(info, col)}
                     </div>
                 </div>
             </div>
@@ -792,43 +1850,459 @@ function updateColumnSettingsUI(name, selectedColumns, isStack = false) {
 
     settingsContainer.innerHTML = html;
 
-    // Add event listeners for settings inputs
-    settingsContainer.querySelectorAll('.col-title').forEach(input => {
-        input.addEventListener('change', (e) => {
-            const fn = e.target.dataset.filename;
-            const col = e.target.dataset.column;
-            const isStackEl = e.target.dataset.isstack === 'true';
-            const target = isStackEl ? AppState.stacks[fn] : AppState.files[fn];
-            if (target) {
-                target.selectedCols[col] = e.target.value;
-                updateGraphColumnOptions();
-            }
-        });
+    // Add event listeners for settings inputs
+    settingsContainer.querySelectorAll('.col-title').forEach(input => {
+        input.addEventListener('change', (e) => {
+            const fn = e.target.dataset.filename;
+            const col = e.target.dataset.column;
+            const isStackEl = e.target.dataset.isstack === 'true';
+            const target = isStackEl ? AppState.stacks[fn] : AppState.files[fn];
+            if (target) {
+                target.selectedCols[col] = e.target.value;
+                updateGraphColumnOptions();
+            }
+        });
+    });
+
+    settingsContainer.querySelectorAll('.col-units').forEach(input => {
+        input.addEventListener('change', (e) => {
+            const fn = e.target.dataset.filename;
+            const col = e.target.dataset.column;
+            const isStackEl = e.target.dataset.isstack === 'true';
+            const target = isStackEl ? AppState.stacks[fn] : AppState.files[fn];
+            if (target) {
+                target.units[col] = e.target.value;
+            }
+        });
+    });
+
+    settingsContainer.querySelectorAll('.col-output-unit').forEach(input => {
+        input.addEventListener('change', (e) => {
+            const fn = e.target.dataset.filename;
+            const col = e.target.dataset.column;
+            const isStackEl = e.target.dataset.isstack === 'true';
+            const target = isStackEl ? AppState.stacks[fn] : AppState.files[fn];
+            if (!target) return;
+
+            const outputUnit = e.target.value.trim();
+            const problem = outputUnit ? checkUnitConversion(target.units[col], outputUnit) : null;
+            e.target.classList.toggle('input-error', Boolean(problem));
+            if (problem) {
+                showStatus(`${target.selectedCols[col] || col}: ${problem}`, 'error');
+                return;
+            }
+            target.outputUnit = target.outputUnit || {};
+            target.outputUnit[col] = outputUnit;
+        });
+    });
+
+    settingsContainer.querySelectorAll('.col-type').forEach(select => {
+        select.addEventListener('change', (e) => {
+            const fn = e.target.dataset.filename;
+            const col = e.target.dataset.column;
+            const isStackEl = e.target.dataset.isstack === 'true';
+            const target = isStackEl ? AppState.stacks[fn] : AppState.files[fn];
+            if (!target) return;
+            target.columnType = target.columnType || {};
+            target.columnType[col] = e.target.value;
+            // Type-specific settings come and go with the type
+            updateColumnSettingsUI(fn, Object.keys(target.selectedCols), isStackEl);
+            document.getElementById(`col-setting-${sanitizeId(fn)}-${sanitizeId(col)}`)?.classList.add('open');
+        });
+    });
+
+    settingsContainer.querySelectorAll('.col-counter').forEach(input => {
+        input.addEventListener('change', (e) => {
+            const fn = e.target.dataset.filename;
+            const col = e.target.dataset.column;
+            const isStackEl = e.target.dataset.isstack === 'true';
+            const target = isStackEl ? AppState.stacks[fn] : AppState.files[fn];
+            if (!target) return;
+            target.counter = target.counter || {};
+            const settings = { ...target.counter[col], [e.target.dataset.setting]: e.target.value.trim() };
+            try {
+                DataProcessing.parseCounter(settings);
+                e.target.classList.remove('input-error');
+                target.counter[col] = settings;
+            } catch (error) {
+                e.target.classList.add('input-error');
+                showStatus(error.message, 'error');
+            }
+        });
+    });
+
+    settingsContainer.querySelectorAll('.col-state').forEach(input => {
+        input.addEventListener('change', (e) => {
+            const fn = e.target.dataset.filename;
+            const col = e.target.dataset.column;
+            const isStackEl = e.target.dataset.isstack === 'true';
+            const target = isStackEl ? AppState.stacks[fn] : AppState.files[fn];
+            if (!target) return;
+            target.state = target.state || {};
+            target.state[col] = { ...target.state[col], [e.target.dataset.setting]: e.target.value.trim() };
+        });
+    });
+
+    settingsContainer.querySelectorAll('.col-cleanup').forEach(select => {
+        select.addEventListener('change', (e) => {
+            const fn = e.target.dataset.filename;
+            const col = e.target.dataset.column;
+            const isStackEl = e.target.dataset.isstack === 'true';
+            const target = isStackEl ? AppState.stacks[fn] : AppState.files[fn];
+            if (target) {
+                target.cleanup[col] = e.target.value;
+            }
+        });
+    });
+
+    settingsContainer.querySelectorAll('.col-aggregation').forEach(select => {
+        select.addEventListener('change', (e) => {
+            const fn = e.target.dataset.filename;
+            const col = e.target.dataset.column;
+            const isStackEl = e.target.dataset.isstack === 'true';
+            const target = isStackEl ? AppState.stacks[fn] : AppState.files[fn];
+            if (target) {
+                target.aggregation[col] = e.target.value;
+            }
+        });
+    });
+
+    settingsContainer.querySelectorAll('.col-max-gap').forEach(input => {
+        input.addEventListener('change', (e) => {
+            const fn = e.target.dataset.filename;
+            const col = e.target.dataset.column;
+            const isStackEl = e.target.dataset.isstack === 'true';
+            const target = isStackEl ? AppState.stacks[fn] : AppState.files[fn];
+            const invalid = isNaN(DataProcessing.parseMaxGap(e.target.value));
+            e.target.classList.toggle('input-error', invalid);
+            if (invalid) {
+                showStatus(`Maximum gap "${e.target.value}" not recognised. Use e.g. 30s, 15min, 2h, 1D or a number of minutes.`, 'error');
+            } else if (target) {
+                target.maxGap[col] = e.target.value.trim();
+            }
+        });
+    });
+
+    settingsContainer.querySelectorAll('.col-time-offset').forEach(input => {
+        input.addEventListener('change', (e) => {
+            const fn = e.target.dataset.filename;
+            const col = e.target.dataset.column;
+            const isStackEl = e.target.dataset.isstack === 'true';
+            const target = isStackEl ? AppState.stacks[fn] : AppState.files[fn];
+            const invalid = isNaN(TimeUtils.parseTimeOffset(e.target.value));
+            e.target.classList.toggle('input-error', invalid);
+            if (invalid) {
+                showStatus(`Time offset "${e.target.value}" not recognised. Use e.g. -90s, +2min, 1h or a number of minutes.`, 'error');
+            } else if (target) {
+                target.timeOffset = target.timeOffset || {};
+                target.timeOffset[col] = e.target.value.trim();
+            }
+        });
+    });
+
+    settingsContainer.querySelectorAll('.col-filter').forEach(input => {
+        input.addEventListener('change', (e) => {
+            const fn = e.target.dataset.filename;
+            const col = e.target.dataset.column;
+            const isStackEl = e.target.dataset.isstack === 'true';
+            const target = isStackEl ? AppState.stacks[fn] : AppState.files[fn];
+            if (!target) return;
+
+            target.filters = target.filters || {};
+            target.filters[col] = { ...target.filters[col], [e.target.dataset.filter]: e.target.value.trim() };
+            const report = e.target.closest('.column-filters').querySelector('.filter-report');
+            report.innerHTML = getFilterReportHtml(target, col);
+            e.target.classList.toggle('input-error', Boolean(report.querySelector('.filter-error')));
+        });
+    });
+
+    settingsContainer.querySelectorAll('.column-transforms').forEach(setupTransformListeners);
+
+    settingsContainer.querySelectorAll('.col-flag-gaps').forEach(checkbox => {
+        checkbox.addEventListener('change', (e) => {
+            const fn = e.target.dataset.filename;
+            const col = e.target.dataset.column;
+            const isStackEl = e.target.dataset.isstack === 'true';
+            const target = isStackEl ? AppState.stacks[fn] : AppState.files[fn];
+            if (target) {
+                target.flagGaps[col] = e.target.checked;
+            }
+        });
+    });
+
+    settingsContainer.querySelectorAll('.col-quality').forEach(checkbox => {
+        checkbox.addEventListener('change', (e) => {
+            const fn = e.target.dataset.filename;
+            const col = e.target.dataset.column;
+            const isStackEl = e.target.dataset.isstack === 'true';
+            const target = isStackEl ? AppState.stacks[fn] : AppState.files[fn];
+            if (target) {
+                target.quality[col] = e.target.checked;
+            }
+        });
+    });
+}
+
+/**
+ * Create the counter settings of a column (nothing unless it is a counter)
+ */
+function createCounterSettingsHtml(name, col, info, isStack) {
+    if (info.columnType?.[col] !== 'counter') return '';
+    const counter = info.counter?.[col] || {};
+    const attributes = (setting) => `
+        data-filename="${escapeHtml(name)}"
+        data-column="${escapeHtml(col)}"
+        data-isstack="${isStack}"
+        data-setting="${setting}"`;
+    const output = counter.output || 'delta';
+    const per = counter.per || 'h';
+
+    return `
+        <div class="form-group">
+            <label>Counter output</label>
+            <select class="select col-counter" ${attributes('output')}
+                title="Resets and rollovers are corrected first, so the total only goes up">
+                <option value="delta" ${output === 'delta' ? 'selected' : ''}>Consumption per interval (delta)</option>
+                <option value="rate" ${output === 'rate' ? 'selected' : ''}>Rate</option>
+                <option value="total" ${output === 'total' ? 'selected' : ''}>Running total</option>
+            </select>
+        </div>
+        <div class="form-group">
+            <label>Rolls over at</label>
+            <input type="text" class="input col-counter" ${attributes('rollover')}
+                placeholder="Guess from the readings (e.g. 999999)"
+                value="${escapeHtml(counter.rollover || '')}">
+        </div>
+        <div class="form-group">
+            <label>Rate per</label>
+            <select class="select col-counter" ${attributes('per')}>
+                ${['s', 'min', 'h', 'D'].map(unit => `<option value="${unit}" ${per === unit ? 'selected' : ''}>${unit}</option>`).join('')}
+            </select>
+        </div>
+    `;
+}
+
+/**
+ * Create the state settings of a column (nothing unless it is a discrete state)
+ */
+function createStateSettingsHtml(name, col, info, isStack) {
+    if (info.columnType?.[col] !== 'state') return '';
+    const state = info.state?.[col] || {};
+    const attributes = (setting) => `
+        data-filename="${escapeHtml(name)}"
+        data-column="${escapeHtml(col)}"
+        data-isstack="${isStack}"
+        data-setting="${setting}"`;
+    const output = state.output || 'value';
+
+    return `
+        <div class="form-group">
+            <label>State output</label>
+            <select class="select col-state" ${attributes('output')}
+                title="States are never interpolated or averaged">
+                <option value="value" ${output === 'value' ? 'selected' : ''}>Last known value (sample and hold)</option>
+                <option value="fraction" ${output === 'fraction' ? 'selected' : ''}>Fraction of each interval in each state</option>
+                <option value="transitions" ${output === 'transitions' ? 'selected' : ''}>Number of changes in each interval</option>
+            </select>
+        </div>
+        <div class="form-group">
+            <label>States to time</label>
+            <input type="text" class="input col-state" ${attributes('states')}
+                placeholder="Every state logged (e.g. OPEN, CLOSED)"
+                title="For fraction output: one column per state"
+                value="${escapeHtml(state.states || '')}">
+        </div>
+    `;
+}
+
+/**
+ * Describe what a column's outlier filters remove from its data
+ */
+function getFilterReportHtml(info, col) {
+    try {
+        if (!DataProcessing.parseFilters(info.filters?.[col])) return '';
+        const { removed } = DataProcessing.filterSeries(getColumnSeries(info, col), info.filters[col]);
+        const described = DataProcessing.describeFiltered(removed);
+        return described ? `Removes ${escapeHtml(described)}.` : 'Removes no values.';
+    } catch (error) {
+        return `<span class="filter-error">⚠️ ${escapeHtml(error.message)}</span>`;
+    }
+}
+
+/**
+ * Create the transform pipeline editor of a column
+ */
+function createTransformsHtml(info, col) {
+    const transform = info.transforms?.[col] || { steps: [] };
+    const steps = transform.steps.map((step, i) => {
+        let problem = '';
+        try {
+            DataProcessing.parseTransform(step);
+        } catch (error) {
+            problem = error.message;
+        }
+        const definition = DataProcessing.TRANSFORMS[step.type];
+        return `
+            <div class="transform-step">
+                <select class="select transform-type" data-index="${i}">
+                    ${Object.entries(DataProcessing.TRANSFORMS).map(([type, { label }]) => `
+                        <option value="${type}" ${step.type === type ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+                <input type="text" class="input transform-param${problem ? ' input-error' : ''}" data-index="${i}"
+                    placeholder="${escapeHtml(`${definition.param}, default ${definition.default}`)}"
+                    title="${escapeHtml(problem || definition.param)}"
+                    value="${escapeHtml(step.param || '')}">
+                <button type="button" class="btn btn-secondary btn-sm transform-remove" data-index="${i}" title="Remove">✕</button>
+            </div>
+        `;
+    }).join('');
+
+    const options = transform.steps.length === 0 ? '' : `
+        <div class="column-setting-grid">
+            <div class="form-group">
+                <label>Applied</label>
+                <select class="select transform-stage">
+                    <option value="after" ${transform.stage !== 'before' ? 'selected' : ''}>After alignment, on the output rows</option>
+                    <option value="before" ${transform.stage === 'before' ? 'selected' : ''}>Before alignment, on the samples as logged</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label>Output</label>
+                <select class="select transform-output">
+                    <option value="add" ${transform.addColumn ? 'selected' : ''}>As an extra column</option>
+                    <option value="replace" ${transform.addColumn ? '' : 'selected'}>Instead of the raw values</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label>Extra column title</label>
+                <input type="text" class="input transform-title" ${transform.addColumn ? '' : 'disabled'}
+                    placeholder="${escapeHtml(`${info.selectedCols[col] || col} (${DataProcessing.describeTransforms(transform.steps)})`)}"
+                    value="${escapeHtml(transform.title || '')}">
+            </div>
+        </div>
+    `;
+
+    return `
+        <div class="column-filters-title">〰️ Transforms <span>(smoothing and rates, applied in order; the graph overlays them)</span></div>
+        ${steps}
+        <button type="button" class="btn btn-secondary btn-sm transform-add">➕ Add transform</button>
+        ${options}
+    `;
+}
+
+/**
+ * Wire a column's transform pipeline editor
+ */
+function setupTransformListeners(container) {
+    const { filename, column } = container.dataset;
+    const info = container.dataset.isstack === 'true' ? AppState.stacks[filename] : AppState.files[filename];
+    if (!info) return;
+
+    const transform = () => {
+        info.transforms = info.transforms || {};
+        info.transforms[column] = info.transforms[column] || { steps: [], stage: 'after', addColumn: true, title: '' };
+        return info.transforms[column];
+    };
+    const render = () => {
+        container.innerHTML = createTransformsHtml(info, column);
+        scheduleSessionSave();
+    };
+
+    container.addEventListener('click', (e) => {
+        if (e.target.closest('.transform-add')) {
+            transform().steps.push({ type: 'movingAverage', param: '' });
+            render();
+        } else if (e.target.closest('.transform-remove')) {
+            transform().steps.splice(parseInt(e.target.closest('.transform-remove').dataset.index, 10), 1);
+            render();
+        }
     });
 
-    settingsContainer.querySelectorAll('.col-units').forEach(input => {
-        input.addEventListener('change', (e) => {
-            const fn = e.target.dataset.filename;
-            const col = e.target.dataset.column;
-            const isStackEl = e.target.dataset.isstack === 'true';
-            const target = isStackEl ? AppState.stacks[fn] : AppState.files[fn];
-            if (target) {
-                target.units[col] = e.target.value;
+    container.addEventListener('change', (e) => {
+        const target = e.target;
+        const current = transform();
+        if (target.classList.contains('transform-type')) {
+            current.steps[target.dataset.index] = { type: target.value, param: '' };
+            render();
+        } else if (target.classList.contains('transform-param')) {
+            const step = current.steps[target.dataset.index];
+            step.param = target.value.trim();
+            try {
+                DataProcessing.parseTransform(step);
+                target.classList.remove('input-error');
+            } catch (error) {
+                target.classList.add('input-error');
+                showStatus(error.message, 'error');
             }
-        });
+        } else if (target.classList.contains('transform-stage')) {
+            current.stage = target.value;
+        } else if (target.classList.contains('transform-output')) {
+            current.addColumn = target.value === 'add';
+            render();
+        } else if (target.classList.contains('transform-title')) {
+            current.title = target.value.trim();
+        }
     });
+}
 
-    settingsContainer.querySelectorAll('.col-cleanup').forEach(select => {
-        select.addEventListener('change', (e) => {
-            const fn = e.target.dataset.filename;
-            const col = e.target.dataset.column;
-            const isStackEl = e.target.dataset.isstack === 'true';
-            const target = isStackEl ? AppState.stacks[fn] : AppState.files[fn];
-            if (target) {
-                target.cleanup[col] = e.target.value;
-            }
-        });
-    });
+// ===== UNIT CONVERSIONS =====
+
+/**
+ * User-defined units from the custom units box
+ * @returns {Array<Object>} - See Units.parseCustom
+ */
+function getCustomUnits() {
+    return Units.parseCustom(elements.customUnits.value);
+}
+
+/**
+ * Check that a column can be converted from its unit to an output unit
+ * @param {string} unit - Source unit
+ * @param {string} outputUnit
+ * @returns {string|null} - The problem, or null when the conversion works
+ */
+function checkUnitConversion(unit, outputUnit) {
+    if (!unit) return 'Set the column\'s unit before choosing a unit to convert to.';
+    try {
+        Units.converter(unit, outputUnit, getCustomUnits());
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Fill the unit suggestion list from the catalogue and the custom units
+ */
+function updateUnitOptions() {
+    const list = document.getElementById('unit-options');
+    let custom = [];
+    try {
+        custom = getCustomUnits();
+    } catch (error) {
+        // Reported when the box is changed
+    }
+    list.innerHTML = Units.compatible('', custom)
+        .map(unit => `<option value="${escapeHtml(unit)}">`)
+        .join('');
+}
+
+/**
+ * Check the custom units box and refresh the suggestions
+ */
+function handleCustomUnitsChange() {
+    try {
+        const custom = getCustomUnits();
+        elements.customUnits.classList.remove('input-error');
+        if (custom.length > 0) {
+            showStatus(`✅ ${custom.length} custom unit(s) defined.`, 'success');
+        }
+    } catch (error) {
+        elements.customUnits.classList.add('input-error');
+        showStatus(error.message, 'error');
+    }
+    updateUnitOptions();
 }
 
 function updateSectionVisibility() {
@@ -842,6 +2316,119 @@ function updateSectionVisibility() {
     elements.downloadSection.classList.toggle('hidden', !hasDataSources);
 }
 
+// ===== CALCULATED COLUMNS =====
+
+/**
+ * Titles of the merged columns, as calculated columns refer to them
+ * @returns {Array<string>}
+ */
+function getOutputColumnTitles() {
+    const stackedFiles = getStackedFiles();
+    const sources = [
+        ...Object.values(AppState.stacks),
+        ...Object.entries(AppState.files).filter(([name]) => !stackedFiles.has(name)).map(([, info]) => info)
+    ];
+    return sources.flatMap(info => Object.entries(info.selectedCols || {}).flatMap(([col, title]) => {
+        if (info.columnType?.[col] === 'state') {
+            const state = DataProcessing.parseState(info.state?.[col]);
+            if (state.output !== 'fraction') return [title];
+            try {
+                const states = state.states || DataProcessing.listStates({ values: info.data.map(row => row[col]) });
+                return states.map(value => `${title} (${value} fraction)`);
+            } catch (error) {
+                return [];
+            }
+        }
+        const titles = [title];
+        if (info.flagGaps?.[col] && isFinite(DataProcessing.parseMaxGap(info.maxGap?.[col]))) {
+            titles.push(`${title} gap`);
+        }
+        const transform = info.transforms?.[col];
+        if (transform?.steps?.length > 0 && transform.addColumn) {
+            titles.push(transform.title || `${title} (${DataProcessing.describeTransforms(transform.steps)})`);
+        }
+        return titles;
+    }));
+}
+
+/**
+ * Check a calculated column's formula and the columns it refers to
+ * @param {number} index - Position in AppState.calculatedColumns (earlier ones can be used)
+ * @returns {string|null} - The problem, or null when the formula is fine
+ */
+function checkCalculatedColumn(index) {
+    const { title, expression } = AppState.calculatedColumns[index];
+    if (!expression.trim()) return null;
+    if (!title.trim()) return 'Give the calculated column a title.';
+
+    let formula;
+    try {
+        formula = Formulas.parse(expression);
+    } catch (error) {
+        return error.message;
+    }
+    const known = new Set([
+        ...getOutputColumnTitles(),
+        ...AppState.calculatedColumns.slice(0, index).map(calc => calc.title.trim())
+    ]);
+    const unknown = Formulas.columns(formula).filter(col => !known.has(col));
+    return unknown.length > 0 ? `Unknown column(s) ${unknown.map(col => `[${col}]`).join(', ')}` : null;
+}
+
+/**
+ * Calculated columns with a formula, for the combine step
+ * @returns {Array<{title: string, expression: string, units: string}>}
+ */
+function getCalculatedColumns() {
+    return AppState.calculatedColumns
+        .filter(calc => calc.expression.trim())
+        .map(calc => ({ title: calc.title.trim(), expression: calc.expression, units: calc.units.trim() }));
+}
+
+/**
+ * Show the calculated column editor rows
+ */
+function renderCalculatedColumns() {
+    elements.calculatedList.innerHTML = AppState.calculatedColumns.map((calc, i) => {
+        const problem = checkCalculatedColumn(i);
+        return `
+            <div class="calculated-row" data-index="${i}">
+                <input type="text" class="input calc-title" data-index="${i}" value="${escapeHtml(calc.title)}" placeholder="Title">
+                <input type="text" class="input calc-expression${problem ? ' input-error' : ''}" data-index="${i}"
+                    value="${escapeHtml(calc.expression)}" placeholder="[Flow A] + [Flow B]" spellcheck="false"
+                    title="${escapeHtml(problem || '')}">
+                <input type="text" class="input calc-units" data-index="${i}" value="${escapeHtml(calc.units)}"
+                    placeholder="Units" list="unit-options">
+                <button class="btn btn-secondary btn-sm calc-remove" data-index="${i}" title="Remove">✕</button>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Store an edited calculated column and check its formula
+ */
+function handleCalculatedColumnChange(e) {
+    const index = parseInt(e.target.dataset.index, 10);
+    const calc = AppState.calculatedColumns[index];
+    if (!calc) return;
+
+    if (e.target.classList.contains('calc-title')) calc.title = e.target.value;
+    else if (e.target.classList.contains('calc-expression')) calc.expression = e.target.value;
+    else if (e.target.classList.contains('calc-units')) calc.units = e.target.value;
+
+    // Titles feed later formulas, so every row is checked again
+    let firstProblem = null;
+    elements.calculatedList.querySelectorAll('.calc-expression').forEach(input => {
+        const i = parseInt(input.dataset.index, 10);
+        const problem = checkCalculatedColumn(i);
+        input.classList.toggle('input-error', !!problem);
+        input.title = problem || '';
+        if (problem && !firstProblem) firstProblem = `Calculated column "${AppState.calculatedColumns[i].title}": ${problem}`;
+    });
+    if (firstProblem) showStatus(firstProblem, 'error');
+}
+
 // ===== ALIGNMENT OPTIONS =====
 
 function updateAlignmentOptions() {
@@ -858,7 +2445,7 @@ function updateAlignmentOptions() {
             <select class="select alignment-select" data-filename="${escapeHtml(stackName)}" data-isstack="true">
                 <option value="Fill with the nearest value">Fill with the nearest value</option>
                 <option value="Do a linear interpolation from the nearest values">Do a linear interpolation from the nearest values</option>
-                <option value="Take an average of the available values within the interval">Take an average of the available values within the interval</option>
+                <option value="Take an average of the available values within the interval">Aggregate the available values within each interval (per-column aggregation)</option>
             </select>
         `;
         elements.alignmentOptions.appendChild(div);
@@ -875,11 +2462,19 @@ function updateAlignmentOptions() {
             <select class="select alignment-select" data-filename="${escapeHtml(fileName)}">
                 <option value="Fill with the nearest value">Fill with the nearest value</option>
                 <option value="Do a linear interpolation from the nearest values">Do a linear interpolation from the nearest values</option>
-                <option value="Take an average of the available values within the interval">Take an average of the available values within the interval</option>
+                <option value="Take an average of the available values within the interval">Aggregate the available values within each interval (per-column aggregation)</option>
             </select>
         `;
         elements.alignmentOptions.appendChild(div);
     }
+
+    // Keep the chosen methods when the list is rebuilt
+    elements.alignmentOptions.querySelectorAll('.alignment-select').forEach(select => {
+        select.value = AppState.alignment[select.dataset.filename] || select.value;
+        select.addEventListener('change', () => {
+            AppState.alignment[select.dataset.filename] = select.value;
+        });
+    });
 }
 
 // ===== DATE DEFAULTS =====
@@ -916,14 +2511,19 @@ function updateDefaultDatesFromData() {
         }
     }
 
+    // Show the range as wall-clock time in the output timezone
+    const outputTimezone = getOutputTimezone();
+
     if (earliest) {
-        elements.startDate.value = formatDateForInput(earliest);
-        elements.startTime.value = earliest.toTimeString().slice(0, 5);
+        const wallClock = TimeUtils.toWallClockDate(earliest.getTime(), outputTimezone);
+        elements.startDate.value = formatDateForInput(wallClock);
+        elements.startTime.value = formatTimeForInput(wallClock);
     }
     
     if (latest) {
-        elements.endDate.value = formatDateForInput(latest);
-        elements.endTime.value = latest.toTimeString().slice(0, 5);
+        const wallClock = TimeUtils.toWallClockDate(latest.getTime(), outputTimezone);
+        elements.endDate.value = formatDateForInput(wallClock);
+        elements.endTime.value = formatTimeForInput(wallClock);
     }
 }
 
@@ -1000,6 +2600,28 @@ function updateGraphColumnOptions() {
     }
 }
 
+/**
+ * A column's numeric values in time order, with the source and column time offsets applied
+ * @param {Object} info - File or stack info
+ * @param {string} col - Column name
+ * @returns {{times: Array<number>, values: Array<number>}} - Epoch ms and values
+ */
+function getColumnSeries(info, col) {
+    const parseTime = TimeUtils.parserForSource(info);
+    const offsetMs = TimeUtils.parseTimeOffset(info.timeOffset?.[col]) || 0;
+    const times = [];
+    const values = [];
+    for (const row of TimeUtils.sortRowsByTime(info.data, info.dateTimeCol, parseTime)) {
+        const ms = parseTime(row[info.dateTimeCol]);
+        const value = parseFloat(row[col]);
+        if (!isNaN(ms) && !isNaN(value)) {
+            times.push(ms + offsetMs);
+            values.push(value);
+        }
+    }
+    return { times, values };
+}
+
 /**
  * Generate graph with selected columns - optimized for performance
  */
@@ -1015,7 +2637,9 @@ async function generateGraph() {
     updateGlobalLoader(10, 'Loading data...');
 
     const traces = [];
+    AppState.graphedColumns = [];
     const totalColumns = checkedBoxes.length;
+    const outputTimezone = getOutputTimezone();
     let processed = 0;
     let totalPoints = 0;
 
@@ -1028,44 +2652,20 @@ async function generateGraph() {
         if (!info) continue;
 
         const dateTimeCol = info.dateTimeCol;
-        const data = info.data;
 
         if (!dateTimeCol) {
             console.warn(`No datetime column found for ${name}`);
             continue;
         }
 
-        // Sort by datetime
-        const sorted = [...data].sort((a, b) => {
-            return new Date(a[dateTimeCol]) - new Date(b[dateTimeCol]);
-        });
-
-        let x = [];
-        let y = [];
-        
-        for (const row of sorted) {
-            const xVal = new Date(row[dateTimeCol]);
-            const yVal = parseFloat(row[col]);
-            
-            if (!isNaN(xVal.getTime()) && !isNaN(yVal)) {
-                x.push(xVal);
-                y.push(yVal);
-            }
-        }
-
+        // Plot wall-clock time in the output timezone so zooming maps straight onto the time inputs
+        const series = getColumnSeries(info, col);
         // Downsample if too many points (keep max 2000 points per series for smooth interaction)
         const maxPoints = 2000;
-        if (x.length > maxPoints) {
-            const step = Math.ceil(x.length / maxPoints);
-            const downsampledX = [];
-            const downsampledY = [];
-            for (let i = 0; i < x.length; i += step) {
-                downsampledX.push(x[i]);
-                downsampledY.push(y[i]);
-            }
-            x = downsampledX;
-            y = downsampledY;
-        }
+        const step = Math.ceil(series.times.length / maxPoints);
+        const downsample = (values) => step > 1 ? values.filter((_, i) => i % step === 0) : values;
+        const x = downsample(series.times).map(ms => TimeUtils.toWallClockDate(ms, outputTimezone));
+        const y = downsample(series.values);
 
         if (x.length > 0) {
             totalPoints += x.length;
@@ -1078,6 +2678,26 @@ async function generateGraph() {
                 type: 'scattergl',  // WebGL for faster rendering
                 line: { width: 2 }
             });
+            AppState.graphedColumns.push({ name, col, isStack, label: `${displayName} (${name})` });
+
+            // Overlay the column's transforms, worked out on the samples as logged
+            const transform = info.transforms?.[col];
+            if (transform?.steps?.length > 0) {
+                try {
+                    const transformed = DataProcessing.transformSeries(series, transform.steps);
+                    traces.push({
+                        x: x,
+                        y: downsample(transformed.values),
+                        mode: 'lines',
+                        name: transform.title || `${displayName} (${DataProcessing.describeTransforms(transform.steps)})`,
+                        type: 'scattergl',
+                        connectgaps: true,
+                        line: { width: 2, dash: 'dot' }
+                    });
+                } catch (error) {
+                    console.warn(`Transforms of ${displayName} not shown: ${error.message}`);
+                }
+            }
         }
 
         processed++;
@@ -1151,12 +2771,88 @@ async function generateGraph() {
         }
     });
     
+    updateLagColumnOptions();
     updateGlobalLoader(100, `✅ Graph generated!`);
     setTimeout(hideGlobalLoader, 800);
     
     showStatus(`✅ Graph generated with ${traces.length} series (${totalPoints.toLocaleString()} points) - Drag to zoom and set time range!`, 'success');
 }
 
+/**
+ * Offer the graphed columns in the lag estimate
+ */
+function updateLagColumnOptions() {
+    const options = AppState.graphedColumns
+        .map((entry, i) => `<option value="${i}">${escapeHtml(entry.label)}</option>`)
+        .join('');
+    elements.lagReference.innerHTML = options;
+    elements.lagColumn.innerHTML = options;
+    if (AppState.graphedColumns.length > 1) elements.lagColumn.value = '1';
+    elements.lagResult.classList.add('hidden');
+}
+
+/**
+ * Estimate how far one graphed column trails another and offer the matching time offset
+ */
+async function estimateLag() {
+    const reference = AppState.graphedColumns[elements.lagReference.value];
+    const target = AppState.graphedColumns[elements.lagColumn.value];
+    if (!reference || !target || reference === target) {
+        showStatus('Graph at least two columns and choose two different ones to estimate a lag.', 'warning');
+        return;
+    }
+    const maxLagMs = Math.abs(TimeUtils.parseTimeOffset(elements.lagMax.value));
+    if (!maxLagMs) {
+        showStatus(`Largest lag "${elements.lagMax.value}" not recognised. Use e.g. 5min or 1h.`, 'error');
+        return;
+    }
+
+    const infoOf = (entry) => entry.isStack ? AppState.stacks[entry.name] : AppState.files[entry.name];
+    const referenceInfo = infoOf(reference);
+    const targetInfo = infoOf(target);
+    if (!referenceInfo || !targetInfo) return;
+
+    showGlobalLoader('Estimating lag...', () => WorkerClient.cancel());
+    try {
+        const result = await WorkerClient.run('estimateLag', {
+            a: getColumnSeries(referenceInfo, reference.col),
+            b: getColumnSeries(targetInfo, target.col),
+            maxLagMs
+        }, (percent, message) => updateGlobalLoader(percent, message));
+        hideGlobalLoader();
+
+        // The new offset adds to the one the column already has
+        const currentMs = TimeUtils.parseTimeOffset(targetInfo.timeOffset?.[target.col]) || 0;
+        const offset = TimeUtils.formatTimeOffset(currentMs - result.lagMs);
+        const atLimit = Math.abs(result.lagMs) >= maxLagMs - result.stepMs;
+        const targetTitle = targetInfo.selectedCols[target.col] || target.col;
+        const referenceTitle = referenceInfo.selectedCols[reference.col] || reference.col;
+        const relation = result.lagMs === 0
+            ? 'is in step with'
+            : `${result.lagMs > 0 ? 'trails' : 'leads'} by ${TimeUtils.formatTimeOffset(Math.abs(result.lagMs)).slice(1)}`;
+
+        elements.lagResult.innerHTML = `
+            ${escapeHtml(targetTitle)} ${relation} ${escapeHtml(referenceTitle)}
+            (correlation ${result.correlation.toFixed(2)}, ${TimeUtils.formatTimeOffset(result.stepMs).slice(1)} resolution).
+            ${atLimit ? '⚠️ The best match is at the edge of the search; try a larger lag.' : ''}
+            ${result.lagMs !== 0 ? `<button class="btn btn-secondary btn-sm" id="apply-lag-btn">Set its time offset to ${escapeHtml(offset)}</button>` : ''}
+        `;
+        elements.lagResult.classList.remove('hidden');
+
+        document.getElementById('apply-lag-btn')?.addEventListener('click', () => {
+            targetInfo.timeOffset = targetInfo.timeOffset || {};
+            targetInfo.timeOffset[target.col] = offset;
+            updateColumnSettingsUI(target.name, Object.keys(targetInfo.selectedCols), target.isStack);
+            scheduleSessionSave();
+            showStatus(`✅ ${targetTitle} now has a time offset of ${offset}. Generate the graph again to see it lined up.`, 'success');
+        });
+    } catch (error) {
+        hideGlobalLoader();
+        if (WorkerClient.isCancelled(error)) return;
+        showStatus(`Could not estimate the lag: ${error.message}`, 'error');
+    }
+}
+
 /**
  * Update time inputs based on graph selection
  */
@@ -1237,202 +2933,564 @@ async function createCombinedFile() {
         return;
     }
 
-    // Get time settings
-    const startDate = new Date(elements.startDate.value + 'T' + elements.startTime.value);
+    // Get time settings (the inputs are wall-clock times in the output timezone)
+    if (!TimeUtils.isValidTimezone(elements.outputTimezone.value.trim() || 'local')) {
+        showStatus(`Unknown output timezone "${elements.outputTimezone.value}".`, 'error');
+        return;
+    }
+    const outputTimezone = getOutputTimezone();
+    const startDate = readDateTimeInputs(elements.startDate, elements.startTime);
+
+    // Where the data goes in the template workbook
+    const mapping = AppState.templateMapping;
+    const mappingErrors = elements.outputFormat.value === 'xlsx' ? TemplateMapping.validate(mapping) : [];
+    if (mappingErrors.length > 0) {
+        showStatus(`Template layout: ${mappingErrors.join('; ')}`, 'error');
+        return;
+    }
     
     let endDate;
     const rangeMode = document.querySelector('input[name="range-mode"]:checked').value;
     if (rangeMode === 'end-date') {
-        endDate = new Date(elements.endDate.value + 'T' + elements.endTime.value);
+        endDate = readDateTimeInputs(elements.endDate, elements.endTime);
     } else {
+        // Add calendar days so a DST change inside the range doesn't shift the end time
         const days = parseInt(elements.durationDays.value) || 14;
-        endDate = new Date(startDate);
-        endDate.setDate(endDate.getDate() + days);
+        const endFields = TimeUtils.parseInputFields(elements.startDate.value, elements.startTime.value);
+        endDate = new Date(NaN);
+        if (endFields) {
+            const shifted = new Date(Date.UTC(endFields.year, endFields.month - 1, endFields.day + days));
+            endFields.year = shifted.getUTCFullYear();
+            endFields.month = shifted.getUTCMonth() + 1;
+            endFields.day = shifted.getUTCDate();
+            endDate = new Date(TimeUtils.wallClockToEpoch(endFields, outputTimezone));
+        }
+    }
+
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+        showStatus('Please enter a valid start and end date.', 'error');
+        return;
     }
 
     const interval = elements.interval.value;
 
+    let events;
+    try {
+        events = getEventOptions();
+    } catch (error) {
+        showStatus(error.message, 'error');
+        return;
+    }
+
+    // Download name from the pattern (checked now so a typo doesn't cost a full run)
+    const format = elements.outputFormat.value;
+    let fileName;
+    try {
+        fileName = OutputWriters.buildFileName(elements.outputFileName.value, format, {
+            start: TimeUtils.toWallClockDate(startDate.getTime(), outputTimezone),
+            end: TimeUtils.toWallClockDate(endDate.getTime(), outputTimezone),
+            startTime: startDate,
+            endTime: endDate,
+            timezone: outputTimezone,
+            interval,
+            stack: describeOutputSources(),
+            template: AppState.templateName ? AppState.templateName.replace(/\.[^.]+$/, '') : 'Analysis',
+            counter: parseInt(elements.outputCounter.value, 10) || 1
+        });
+    } catch (error) {
+        showStatus(error.message, 'error');
+        return;
+    }
+
     // Get alignment options
     const alignmentOptions = {};
     elements.alignmentOptions.querySelectorAll('.alignment-select').forEach(select => {
         alignmentOptions[select.dataset.filename] = select.value;
     });
 
+    // Build combined data sources (stacks + unstacked files)
+    const dataSources = {};
+    
+    // Add stacks
+    for (const [stackName, stackInfo] of Object.entries(AppState.stacks)) {
+        dataSources[stackName] = stackInfo;
+    }
+    
+    // Add individual files (not in stacks); the File object stays on the page
+    for (const [fileName, fileInfo] of Object.entries(AppState.files)) {
+        if (!stackedFiles.has(fileName)) {
+            const { file, ...info } = fileInfo;
+            dataSources[fileName] = info;
+        }
+    }
+
     // Show progress
     elements.createFileBtn.disabled = true;
     elements.progressContainer.classList.remove('hidden');
-    showGlobalLoader('Creating combined file...');
+    showGlobalLoader('Creating combined file...', () => WorkerClient.cancel());
     updateProgress(0, 'Starting file processing...');
     updateGlobalLoader(0, 'Starting file processing...');
 
     try {
-        // Generate timestamps
-        const timestamps = DataProcessing.generateTimeIndex(startDate, endDate, interval);
-        updateProgress(10, `Generated ${timestamps.length} timestamps...`);
-        updateGlobalLoader(10, `Generated ${timestamps.length} timestamps...`);
+        // Generate timestamps and align every source in the worker (0-70%)
+        const { combined, timeIndex } = await WorkerClient.run('combine', {
+            dataSources,
+            start: startDate,
+            end: endDate,
+            interval,
+            indexOptions: {
+                mode: elements.indexMode.value,
+                timezone: outputTimezone,
+                repeated: elements.dstRepeated.value,
+                skipped: elements.dstSkipped.value
+            },
+            binOptions: {
+                label: elements.binLabel.value,
+                closed: elements.binClosed.value
+            },
+            events,
+            alignmentOptions,
+            customUnits: elements.customUnits.value,
+            calculated: getCalculatedColumns()
+        }, (percent, message) => {
+            updateProgress(percent * 0.7, message);
+            updateGlobalLoader(percent * 0.7, message);
+        });
 
-        // Build combined data sources (stacks + unstacked files)
-        const dataSources = {};
-        
-        // Add stacks
-        for (const [stackName, stackInfo] of Object.entries(AppState.stacks)) {
-            dataSources[stackName] = stackInfo;
-        }
-        
-        // Add individual files (not in stacks)
-        for (const [fileName, fileInfo] of Object.entries(AppState.files)) {
-            if (!stackedFiles.has(fileName)) {
-                dataSources[fileName] = fileInfo;
-            }
-        }
+        // Writing the output cannot be cancelled
+        showGlobalLoader('Creating combined file...');
+        updateProgress(70, 'Data combined, preparing output file...');
+        updateGlobalLoader(70, 'Data combined, preparing output file...');
+
+        // The template workbook, or one of the formats read by other tools
+        let blob;
+        let notes = [];
+        if (format === 'xlsx') {
+            const written = writeTemplateWorkbook(combined, mapping, {
+                qualityOutput: elements.qualityOutput.value,
+                writeMode: elements.templateWriteMode.value,
+                formulas: elements.formulaOutput.value === 'formulas'
+            });
+            notes = written.notes;
 
-        // Create combined dataset
-        const combined = DataProcessing.createCombinedDataset(
-            dataSources, 
-            timestamps, 
-            alignmentOptions
-        );
-        updateProgress(50, 'Data combined, preparing Excel file...');
-        updateGlobalLoader(50, 'Data combined, preparing Excel file...');
-
-        // Use uploaded template or create new workbook
-        let workbook;
-        if (AppState.templateBytes) {
-            // Read fresh from raw bytes to preserve ALL formatting
-            workbook = XLSX.read(AppState.templateBytes, { 
+            updateProgress(95, 'Generating download...');
+            updateGlobalLoader(95, 'Generating download...');
+
+            // Generate file - use bookSST for better string handling
+            const wbout = XLSX.write(written.workbook, { 
+                bookType: 'xlsx', 
                 type: 'array',
-                cellStyles: true,      // Preserve cell styles
-                cellFormula: true,     // Preserve formulas
-                cellNF: true,          // Preserve number formats
-                sheetStubs: true       // Preserve empty cells with formatting
+                cellStyles: true  // Try to preserve styles on write
             });
-            console.log('Using uploaded template (preserving formatting)');
+            blob = new Blob([wbout], { type: OutputWriters.FORMATS.xlsx.mime });
+        } else {
+            updateProgress(90, 'Writing output file...');
+            updateGlobalLoader(90, 'Writing output file...');
+            blob = await writeOutputFile(format, combined, dataSources, outputTimezone);
+        }
+        
+        // Create download link
+        const url = URL.createObjectURL(blob);
+        elements.outputCounter.value = (parseInt(elements.outputCounter.value, 10) || 1) + 1;
+        scheduleSessionSave();
+        
+        elements.downloadBtn.onclick = () => {
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = fileName;
+            a.click();
+        };
+
+        renderDownloadSummary([...buildDownloadSummary(combined, timeIndex, outputTimezone), ...notes]);
+        elements.downloadBtn.textContent = `📥 Download ${fileName}`;
+        elements.downloadContainer.classList.remove('hidden');
+        updateProgress(100, '✅ Combined file created!');
+        updateGlobalLoader(100, '✅ Combined file created!');
+
+        setTimeout(hideGlobalLoader, 800);
+
+        if (notes.some(note => note.warning)) {
+            showStatus('✅ Combined file created, with warnings - see the notes above the download button.', 'warning');
         } else {
-            console.log('Creating new workbook (no template)');
-            workbook = XLSX.utils.book_new();
-            const ws = XLSX.utils.aoa_to_sheet([[]]);
-            XLSX.utils.book_append_sheet(workbook, ws, 'Analysis');
+            showStatus('✅ Combined file created! Click the download button to save.', 'success');
+        }
+
+    } catch (error) {
+        if (WorkerClient.isCancelled(error)) {
+            elements.progressContainer.classList.add('hidden');
+            showStatus('Creating the combined file was cancelled.', 'warning');
+            hideGlobalLoader();
+            return;
         }
+        console.error('Error creating combined file:', error);
+        showStatus(`Error creating file: ${error.message}`, 'error');
+        hideGlobalLoader();
+    } finally {
+        elements.createFileBtn.disabled = false;
+    }
+}
+
+/**
+ * Names for the {stack} file name token: the stacks with selected columns, or the
+ * unstacked files (without extension) when there are none
+ * @returns {string}
+ */
+function describeOutputSources() {
+    const hasColumns = (info) => Object.keys(info.selectedCols || {}).length > 0;
+    const stacks = Object.keys(AppState.stacks).filter(name => hasColumns(AppState.stacks[name]));
+    if (stacks.length > 0) return stacks.join('+');
+
+    const stackedFiles = getStackedFiles();
+    return Object.keys(AppState.files)
+        .filter(name => !stackedFiles.has(name) && hasColumns(AppState.files[name]))
+        .map(name => name.replace(/\.(csv|xlsx?)(?=$| \[)/i, ''))
+        .join('+');
+}
+
+/**
+ * Write the combined data into the template workbook (or a new one) following the template layout
+ * @param {Object} combined - Combined dataset
+ * @param {Object} mapping - Template mapping
+ * @param {Object} options - { qualityOutput: 'columns'|'sheet'|'comments', writeMode: 'clear'|'overwrite',
+ *   formulas (write calculated columns as Excel formulas) }
+ * @returns {{workbook: Object, notes: Array<{text: string, warning: boolean}>}} - Notes for the download summary
+ */
+function writeTemplateWorkbook(combined, mapping, { qualityOutput, writeMode, formulas }) {
+    const layout = TemplateMapping.layout(mapping);
+
+    // Use uploaded template or create new workbook
+    let workbook;
+    if (AppState.templateBytes) {
+        // Read fresh from raw bytes to preserve ALL formatting
+        workbook = XLSX.read(AppState.templateBytes, { 
+            type: 'array',
+            cellStyles: true,      // Preserve cell styles
+            cellFormula: true,     // Preserve formulas
+            cellNF: true,          // Preserve number formats
+            sheetStubs: true       // Preserve empty cells with formatting
+        });
+        console.log('Using uploaded template (preserving formatting)');
+    } else {
+        console.log('Creating new workbook (no template)');
+        workbook = XLSX.utils.book_new();
+        const ws = XLSX.utils.aoa_to_sheet([[]]);
+        XLSX.utils.book_append_sheet(workbook, ws, mapping.sheet);
+    }
 
-        updateProgress(70, 'Writing data to Excel...');
-        updateGlobalLoader(70, 'Writing data to Excel...');
+    updateProgress(70, 'Writing data to Excel...');
+    updateGlobalLoader(70, 'Writing data to Excel...');
 
-        // Get or create Analysis sheet
-        let ws = workbook.Sheets['Analysis'];
-        if (!ws) {
-            ws = XLSX.utils.aoa_to_sheet([[]]);
-            XLSX.utils.book_append_sheet(workbook, ws, 'Analysis');
+    // Get or create the sheet the template layout points at
+    let ws = workbook.Sheets[mapping.sheet];
+    if (!ws) {
+        ws = XLSX.utils.aoa_to_sheet([[]]);
+        XLSX.utils.book_append_sheet(workbook, ws, mapping.sheet);
+    }
+    TemplateMapping.clearMarkers(ws);
+
+    // Output columns after the Date column; quality columns sit next to the column they describe
+    const outputColumns = OutputWriters.columns(combined, qualityOutput === 'columns');
+    const notes = [];
+
+    // Charts, pictures and shapes in the template are not written back, so they cannot be resized either
+    if (AppState.templateBytes) {
+        const { charts, drawings } = TemplateMapping.findDrawings(AppState.templateBytes);
+        if (charts > 0 || drawings > 0) {
+            notes.push({
+                text: `⚠️ The template's ${charts > 0 ? `${charts} chart(s)` : 'pictures and shapes'} will be lost: they are not carried into the output file`,
+                warning: true
+            });
+        }
+    }
+
+    // Headers in the header row: Date in the date column, the data columns from the header cell
+    // (with the default layout: B10 = Date, C10, D10, ... = columns)
+    const headerCells = [
+        { c: layout.dateCol, header: 'Date', unit: '' },
+        ...outputColumns.map((col, i) => ({ c: TemplateMapping.columnAt(layout, layout.headerCol, i), ...col }))
+    ];
+    const dataCols = outputColumns.map((col, i) => TemplateMapping.columnAt(layout, layout.dataCol, i));
+    const lastDataRow = layout.dataRow + combined.data.length - 1;
+
+    // Calculated columns as live formulas over the cells of the columns they use
+    const letters = {};
+    outputColumns.forEach((col, c) => {
+        if (!col.quality) letters[col.key] = XLSX.utils.encode_col(dataCols[c]);
+    });
+    const excel = OutputWriters.excelFormulas(formulas ? combined : { formulas: {} }, letters, layout.dataRow + 1);
+    excel.notes.forEach(text => notes.push({ text: `🧮 ${text}`, warning: true }));
+
+    // Replace the previous export: clear its block, then report anything else the new data lands on
+    let block = null;
+    if (writeMode === 'clear') {
+        block = TemplateMapping.findDataBlock(ws, layout);
+        TemplateMapping.clearDataBlock(ws, layout, block);
+
+        const headerColumns = headerCells.map(cell => cell.c);
+        const regions = [
+            { firstRow: layout.headerRow, lastRow: layout.headerRow, columns: headerColumns },
+            { firstRow: layout.dataRow, lastRow: lastDataRow, columns: [layout.dateCol, ...dataCols] }
+        ];
+        if (layout.unitsRow !== null) {
+            regions.push({ firstRow: layout.unitsRow, lastRow: layout.unitsRow, columns: headerColumns });
+        }
+        const overwritten = TemplateMapping.findContent(ws, regions);
+        if (overwritten.length > 0) {
+            const shown = overwritten.slice(0, 10).join(', ') + (overwritten.length > 10 ? ', ...' : '');
+            notes.push({
+                text: `⚠️ ${overwritten.length} template cell(s) outside the previous data block were overwritten: ${shown}`,
+                warning: true
+            });
         }
+    }
 
-        // Write headers (Row 10 in Excel = index 9, Column B = index 1)
-        const headers = ['Date', ...combined.columns];
-        const units = ['', ...combined.units];
+    for (const cell of headerCells) {
+        const cellRef = XLSX.utils.encode_cell({ r: layout.headerRow, c: cell.c });
+        // Preserve existing cell style if present
+        const existingCell = ws[cellRef];
+        ws[cellRef] = { 
+            t: 's', 
+            v: cell.header,
+            s: existingCell?.s  // Keep existing style
+        };
+    }
 
-        // Row 10 - Headers (B10, C10, D10, ...)
-        for (let c = 0; c < headers.length; c++) {
-            const cellRef = XLSX.utils.encode_cell({ r: 9, c: c + 1 });
-            // Preserve existing cell style if present
+    // Units row under the headers (B11, C11, D11, ... by default)
+    if (layout.unitsRow !== null) {
+        for (const cell of headerCells) {
+            const cellRef = XLSX.utils.encode_cell({ r: layout.unitsRow, c: cell.c });
             const existingCell = ws[cellRef];
             ws[cellRef] = { 
                 t: 's', 
-                v: headers[c],
-                s: existingCell?.s  // Keep existing style
+                v: cell.unit,
+                s: existingCell?.s
             };
         }
+    }
+
+    // Data from the first data row (row 12 by default)
+    for (let r = 0; r < combined.data.length; r++) {
+        const row = combined.data[r];
+        
+        // Date column (B12, B13, ...) - wall-clock time in the output timezone
+        const dateCell = XLSX.utils.encode_cell({ r: layout.dataRow + r, c: layout.dateCol });
+        const existingDateCell = ws[dateCell];
+        const dateFormat = existingDateCell?.z || 'm/d/yy h:mm';  // Use existing format or default
+        const offsetLabel = combined.offsetLabels[r];
+        ws[dateCell] = { 
+            t: 'd', 
+            v: combined.labels[r],
+            // Repeated DST hours keep their UTC offset visible without turning the date into text
+            z: offsetLabel ? `${dateFormat} "(${offsetLabel})"` : dateFormat,
+            s: existingDateCell?.s
+        };
 
-        // Row 11 - Units (B11, C11, D11, ...)
-        for (let c = 0; c < units.length; c++) {
-            const cellRef = XLSX.utils.encode_cell({ r: 10, c: c + 1 });
+        // Data columns (C12, D12, ... onwards)
+        for (let c = 0; c < outputColumns.length; c++) {
+            const cellRef = XLSX.utils.encode_cell({ r: layout.dataRow + r, c: dataCols[c] });
+            const column = outputColumns[c];
+            const value = row[column.key];
             const existingCell = ws[cellRef];
-            ws[cellRef] = { 
-                t: 's', 
-                v: units[c],
-                s: existingCell?.s
-            };
+            const formula = column.quality ? null : excel.formulaAt(column.key, r);
+
+            if (column.quality) {
+                ws[cellRef] = { t: 's', v: DataProcessing.describeQuality(value), s: existingCell?.s };
+            } else if (formula) {
+                ws[cellRef] = { ...OutputWriters.formulaCell(formula, value), s: existingCell?.s, z: existingCell?.z };
+            } else if (!DataProcessing.isMissing(value) && !(typeof value === 'number' && isNaN(value))) {
+                // States and batch IDs are written as text as logged; measurements as numbers where they are numbers
+                const number = column.state ? NaN : typeof value === 'number' ? value : Number(String(value).trim());
+                ws[cellRef] = isNaN(number)
+                    ? { t: 's', v: String(value), s: existingCell?.s }
+                    : { 
+                        t: 'n', 
+                        v: number,
+                        s: existingCell?.s,
+                        z: existingCell?.z  // Preserve number format
+                    };
+
+                // Synthesized values get a hidden note explaining where they came from
+                const quality = row[combined.quality[column.key]];
+                if (qualityOutput === 'comments' && quality && quality.code !== 'measured') {
+                    ws[cellRef].c = [{ a: 'Merge-o-matic', t: DataProcessing.describeQuality(quality) }];
+                    ws[cellRef].c.hidden = true;
+                }
+            }
+        }
+
+        // Update progress periodically
+        if (r % 100 === 0) {
+            const pct = 70 + (r / combined.data.length) * 25;
+            updateProgress(pct, `Writing row ${r + 1} of ${combined.data.length}...`);
+            updateGlobalLoader(pct, `Writing row ${r + 1} of ${combined.data.length}...`);
+        }
+    }
+
+    // Grow the sheet range to cover the written cells, without cutting off anything else on the sheet
+    const writtenCols = [...headerCells.map(cell => cell.c), ...dataCols];
+    TemplateMapping.includeInRange(ws, {
+        s: { r: Math.min(layout.headerRow, layout.unitsRow ?? layout.headerRow), c: Math.min(...writtenCols) },
+        e: { r: Math.max(lastDataRow, layout.dataRow), c: Math.max(...writtenCols) }
+    });
+
+    if (block) {
+        if (block.lastRow > lastDataRow) {
+            notes.push({ text: `🧹 Cleared ${block.lastRow - lastDataRow} row(s) left over from the previous export`, warning: false });
+        }
+        const adjusted = TemplateMapping.adjustReferences(workbook, mapping.sheet, layout, block, lastDataRow);
+        if (adjusted > 0) {
+            notes.push({
+                text: `📐 ${adjusted} formula / defined name range(s) now end at row ${lastDataRow + 1} instead of ${block.lastRow + 1}`,
+                warning: false
+            });
         }
+    }
+
+    if (qualityOutput === 'sheet' && Object.keys(combined.quality).length > 0) {
+        writeQualitySheet(workbook, combined, mapping);
+    }
+
+    return { workbook, notes };
+}
 
-        // Row 12 onward - Data
-        for (let r = 0; r < combined.data.length; r++) {
-            const row = combined.data[r];
-            
-            // Date column (B12, B13, ...)
-            const dateCell = XLSX.utils.encode_cell({ r: 11 + r, c: 1 });
-            const existingDateCell = ws[dateCell];
-            ws[dateCell] = { 
-                t: 'd', 
-                v: row.DateTime,
-                z: existingDateCell?.z || 'm/d/yy h:mm',  // Use existing format or default
-                s: existingDateCell?.s
-            };
+/**
+ * Write the combined data in one of the non-template formats
+ * @param {string} format - 'xlsx-raw', 'csv', 'json' or 'parquet'
+ * @param {Object} combined - Combined dataset
+ * @param {Object} dataSources - Source name -> file or stack info (for the raw workbook)
+ * @param {string} timezone - Output timezone setting
+ * @returns {Promise<Blob>}
+ */
+async function writeOutputFile(format, combined, dataSources, timezone) {
+    const mime = OutputWriters.FORMATS[format].mime;
+    // Quality columns are only present for columns with quality enabled
+    const options = { timezone, includeQuality: true, formulas: elements.formulaOutput.value === 'formulas' };
+
+    switch (format) {
+        case 'csv':
+            return new Blob([OutputWriters.toCsv(combined, {
+                ...options,
+                delimiter: elements.csvDelimiter.value === 'tab' ? '\t' : elements.csvDelimiter.value,
+                decimal: elements.csvDecimal.value,
+                dateFormat: elements.csvDateFormat.value.trim() || 'yyyy-MM-dd HH:mm:ss'
+            })], { type: mime });
+        case 'json':
+            return new Blob([OutputWriters.toJson(combined, { ...options, layout: elements.jsonLayout.value })], { type: mime });
+        case 'parquet':
+            return new Blob([await OutputWriters.toParquet(combined, options)], { type: mime });
+        case 'xlsx-raw': {
+            const workbook = OutputWriters.toRawWorkbook(combined, dataSources, options);
+            return new Blob([XLSX.write(workbook, { bookType: 'xlsx', type: 'array' })], { type: mime });
+        }
+        default:
+            throw new Error(`Unknown output format "${format}"`);
+    }
+}
 
-            // Data columns (C12, D12, ... onwards)
-            for (let c = 0; c < combined.columns.length; c++) {
-                const cellRef = XLSX.utils.encode_cell({ r: 11 + r, c: c + 2 });
-                const value = row[combined.columns[c]];
-                const existingCell = ws[cellRef];
-                
-                if (value !== null && value !== undefined && !isNaN(value)) {
-                    ws[cellRef] = { 
-                        t: 'n', 
-                        v: value,
-                        s: existingCell?.s,
-                        z: existingCell?.z  // Preserve number format
-                    };
-                }
-            }
+/**
+ * Show the settings of the chosen output format
+ */
+function updateOutputFormatOptions() {
+    const format = elements.outputFormat.value;
+    elements.csvOptions.classList.toggle('hidden', format !== 'csv');
+    elements.jsonOptions.classList.toggle('hidden', format !== 'json');
+    elements.templateOutputOptions.classList.toggle('hidden', format !== 'xlsx');
+}
 
-            // Update progress periodically
-            if (r % 100 === 0) {
-                const pct = 70 + (r / combined.data.length) * 25;
-                updateProgress(pct, `Writing row ${r + 1} of ${combined.data.length}...`);
-                updateGlobalLoader(pct, `Writing row ${r + 1} of ${combined.data.length}...`);
-            }
+/**
+ * Write a Quality sheet laid out like the Analysis sheet, so each cell describes the
+ * value in the same cell of Analysis
+ */
+function writeQualitySheet(workbook, combined, mapping) {
+    const layout = TemplateMapping.layout(mapping);
+    const ws = {};
+    const put = (r, c, cell) => { ws[XLSX.utils.encode_cell({ r, c })] = cell; };
+
+    put(layout.headerRow, layout.dateCol, { t: 's', v: 'Date' });
+    combined.columns.forEach((col, i) => {
+        if (combined.quality[col]) {
+            put(layout.headerRow, TemplateMapping.columnAt(layout, layout.headerCol, i), { t: 's', v: col });
         }
+    });
 
-        // Update sheet range
-        const lastRow = 11 + combined.data.length;
-        const lastCol = 1 + combined.columns.length;
-        ws['!ref'] = XLSX.utils.encode_range({
-            s: { r: 0, c: 0 },
-            e: { r: lastRow, c: lastCol }
+    for (let r = 0; r < combined.data.length; r++) {
+        const row = combined.data[r];
+        put(layout.dataRow + r, layout.dateCol, { t: 'd', v: combined.labels[r], z: 'm/d/yy h:mm' });
+        combined.columns.forEach((col, i) => {
+            if (combined.quality[col]) {
+                put(layout.dataRow + r, TemplateMapping.columnAt(layout, layout.dataCol, i),
+                    { t: 's', v: DataProcessing.describeQuality(row[combined.quality[col]]) });
+            }
         });
+    }
+
+    const lastCol = TemplateMapping.columnAt(layout, Math.max(layout.headerCol, layout.dataCol), combined.columns.length - 1);
+    ws['!ref'] = XLSX.utils.encode_range({
+        s: { r: 0, c: 0 },
+        e: { r: layout.dataRow + combined.data.length - 1, c: Math.max(layout.dateCol, lastCol) }
+    });
 
-        updateProgress(95, 'Generating download...');
-        updateGlobalLoader(95, 'Generating download...');
+    if (workbook.Sheets['Quality']) {
+        workbook.Sheets['Quality'] = ws;
+    } else {
+        XLSX.utils.book_append_sheet(workbook, ws, 'Quality');
+    }
+}
 
-        // Generate file - use bookSST for better string handling
-        const wbout = XLSX.write(workbook, { 
-            bookType: 'xlsx', 
-            type: 'array',
-            cellStyles: true  // Try to preserve styles on write
+/**
+ * Build the list of notes shown above the download button
+ * @returns {Array<{text: string, warning: boolean}>}
+ */
+function buildDownloadSummary(combined, timeIndex, outputTimezone) {
+    const items = [];
+    const zoneLabel = TimeUtils.parseTimezone(outputTimezone).label;
+
+    if (combined.labels.length > 0) {
+        const first = combined.labels[0];
+        const last = combined.labels[combined.labels.length - 1];
+        items.push({
+            text: `${combined.data.length.toLocaleString()} rows × ${combined.columns.length} columns, ` +
+                `${formatDateForInput(first)} ${formatTimeForInput(first)} → ${formatDateForInput(last)} ${formatTimeForInput(last)} (${zoneLabel})`,
+            warning: false
         });
-        const blob = new Blob([wbout], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
-        
-        // Create download link
-        const url = URL.createObjectURL(blob);
-        
-        elements.downloadBtn.onclick = () => {
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = 'Analysis.xlsx';
-            a.click();
-        };
+    }
 
-        elements.downloadContainer.classList.remove('hidden');
-        updateProgress(100, '✅ Combined file created!');
-        updateGlobalLoader(100, '✅ Combined file created!');
+    const policyText = {
+        fixed: 'labels follow the clock change (fixed steps)',
+        keep: 'both kept, labelled with UTC offset',
+        drop: 'repeat dropped',
+        merge: 'merged into one row',
+        skip: 'missing times left out',
+        blank: 'blank rows added'
+    };
 
-        setTimeout(hideGlobalLoader, 800);
+    for (const [col, removed] of Object.entries(combined.filtered || {})) {
+        items.push({ text: `🧽 ${col}: filters removed ${DataProcessing.describeFiltered(removed)}`, warning: false });
+    }
 
-        showStatus('✅ Combined file created! Click the download button to save.', 'success');
+    for (const [col, { rollovers, resets }] of Object.entries(combined.counters || {})) {
+        items.push({ text: `🔢 ${col}: corrected ${rollovers} rollover(s) and ${resets} reset(s) of the counter`, warning: false });
+    }
 
-    } catch (error) {
-        console.error('Error creating combined file:', error);
-        showStatus(`Error creating file: ${error.message}`, 'error');
-        hideGlobalLoader();
-    } finally {
-        elements.createFileBtn.disabled = false;
+    for (const t of timeIndex.transitions) {
+        const when = TimeUtils.formatInZone(t.at, outputTimezone, 'yyyy-MM-dd HH:mm');
+        const change = `UTC${TimeUtils.formatOffset(t.offsetBefore)} → UTC${TimeUtils.formatOffset(t.offsetAfter)}`;
+        const what = t.type === 'repeated' ?
+            `clocks go back at ${when} (${change}); ${t.rows} wall-clock time(s) repeat` :
+            `clocks go forward at ${when} (${change})${t.rows ? `; ${t.rows} wall-clock time(s) do not exist` : ''}`;
+        items.push({ text: `🕰️ DST: ${what} - ${policyText[t.policy]}`, warning: t.policy === 'fixed' && t.rows > 0 });
     }
+
+    return items;
+}
+
+/**
+ * Render the download summary notes
+ */
+function renderDownloadSummary(items) {
+    elements.downloadSummary.innerHTML = items.map(item => `
+        <div class="download-summary-item${item.warning ? ' warning' : ''}">${escapeHtml(item.text)}</div>
+    `).join('');
 }
 
 // ===== PIVOT FUNCTIONS =====
@@ -1464,6 +3522,7 @@ function applyPivot(name, tagCol, valueCol, isStack = false) {
     try {
         let dataToProcess = [...info.data];
         let dateTimeCol = info.dateTimeCol;
+        let timestampDetection = info.timestampDetection;
         
         // Check if we need to combine Date + Time columns
         const separateDateTimeCols = FileHandlers.detectSeparateDateTimeColumns(info.columns, dataToProcess);
@@ -1477,17 +3536,20 @@ function applyPivot(name, tagCol, valueCol, isStack = false) {
             );
             dataToProcess = combined.data;
             dateTimeCol = combined.dateTimeCol;
+            timestampDetection = FileHandlers.detectTimestampFormat(dataToProcess, dateTimeCol);
             console.log(`Combined ${separateDateTimeCols.dateCol} and ${separateDateTimeCols.timeCol} into ${dateTimeCol}`);
         }
         
         updateGlobalLoader(40, 'Pivoting data...');
         
         // Perform the pivot
+        const parseTime = TimeUtils.parserForSource({ ...info, timestampDetection });
         const pivoted = FileHandlers.pivotToWideFormat(
             dataToProcess,
             dateTimeCol,
             tagCol,
-            valueCol
+            valueCol,
+            parseTime
         );
         
         updateGlobalLoader(70, 'Updating data structure...');
@@ -1497,7 +3559,9 @@ function applyPivot(name, tagCol, valueCol, isStack = false) {
         info.columns = pivoted.columns;
         info.isPivoted = true;
         info.originalTagCount = pivoted.tagCount;
+        info.pivot = { tagCol, valueCol };  // Saved in recipes
         info.dateTimeCol = dateTimeCol;
+        info.timestampDetection = timestampDetection;
         
         // Update dateTimeCols to include the new combined column if applicable
         if (separateDateTimeCols) {
@@ -1511,7 +3575,7 @@ function applyPivot(name, tagCol, valueCol, isStack = false) {
         );
         
         // Recalculate date range
-        info.dateRange = FileHandlers.getDateRange(pivoted.data, dateTimeCol);
+        info.dateRange = FileHandlers.getDateRange(pivoted.data, dateTimeCol, parseTime);
         
         // Check for duplicates (should be none after pivot)
         info.hasDuplicates = FileHandlers.hasDuplicateTimestamps(pivoted.data, dateTimeCol);
@@ -1523,8 +3587,20 @@ function applyPivot(name, tagCol, valueCol, isStack = false) {
         info.selectedCols = {};
         info.units = {};
         info.cleanup = {};
+        info.aggregation = {};
+        info.maxGap = {};
+        info.flagGaps = {};
+        info.quality = {};
+        info.outputUnit = {};
+        info.timeOffset = {};
+        info.filters = {};
+        info.transforms = {};
+        info.columnType = {};
+        info.counter = {};
+        info.state = {};
         
         updateGlobalLoader(100, '✅ Data pivoted successfully!');
+        scheduleSessionSave();
         
         // Refresh UI
         updateFileList();
@@ -1546,6 +3622,463 @@ function applyPivot(name, tagCol, valueCol, isStack = false) {
     }
 }
 
+// ===== RECIPES =====
+
+/**
+ * Output settings saved in recipes (element key -> setting name)
+ * Start/end dates are not saved; they default from each new upload, only the times of day are kept
+ */
+const RECIPE_OUTPUT_SETTINGS = {
+    interval: 'interval',
+    rowSource: 'rowSource',
+    eventColumn: 'eventColumn',
+    eventBefore: 'eventBefore',
+    eventAfter: 'eventAfter',
+    outputTimezone: 'outputTimezone',
+    indexMode: 'indexMode',
+    dstRepeated: 'dstRepeated',
+    dstSkipped: 'dstSkipped',
+    binLabel: 'binLabel',
+    binClosed: 'binClosed',
+    qualityOutput: 'qualityOutput',
+    templateWriteMode: 'templateWriteMode',
+    outputFormat: 'outputFormat',
+    csvDelimiter: 'csvDelimiter',
+    csvDecimal: 'csvDecimal',
+    csvDateFormat: 'csvDateFormat',
+    jsonLayout: 'jsonLayout',
+    outputFileName: 'outputFileName',
+    startTime: 'startTime',
+    endTime: 'endTime',
+    durationDays: 'durationDays',
+    customUnits: 'customUnits',
+    formulaOutput: 'formulaOutput'
+};
+
+/**
+ * Download the current settings as a recipe file
+ */
+function saveRecipe() {
+    const stackedFiles = getStackedFiles();
+    const alignment = {};
+    elements.alignmentOptions.querySelectorAll('.alignment-select').forEach(select => {
+        alignment[select.dataset.filename] = select.value;
+    });
+
+    const sources = [];
+    for (const [stackName, stack] of Object.entries(AppState.stacks)) {
+        sources.push({ kind: 'stack', name: stackName, alignment: alignment[stackName] || null, ...Recipes.captureSource(stack) });
+    }
+
+    // Files of the same kind share a pattern; the first one's settings are kept
+    const patterns = new Set();
+    for (const [fileName, info] of Object.entries(AppState.files)) {
+        const pattern = Recipes.patternFromName(fileName);
+        if (patterns.has(pattern)) continue;
+        patterns.add(pattern);
+        sources.push({
+            kind: 'file',
+            pattern,
+            alignment: stackedFiles.has(fileName) ? null : (alignment[fileName] || null),
+            ...Recipes.captureSource(info)
+        });
+    }
+
+    const output = {
+        rangeMode: document.querySelector('input[name="range-mode"]:checked')?.value || 'end-date'
+    };
+    for (const [key, setting] of Object.entries(RECIPE_OUTPUT_SETTINGS)) {
+        output[setting] = elements[key].value;
+    }
+    output.templateMapping = AppState.templateMapping;
+    output.calculatedColumns = AppState.calculatedColumns;
+
+    const recipe = {
+        format: Recipes.FORMAT,
+        version: Recipes.VERSION,
+        savedAt: new Date().toISOString(),
+        output,
+        stacks: Object.entries(AppState.stacks).map(([name, stack]) => ({
+            name,
+            overlapHandling: stack.overlapHandling,
+            filePatterns: [...new Set(stack.files.map(fn => Recipes.patternFromName(fn)))]
+        })),
+        sources
+    };
+
+    const blob = new Blob([JSON.stringify(recipe, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'merge-recipe.json';
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    showStatus(`💾 Recipe saved with ${sources.length} source(s) and ${recipe.stacks.length} stack(s).`, 'success');
+}
+
+/**
+ * Load a recipe file and apply it to the files already uploaded
+ */
+async function handleRecipeSelect(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+        AppState.recipe = Recipes.parse(await file.text());
+    } catch (error) {
+        console.error('Error loading recipe:', error);
+        elements.recipeStatus.textContent = `❌ ${error.message}`;
+        elements.recipeStatus.classList.remove('loaded');
+        AppState.recipe = null;
+        return;
+    }
+
+    elements.recipeStatus.textContent = `✅ ${file.name}`;
+    elements.recipeStatus.classList.add('loaded');
+    applyRecipeOutputSettings(AppState.recipe.output);
+
+    if (Object.keys(AppState.files).length > 0) {
+        await applyRecipe(AppState.recipe);
+    } else {
+        showStatus('📂 Recipe loaded. It will be applied to matching files as you upload them.', 'info');
+    }
+}
+
+/**
+ * Apply the time range / interval / output settings of a recipe
+ */
+function applyRecipeOutputSettings(output) {
+    for (const [key, setting] of Object.entries(RECIPE_OUTPUT_SETTINGS)) {
+        if (output[setting] !== undefined && output[setting] !== null) {
+            elements[key].value = output[setting];
+        }
+    }
+
+    const radio = document.querySelector(`input[name="range-mode"][value="${output.rangeMode}"]`);
+    if (radio) {
+        radio.checked = true;
+        handleRangeModeChange({ target: radio });
+    }
+    elements.dstPolicyInputs.classList.toggle('hidden', elements.indexMode.value !== 'wall-clock');
+    elements.eventInputs.classList.toggle('hidden', elements.rowSource.value !== 'events');
+    handleOutputTimezoneChange();
+    updateOutputFormatOptions();
+    updateUnitOptions();
+
+    if (output.templateMapping) {
+        setTemplateMapping(TemplateMapping.normalize(output.templateMapping), 'saved');
+    }
+    if (Array.isArray(output.calculatedColumns)) {
+        AppState.calculatedColumns = output.calculatedColumns.map(calc => ({
+            title: calc.title || '', expression: calc.expression || '', units: calc.units || ''
+        }));
+        renderCalculatedColumns();
+    }
+}
+
+/**
+ * Apply a recipe entry's settings to one file or stack
+ */
+function applyRecipeSource(name, info, entry, isStack, report) {
+    if (entry.timestampFormat !== undefined) info.timestampFormat = entry.timestampFormat;
+    if (entry.sourceTimezone && TimeUtils.isValidTimezone(entry.sourceTimezone)) {
+        info.sourceTimezone = entry.sourceTimezone;
+    }
+    if (entry.sourceOffset !== undefined && !isNaN(TimeUtils.parseTimeOffset(entry.sourceOffset))) {
+        info.sourceOffset = entry.sourceOffset;
+    }
+
+    // Pivot long-format data the same way as last time
+    const pivot = entry.pivot;
+    if (pivot && !info.isPivoted && info.columns.includes(pivot.tagCol) && info.columns.includes(pivot.valueCol)) {
+        applyPivot(name, pivot.tagCol, pivot.valueCol, isStack);
+    }
+    info.dateRange = FileHandlers.getDateRange(info.data, info.dateTimeCol, TimeUtils.parserForSource(info));
+
+    const result = Recipes.applyColumns(entry, info);
+    report.columns += result.applied;
+    for (const col of result.missingColumns) {
+        report.missingColumns.push(`${name}: ${col}`);
+    }
+    if (entry.alignment) {
+        AppState.alignment[name] = entry.alignment;
+    }
+    report.sources++;
+}
+
+/**
+ * Apply a recipe to the uploaded files: settings per file, then stacks, then stack settings
+ */
+async function applyRecipe(recipe) {
+    const report = { sources: 0, columns: 0, missingColumns: [] };
+
+    for (const [fileName, fileInfo] of Object.entries(AppState.files)) {
+        const entry = Recipes.findSource(recipe, fileName, 'file');
+        if (!entry) continue;
+
+        // Read the file again when the recipe sets other header / units / footer rows
+        let info = fileInfo;
+        if (entry.parseOptions && fileInfo.file &&
+            JSON.stringify(entry.parseOptions) !== JSON.stringify(fileInfo.parseOptions)) {
+            try {
+                info = await reparseSource(fileName, entry.parseOptions);
+            } catch (error) {
+                console.error(`Error re-reading ${fileName}:`, error);
+            }
+        }
+        applyRecipeSource(fileName, info, entry, false, report);
+    }
+
+    for (const stackEntry of recipe.stacks) {
+        if (!AppState.stacks[stackEntry.name]) {
+            const stackedFiles = getStackedFiles();
+            const files = Object.keys(AppState.files).filter(fn =>
+                !stackedFiles.has(fn) && (stackEntry.filePatterns || []).some(pattern => Recipes.matchesPattern(pattern, fn))
+            );
+            if (files.length < 2) continue;
+            if (!await createStack(stackEntry.name, files, stackEntry.overlapHandling || 'average')) continue;
+        }
+
+        const entry = Recipes.findSource(recipe, stackEntry.name, 'stack');
+        if (entry) {
+            applyRecipeSource(stackEntry.name, AppState.stacks[stackEntry.name], entry, true, report);
+        }
+    }
+
+    // Refresh UI
+    updateFileList();
+    updateFileConfigs();
+    updateSectionVisibility();
+    updateAlignmentOptions();
+    updateDefaultDatesFromData();
+    updateGraphColumnOptions();
+    updateStackingSection();
+    applyRecipeOutputSettings(recipe.output);
+    scheduleSessionSave();
+
+    if (report.missingColumns.length > 0) {
+        showStatus(`⚠️ Recipe applied to ${report.sources} source(s), ${report.columns} column(s). Not found in the data: ${report.missingColumns.join(', ')}`, 'warning');
+    } else if (report.sources > 0) {
+        showStatus(`✅ Recipe applied to ${report.sources} source(s), ${report.columns} column(s).`, 'success');
+    } else {
+        showStatus('⚠️ No uploaded file matches the recipe\'s file name patterns.', 'warning');
+    }
+    return report;
+}
+
+// ===== SESSION PERSISTENCE =====
+
+/**
+ * Save the session a moment after the last change (repeated changes only save once)
+ */
+function scheduleSessionSave() {
+    clearTimeout(AppState.sessionSaveTimer);
+    AppState.sessionSaveTimer = setTimeout(saveSession, 1500);
+}
+
+/**
+ * Save parsed files, stacks, settings and the template to IndexedDB
+ */
+async function saveSession() {
+    if (AppState.processingFiles) {
+        scheduleSessionSave();
+        return;
+    }
+
+    const fileNames = Object.keys(AppState.files);
+    if (fileNames.length === 0 && Object.keys(AppState.stacks).length === 0) return;
+
+    // File objects are not kept; the parsed data is what the session needs
+    const files = {};
+    for (const [fileName, info] of Object.entries(AppState.files)) {
+        const { file, ...rest } = info;
+        files[fileName] = rest;
+    }
+
+    const settings = {
+        rangeMode: document.querySelector('input[name="range-mode"]:checked')?.value || 'end-date',
+        startDate: elements.startDate.value,
+        endDate: elements.endDate.value,
+        // Kept per session rather than in recipes, so re-loading a recipe doesn't reuse numbers
+        outputCounter: elements.outputCounter.value
+    };
+    for (const [key, setting] of Object.entries(RECIPE_OUTPUT_SETTINGS)) {
+        settings[setting] = elements[key].value;
+    }
+    settings.templateMapping = AppState.templateMapping;
+    settings.calculatedColumns = AppState.calculatedColumns;
+
+    const rowCount = [...Object.values(AppState.files), ...Object.values(AppState.stacks)]
+        .reduce((sum, info) => sum + (info.data?.length || 0), 0);
+
+    try {
+        await SessionStore.save({
+            id: AppState.sessionId,
+            files,
+            stacks: AppState.stacks,
+            alignment: AppState.alignment,
+            recipe: AppState.recipe,
+            templateBytes: AppState.templateBytes || null,
+            templateName: AppState.templateName || null,
+            settings
+        }, {
+            fileCount: fileNames.length,
+            stackCount: Object.keys(AppState.stacks).length,
+            rowCount,
+            names: fileNames.slice(0, 5)
+        });
+    } catch (error) {
+        console.warn('Session could not be saved:', error);
+        showStatus(`⚠️ Session could not be saved for restoring later: ${error.message}. Free up space with "Manage storage".`, 'warning');
+    }
+}
+
+/**
+ * Describe a saved session for the banner and storage manager
+ */
+function describeSession(summary) {
+    const names = summary.names.join(', ') + (summary.fileCount > summary.names.length ? ', ...' : '');
+    return `${summary.savedAt.toLocaleString()}: ${summary.fileCount} file(s), ${summary.stackCount} stack(s), ` +
+        `${summary.rowCount.toLocaleString()} rows (${names})`;
+}
+
+/**
+ * Show the restore banner when an earlier session was saved
+ */
+async function checkForSavedSessions() {
+    let sessions;
+    try {
+        sessions = await SessionStore.list();
+    } catch (error) {
+        console.warn('Saved sessions unavailable:', error);
+        return;
+    }
+
+    const latest = sessions.find(session => session.id !== AppState.sessionId);
+    if (!latest) return;
+
+    elements.sessionBanner.dataset.sessionId = latest.id;
+    elements.sessionBannerText.textContent = `🗄️ Previous session saved ${describeSession(latest)}`;
+    elements.sessionBanner.classList.remove('hidden');
+}
+
+/**
+ * Restore a saved session, replacing whatever is loaded now
+ */
+async function restoreSession(id) {
+    showGlobalLoader('Restoring session...');
+    updateGlobalLoader(30, 'Reading saved session...');
+
+    try {
+        const session = await SessionStore.load(id);
+        if (!session) throw new Error('The saved session no longer exists');
+
+        AppState.files = session.files || {};
+        AppState.stacks = session.stacks || {};
+        AppState.alignment = session.alignment || {};
+        AppState.recipe = session.recipe || null;
+        AppState.templateBytes = session.templateBytes || null;
+        AppState.templateName = session.templateName || null;
+        AppState.selectedForStack.clear();
+        // Keep saving into the restored session
+        AppState.sessionId = session.id;
+
+        if (AppState.templateName) {
+            elements.templateStatus.textContent = `✅ ${AppState.templateName}`;
+            elements.templateStatus.classList.add('loaded');
+        }
+        if (AppState.recipe) {
+            elements.recipeStatus.textContent = '✅ Recipe from restored session';
+            elements.recipeStatus.classList.add('loaded');
+        }
+
+        updateGlobalLoader(70, 'Rebuilding the page...');
+        updateFileList();
+        updateFileConfigs();
+        updateSectionVisibility();
+        updateAlignmentOptions();
+        updateGraphColumnOptions();
+        updateStackingSection();
+
+        const settings = session.settings || {};
+        applyRecipeOutputSettings(settings);
+        if (settings.startDate) elements.startDate.value = settings.startDate;
+        if (settings.endDate) elements.endDate.value = settings.endDate;
+        if (settings.outputCounter) elements.outputCounter.value = settings.outputCounter;
+
+        elements.sessionBanner.classList.add('hidden');
+        updateGlobalLoader(100, '✅ Session restored!');
+        setTimeout(hideGlobalLoader, 500);
+        showStatus(`✅ Restored ${Object.keys(AppState.files).length} file(s) and ${Object.keys(AppState.stacks).length} stack(s).`, 'success');
+    } catch (error) {
+        console.error('Error restoring session:', error);
+        hideGlobalLoader();
+        showStatus(`Error restoring session: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * List saved sessions with storage use and delete buttons
+ */
+async function renderSessionManager() {
+    const container = elements.sessionManager;
+    if (container.classList.contains('hidden')) return;
+
+    let sessions;
+    let estimate;
+    try {
+        [sessions, estimate] = await Promise.all([SessionStore.list(), SessionStore.estimate()]);
+    } catch (error) {
+        container.innerHTML = `<p class="upload-hint">Session storage unavailable: ${escapeHtml(error.message)}</p>`;
+        return;
+    }
+
+    const usage = estimate
+        ? `Using ${FileHandlers.formatFileSize(estimate.usage)} of ${FileHandlers.formatFileSize(estimate.quota)} available to this page.`
+        : '';
+    const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+
+    container.innerHTML = `
+        ${sessions.length === 0 ? '<p class="upload-hint">No saved sessions.</p>' : ''}
+        ${sessions.map(session => `
+            <div class="session-manager-item${session.id === AppState.sessionId ? ' current' : ''}">
+                <span>${escapeHtml(describeSession(session))}${session.id === AppState.sessionId ? ' (this page)' : ''}</span>
+                <button class="btn btn-danger btn-sm session-delete-btn" data-session="${escapeHtml(session.id)}">Delete</button>
+            </div>
+        `).join('')}
+        <div class="session-manager-actions">
+            <button class="btn btn-secondary btn-sm" id="session-purge-old-btn">Delete sessions older than 7 days</button>
+            <button class="btn btn-danger btn-sm" id="session-purge-all-btn">Delete all</button>
+            <span class="upload-hint">${usage}</span>
+        </div>
+    `;
+
+    const purge = async (ids) => {
+        if (ids.length === 0) return;
+        try {
+            await SessionStore.remove(ids);
+        } catch (error) {
+            showStatus(`Error deleting sessions: ${error.message}`, 'error');
+        }
+        if (ids.includes(elements.sessionBanner.dataset.sessionId)) {
+            elements.sessionBanner.classList.add('hidden');
+        }
+        renderSessionManager();
+    };
+
+    container.querySelectorAll('.session-delete-btn').forEach(btn => {
+        btn.addEventListener('click', () => purge([btn.dataset.session]));
+    });
+    document.getElementById('session-purge-old-btn').addEventListener('click', () => {
+        purge(sessions.filter(session => session.savedAt.getTime() < weekAgo).map(session => session.id));
+    });
+    document.getElementById('session-purge-all-btn').addEventListener('click', () => {
+        purge(sessions.map(session => session.id));
+    });
+}
+
 // ===== STACKING FUNCTIONS =====
 
 /**
@@ -1576,7 +4109,7 @@ function getStackNameForFile(fileName) {
 /**
  * Remove a file from all stacks (called when file is deleted)
  */
-function removeFileFromAllStacks(fileName) {
+async function removeFileFromAllStacks(fileName) {
     for (const [stackName, stack] of Object.entries(AppState.stacks)) {
         const idx = stack.files.indexOf(fileName);
         if (idx > -1) {
@@ -1586,42 +4119,63 @@ function removeFileFromAllStacks(fileName) {
                 delete AppState.stacks[stackName];
             } else {
                 // Rebuild stack data
-                rebuildStackData(stackName);
+                await rebuildStackData(stackName);
             }
         }
     }
 }
 
 /**
- * Rebuild stack data after files change
+ * Rebuild stack data after files change, the same way createStack builds it
+ * A stack that cannot be rebuilt is removed rather than left with the old files' rows
  */
-function rebuildStackData(stackName) {
+async function rebuildStackData(stackName) {
     const stack = AppState.stacks[stackName];
     if (!stack || stack.files.length < 2) return;
     
     const firstFile = AppState.files[stack.files[0]];
     if (!firstFile) return;
     
-    // Combine data from all files
-    let combinedData = [];
-    const dtCol = firstFile.dateTimeCol;
-    
-    for (const fn of stack.files) {
-        const fileData = AppState.files[fn]?.data || [];
-        combinedData = combinedData.concat(fileData);
+    showGlobalLoader(`Rebuilding stack "${stackName}"...`, () => WorkerClient.cancel());
+    try {
+        const stacked = await WorkerClient.run('stackFiles', {
+            datasets: getStackDatasets(stack.files),
+            dateTimeCol: firstFile.dateTimeCol,
+            overlapHandling: stack.overlapHandling
+        }, (percent, message) => updateGlobalLoader(percent, message));
+
+        // Update stack
+        stack.data = stacked.data;
+        stack.timestampDetection = stacked.timestampDetection;
+        stack.dateRange = stacked.dateRange;
+        stack.rowCount = stacked.data.length;
+    } catch (error) {
+        delete AppState.stacks[stackName];
+        if (!WorkerClient.isCancelled(error)) console.error('Error rebuilding stack:', error);
+        showStatus(`Stack "${stackName}" was removed because it could not be rebuilt: ${error.message}`, 'warning');
+    } finally {
+        hideGlobalLoader();
     }
-    
-    // Sort by datetime
-    combinedData.sort((a, b) => {
-        const dtA = new Date(a[dtCol]);
-        const dtB = new Date(b[dtCol]);
-        return dtA - dtB;
+}
+
+/**
+ * Payload for the stackFiles task: each file's rows with its own timestamp settings
+ * @param {Array<string>} fileNames - Files of the stack, earliest first
+ * @returns {Array<{data: Array, timestampSettings: Object}>}
+ */
+function getStackDatasets(fileNames) {
+    return fileNames.map(fn => {
+        const info = AppState.files[fn];
+        return {
+            data: info.data,
+            timestampSettings: {
+                timestampFormat: info.timestampFormat || '',
+                timestampDetection: info.timestampDetection,
+                sourceTimezone: info.sourceTimezone || 'local',
+                sourceOffset: info.sourceOffset || ''
+            }
+        };
     });
-    
-    // Update stack
-    stack.data = combinedData;
-    stack.dateRange = FileHandlers.getDateRange(combinedData, dtCol);
-    stack.rowCount = combinedData.length;
 }
 
 /**
@@ -1679,6 +4233,7 @@ function renderExistingStacks() {
         div.querySelector('.btn-danger').addEventListener('click', (e) => {
             const name = e.target.dataset.stack;
             delete AppState.stacks[name];
+            scheduleSessionSave();
             updateFileList();
             updateFileConfigs();
             updateStackingSection();
@@ -1799,6 +4354,15 @@ function updateStackWarnings() {
             warnings.push(`Column mismatch: ${missingInSome.length} column(s) not present in all files will be excluded from the stack.`);
         }
         
+        // Each file is read with its own timestamp settings; say so when they differ
+        const settingKeys = new Set(selectedFiles.map(fn => {
+            const f = AppState.files[fn];
+            return `${f.timestampFormat || f.timestampDetection?.format || 'auto'} @ ${f.sourceTimezone || 'local'}`;
+        }));
+        if (settingKeys.size > 1) {
+            infos.push(`Timestamp format/timezone settings differ between the selected files (${[...settingKeys].join(', ')}). Each file's timestamps are read with its own settings and the stack stores them in UTC.`);
+        }
+        
         // Check for time gaps or overlaps
         const ranges = selectedFiles
             .map(fn => ({ name: fn, range: AppState.files[fn].dateRange }))
@@ -1864,22 +4428,23 @@ function updateCreateStackButton() {
 }
 
 /**
- * Create a new stack from selected files
+ * Create a new stack from selected files (or the given files, when applying a recipe)
+ * @returns {Promise<boolean>} - Whether the stack was created
  */
-function createStack() {
-    const stackName = elements.stackName.value.trim();
-    const selectedFiles = [...AppState.selectedForStack];
-    const overlapHandling = elements.overlapHandling.value;
-    
+async function createStack(
+    stackName = elements.stackName.value.trim(),
+    selectedFiles = [...AppState.selectedForStack],
+    overlapHandling = elements.overlapHandling.value
+) {
     if (selectedFiles.length < 2 || !stackName) {
         showStatus('Please select at least 2 files and enter a stack name.', 'error');
-        return;
+        return false;
     }
     
     // Check if stack name already exists
     if (AppState.stacks[stackName]) {
         showStatus('A stack with this name already exists. Please choose a different name.', 'error');
-        return;
+        return false;
     }
     
     // Sort files by date
@@ -1903,33 +4468,40 @@ function createStack() {
     const firstFile = AppState.files[selectedFiles[0]];
     const dtCol = firstFile.dateTimeCol;
     
-    // Combine data
-    let combinedData = [];
-    for (const fn of selectedFiles) {
-        const fileData = AppState.files[fn].data;
-        combinedData = combinedData.concat(fileData);
-    }
+    // Combine, sort and de-duplicate in the processing worker; each file's timestamps are read
+    // with its own settings and the stack keeps them in UTC
     
-    // Sort by datetime
-    combinedData.sort((a, b) => {
-        const dtA = new Date(a[dtCol]);
-        const dtB = new Date(b[dtCol]);
-        return dtA - dtB;
-    });
+    elements.createStackBtn.disabled = true;
+    showGlobalLoader(`Creating stack "${stackName}"...`, () => WorkerClient.cancel());
     
-    // Handle duplicates based on overlap handling setting
-    if (overlapHandling !== 'keep_all') {
-        combinedData = DataProcessing.handleDuplicates(combinedData, dtCol, 
-            overlapHandling === 'average' ? 'Average values' : 
-            overlapHandling === 'first' ? 'Keep first' : 'Keep last');
+    let stacked;
+    try {
+        stacked = await WorkerClient.run('stackFiles', {
+            datasets: getStackDatasets(selectedFiles),
+            dateTimeCol: dtCol,
+            overlapHandling
+        }, (percent, message) => updateGlobalLoader(percent, message));
+    } catch (error) {
+        hideGlobalLoader();
+        updateCreateStackButton();
+        if (WorkerClient.isCancelled(error)) {
+            showStatus('Stack creation cancelled.', 'warning');
+        } else {
+            console.error('Error creating stack:', error);
+            showStatus(`Error creating stack: ${error.message}`, 'error');
+        }
+        return false;
     }
     
-    // Get combined date range
-    const dateRange = FileHandlers.getDateRange(combinedData, dtCol);
+    updateGlobalLoader(100, `✅ Stack "${stackName}" created!`);
+    setTimeout(hideGlobalLoader, 500);
+    
+    const combinedData = stacked.data;
+    const dateRange = stacked.dateRange;
     
-    // Get columns from the actual data keys to ensure they match
+    // Columns from the actual data keys to ensure they match
     // This handles any case where column names might differ
-    const dataKeys = combinedData.length > 0 ? Object.keys(combinedData[0]) : firstFile.columns;
+    const dataKeys = stacked.columns.length > 0 ? stacked.columns : firstFile.columns;
     
     console.log('Creating stack with:', {
         firstFileColumns: firstFile.columns,
@@ -1947,11 +4519,28 @@ function createStack() {
         selectableColumns: commonColumns,
         dateTimeCol: dtCol,
         dateTimeCols: firstFile.dateTimeCols,
+        timestampFormat: '',
+        sourceTimezone: 'UTC',
+        sourceOffset: '',
+        timestampDetection: stacked.timestampDetection,
         dateRange: dateRange,
         rowCount: combinedData.length,
         selectedCols: {},
         units: {},
+        columnUnits: firstFile.columnUnits || {},
+        columnTitles: firstFile.columnTitles || {},
         cleanup: {},
+        aggregation: {},
+        maxGap: {},
+        flagGaps: {},
+        quality: {},
+        outputUnit: {},
+        timeOffset: {},
+        filters: {},
+        transforms: {},
+        columnType: {},
+        counter: {},
+        state: {},
         dupeHandling: 'Average values',
         hasDuplicates: false  // Already handled
     };
@@ -1969,7 +4558,13 @@ function createStack() {
     updateDefaultDatesFromData();
     updateGraphColumnOptions();
     
-    showStatus(`✅ Created stack "${stackName}" with ${selectedFiles.length} files!`, 'success');
+    if (stacked.unreadable > 0) {
+        showStatus(`Created stack "${stackName}" with ${selectedFiles.length} files; ${stacked.unreadable} row(s) with unreadable timestamps were left out.`, 'warning');
+    } else {
+        showStatus(`✅ Created stack "${stackName}" with ${selectedFiles.length} files!`, 'success');
+    }
+    scheduleSessionSave();
+    return true;
 }
 
 /**
@@ -4,6 +4,28 @@
  */
 
 const DataProcessing = {
+    // Outlier filter rules in the order they run, with how their removals are reported
+    FILTER_RULES: {
+        sentinel: 'sentinel value(s)',
+        range: 'outside the valid range',
+        flatLine: 'stuck (flat line)',
+        spike: 'spike(s)',
+        rate: 'too fast a change'
+    },
+
+    // Column transforms: label, what the parameter means and its default (see transformSeries)
+    TRANSFORMS: {
+        movingAverage: { label: 'Moving average', param: 'Window (samples)', default: '5' },
+        movingMedian: { label: 'Moving median', param: 'Window (samples)', default: '5' },
+        ewma: { label: 'Exponential smoothing (EWMA)', param: 'Smoothing factor α (0-1)', default: '0.2' },
+        savitzkyGolay: { label: 'Savitzky-Golay', param: 'Window, polynomial order', default: '7, 2' },
+        lowPass: { label: 'First-order low-pass', param: 'Time constant (e.g. 5min)', default: '5min' },
+        derivative: { label: 'Derivative / rate', param: 'Per (s, min, h or D)', default: 'min' }
+    },
+
+    // Most states a column may report time fractions for without listing them
+    MAX_STATES: 20,
+
     /**
      * Parse interval string to milliseconds
      * @param {string} interval - Interval string like "1min", "5min", "1h"
@@ -25,6 +47,20 @@ const DataProcessing = {
         }
     },
 
+    /**
+     * Parse a maximum gap setting
+     * Accepts the interval notation (e.g. 30s, 15min, 2h, 1D) or a plain number of minutes
+     * @param {string} text - Setting text; blank means no limit
+     * @returns {number} - Milliseconds, Infinity for no limit or NaN when invalid
+     */
+    parseMaxGap(text) {
+        const trimmed = String(text ?? '').trim();
+        if (trimmed === '') return Infinity;
+        if (/^\d+(\.\d+)?$/.test(trimmed)) return parseFloat(trimmed) * 60000;
+        if (!/^(\d+)(s|min|h|D)$/.test(trimmed)) return NaN;
+        return this.parseInterval(trimmed);
+    },
+
     /**
      * Generate array of timestamps between start and end at given interval
      * @param {Date} start - Start datetime
@@ -46,125 +82,1195 @@ const DataProcessing = {
     },
 
     /**
-     * Clean data by handling missing values
+     * Find DST (or other UTC offset) changes of a timezone between two instants
+     * @param {Date} start - Start datetime
+     * @param {Date} end - End datetime
+     * @param {string} timezone - Timezone setting
+     * @returns {Array<Object>} - { at, offsetBefore, offsetAfter, type: 'repeated'|'skipped' }
+     */
+    findOffsetTransitions(start, end, timezone) {
+        const transitions = [];
+        const dayMs = 24 * 60 * 60 * 1000;
+        const startMs = start.getTime();
+        const endMs = end.getTime();
+
+        // Offsets change at most once a day, so scan daily and bisect down to the minute
+        let prevMs = startMs;
+        let prevOffset = TimeUtils.getOffsetMinutes(prevMs, timezone);
+
+        while (prevMs < endMs) {
+            const nextMs = Math.min(prevMs + dayMs, endMs);
+            const nextOffset = TimeUtils.getOffsetMinutes(nextMs, timezone);
+
+            if (nextOffset !== prevOffset) {
+                let lo = prevMs;
+                let hi = nextMs;
+                while (hi - lo > 60000) {
+                    const mid = lo + Math.floor((hi - lo) / 2);
+                    if (TimeUtils.getOffsetMinutes(mid, timezone) === prevOffset) {
+                        lo = mid;
+                    } else {
+                        hi = mid;
+                    }
+                }
+                transitions.push({
+                    at: hi - (hi % 60000),
+                    offsetBefore: prevOffset,
+                    offsetAfter: nextOffset,
+                    type: nextOffset < prevOffset ? 'repeated' : 'skipped'
+                });
+            }
+
+            prevMs = nextMs;
+            prevOffset = nextOffset;
+        }
+
+        return transitions;
+    },
+
+    /**
+     * Build the output time index, optionally stepping in wall-clock time of a timezone
+     *
+     * In 'fixed' mode timestamps step by a fixed number of milliseconds (as generateTimeIndex).
+     * In 'wall-clock' mode they step through wall-clock times of the timezone, so a 1D interval
+     * stays on midnight across DST changes, and the DST policies decide what happens to wall-clock
+     * times that occur twice (repeated) or not at all (skipped).
+     *
+     * @param {Date} start - Start datetime
+     * @param {Date} end - End datetime
+     * @param {string} interval - Interval string
+     * @param {Object} options
+     * @param {string} [options.mode] - 'fixed', 'wall-clock' or 'events' (one row at each of options.events)
+     * @param {ArrayLike<number>} [options.events] - Row times (epoch ms, ascending) for 'events' mode
+     *     (see findEventTimes); the interval is then not used
+     * @param {string} [options.timezone] - Timezone setting for labels and wall-clock stepping
+     * @param {string} [options.repeated] - 'keep' (both, labelled with UTC offset), 'drop' (second one), 'merge'
+     * @param {string} [options.skipped] - 'skip' (no rows) or 'blank' (empty rows with the missing labels)
+     * @returns {{timestamps: Array<Date>, entries: Array<Object>, transitions: Array<Object>}}
+     */
+    buildTimeIndex(start, end, interval, options = {}) {
+        const timezone = options.timezone || 'local';
+        const mode = options.mode || 'fixed';
+        const repeated = options.repeated || 'keep';
+        const skipped = options.skipped || 'skip';
+        const intervalMs = this.parseInterval(interval);
+        const transitions = this.findOffsetTransitions(start, end, timezone)
+            .map(t => ({ ...t, policy: mode !== 'wall-clock' ? 'fixed' : (t.type === 'repeated' ? repeated : skipped), rows: 0 }));
+
+        const transitionFor = (ms) => transitions.find(t =>
+            ms >= t.at - Math.max(0, t.offsetBefore - t.offsetAfter) * 60000 &&
+            ms < t.at + Math.max(0, t.offsetBefore - t.offsetAfter) * 60000
+        );
+
+        let entries = [];
+
+        if (mode !== 'wall-clock') {
+            const times = mode === 'events'
+                ? Array.from(options.events || [], ms => new Date(ms))
+                : this.generateTimeIndex(start, end, interval);
+            for (const time of times) {
+                const ms = time.getTime();
+                const transition = transitions.length > 0 ? transitionFor(ms) : null;
+                if (transition) transition.rows++;
+                entries.push({
+                    time,
+                    label: TimeUtils.toWallClockDate(ms, timezone),
+                    offsetLabel: transition ? `UTC${TimeUtils.formatOffset(TimeUtils.getOffsetMinutes(ms, timezone))}` : null,
+                    blank: false,
+                    mergeKey: null
+                });
+            }
+        } else {
+            const toWallMs = (ms) => {
+                const f = TimeUtils.epochToWallClock(ms, timezone);
+                return Date.UTC(f.year, f.month - 1, f.day, f.hour, f.minute, f.second, f.millisecond);
+            };
+            const startWall = toWallMs(start.getTime());
+            const endWall = toWallMs(end.getTime());
+
+            for (let wall = startWall; wall <= endWall; wall += intervalMs) {
+                const w = new Date(wall);
+                const fields = {
+                    year: w.getUTCFullYear(), month: w.getUTCMonth() + 1, day: w.getUTCDate(),
+                    hour: w.getUTCHours(), minute: w.getUTCMinutes(), second: w.getUTCSeconds(),
+                    millisecond: w.getUTCMilliseconds()
+                };
+                const label = new Date(fields.year, fields.month - 1, fields.day,
+                    fields.hour, fields.minute, fields.second, fields.millisecond);
+                const instants = TimeUtils.wallClockToInstants(fields, timezone);
+
+                if (instants.length === 1) {
+                    entries.push({ time: new Date(instants[0]), label, offsetLabel: null, blank: false, mergeKey: null });
+                    continue;
+                }
+
+                if (instants.length === 0) {
+                    const transition = transitions.find(t => t.type === 'skipped' &&
+                        Math.abs(TimeUtils.wallClockToEpoch(fields, timezone) - t.at) <= (t.offsetAfter - t.offsetBefore) * 60000);
+                    if (transition) transition.rows++;
+                    if (skipped === 'blank') {
+                        entries.push({
+                            time: new Date(TimeUtils.wallClockToEpoch(fields, timezone)),
+                            label,
+                            offsetLabel: null,
+                            blank: true,
+                            mergeKey: null
+                        });
+                    }
+                    continue;
+                }
+
+                // Wall-clock time occurs twice (clocks went back)
+                const transition = transitionFor(instants[0]);
+                if (transition) transition.rows++;
+                const offsetLabels = instants.map(ms => `UTC${TimeUtils.formatOffset(TimeUtils.getOffsetMinutes(ms, timezone))}`);
+
+                if (repeated === 'drop') {
+                    entries.push({ time: new Date(instants[0]), label, offsetLabel: null, blank: false, mergeKey: null });
+                } else if (repeated === 'merge') {
+                    for (const ms of instants) {
+                        entries.push({ time: new Date(ms), label, offsetLabel: null, blank: false, mergeKey: wall });
+                    }
+                } else {
+                    instants.forEach((ms, i) => {
+                        entries.push({ time: new Date(ms), label, offsetLabel: offsetLabels[i], blank: false, mergeKey: null });
+                    });
+                }
+            }
+
+            // Put repeated wall-clock times back into chronological order; blank rows stay
+            // directly after the row they followed
+            let lastKey = -Infinity;
+            let blankRun = 0;
+            entries = entries
+                .map((entry, i) => {
+                    if (!entry.blank) {
+                        lastKey = entry.time.getTime();
+                        blankRun = 0;
+                        return { entry, key: lastKey, i };
+                    }
+                    blankRun++;
+                    return { entry, key: lastKey + blankRun * 0.01, i };
+                })
+                .sort((a, b) => a.key - b.key || a.i - b.i)
+                .map(item => item.entry);
+        }
+
+        return {
+            timestamps: entries.map(e => e.time),
+            entries,
+            transitions
+        };
+    },
+
+    /**
+     * Apply the time index row policies to a combined dataset
+     * Blank rows lose their values, rows sharing a mergeKey are combined into one, and the
+     * wall-clock labels / UTC offset labels are attached for writing the output
+     * @param {Object} combined - Result of createCombinedDataset
+     * @param {Object} index - Result of buildTimeIndex
+     * @param {Object} [combiners] - Optional column -> function(values) used to merge rows (default: average)
+     * @returns {Object} - The combined dataset with labels / offsetLabels arrays
+     */
+    applyTimeIndexPolicies(combined, index, combiners = {}) {
+        const average = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+        const data = [];
+        const timestamps = [];
+        const labels = [];
+        const offsetLabels = [];
+        const mergedAt = new Map();
+
+        index.entries.forEach((entry, i) => {
+            const row = combined.data[i];
+
+            if (entry.blank) {
+                for (const col of combined.columns) {
+                    row[col] = null;
+                }
+                for (const key of Object.values(combined.quality || {})) {
+                    row[key] = { code: 'blank', count: 0 };
+                }
+            }
+
+            if (entry.mergeKey !== null && mergedAt.has(entry.mergeKey)) {
+                mergedAt.get(entry.mergeKey).push(row);
+                return;
+            }
+            if (entry.mergeKey !== null) {
+                mergedAt.set(entry.mergeKey, [row]);
+            }
+
+            data.push(row);
+            timestamps.push(entry.time);
+            labels.push(entry.label);
+            offsetLabels.push(entry.offsetLabel);
+        });
+
+        // Combine each merged group into its first row
+        for (const rows of mergedAt.values()) {
+            if (rows.length < 2) continue;
+            const target = rows[0];
+            for (const col of combined.columns) {
+                // A state is text, whatever it looks like: the later row's state holds
+                if (combined.states?.includes(col)) {
+                    target[col] = rows.map(r => r[col]).filter(v => !this.isMissing(v)).pop() ?? null;
+                    continue;
+                }
+                const values = rows.map(r => parseFloat(r[col])).filter(v => !isNaN(v));
+                if (values.length > 0) {
+                    target[col] = (combiners[col] || average)(values);
+                } else {
+                    target[col] = rows.map(r => r[col]).find(v => v != null && v !== '') ?? null;
+                }
+            }
+            for (const [col, key] of Object.entries(combined.quality || {})) {
+                target[key] = this.isMissing(target[col])
+                    ? { code: 'blank', count: 0 }
+                    : combiners[col]
+                        ? target[key]
+                        : { code: 'merged', count: rows.reduce((sum, r) => sum + (r[key]?.count || 0), 0) };
+            }
+        }
+
+        combined.data = data;
+        combined.timestamps = timestamps;
+        combined.labels = labels;
+        combined.offsetLabels = offsetLabels;
+        return combined;
+    },
+
+    /**
+     * Work out the span of time each output row represents, for interval aggregation
+     *
+     * label 'left' makes a row's timestamp the start of its interval, 'right' the end and
+     * 'centre' the middle. In wall-clock mode the intervals follow the wall clock, so a 1D row
+     * covers a whole calendar day (23 or 25 hours at DST changes). Rows merged by the DST
+     * policy share one interval; blank rows get an empty one.
+     *
+     * @param {Object} index - Result of buildTimeIndex
+     * @param {string} interval - Interval string
+     * @param {Object} [options]
+     * @param {string} [options.mode] - 'fixed' or 'wall-clock' (as used for buildTimeIndex)
+     * @param {string} [options.timezone] - Timezone setting (as used for buildTimeIndex)
+     * @param {string} [options.label] - 'left', 'right' or 'centre'
+     * @param {string} [options.closed] - Which edge is included: 'left' [start, end) or 'right' (start, end]
+     * @returns {{starts: Float64Array, ends: Float64Array, closed: string}}
+     */
+    buildIntervalBins(index, interval, options = {}) {
+        const label = options.label || 'left';
+        const timezone = options.timezone || 'local';
+        const intervalMs = this.parseInterval(interval);
+        const entries = index.entries;
+        const count = entries.length;
+        const starts = new Float64Array(count);
+        const ends = new Float64Array(count);
+
+        // Nominal interval before/after a row; wall-clock steps can be longer or shorter at DST changes
+        const nominalStep = (entry, direction) => {
+            if (options.mode !== 'wall-clock') return intervalMs;
+            const wall = TimeUtils.fieldsFromLocalDate(entry.label);
+            const stepped = new Date(Date.UTC(wall.year, wall.month - 1, wall.day,
+                wall.hour, wall.minute, wall.second, wall.millisecond) + direction * intervalMs);
+            const neighbour = TimeUtils.wallClockToEpoch({
+                year: stepped.getUTCFullYear(), month: stepped.getUTCMonth() + 1, day: stepped.getUTCDate(),
+                hour: stepped.getUTCHours(), minute: stepped.getUTCMinutes(), second: stepped.getUTCSeconds(),
+                millisecond: stepped.getUTCMilliseconds()
+            }, timezone);
+            return Math.abs(neighbour - entry.time.getTime());
+        };
+
+        // Neighbouring rows cap each interval so that they never overlap
+        const real = [];
+        entries.forEach((entry, i) => {
+            if (!entry.blank) real.push(i);
+        });
+
+        real.forEach((i, k) => {
+            const time = entries[i].time.getTime();
+            const prev = k > 0 ? entries[real[k - 1]].time.getTime() : -Infinity;
+            const next = k < real.length - 1 ? entries[real[k + 1]].time.getTime() : Infinity;
+
+            if (label === 'right') {
+                starts[i] = Math.max(prev, time - nominalStep(entries[i], -1));
+                ends[i] = time;
+            } else if (label === 'centre') {
+                starts[i] = Math.max((prev + time) / 2, time - nominalStep(entries[i], -1) / 2);
+                ends[i] = Math.min((time + next) / 2, time + nominalStep(entries[i], 1) / 2);
+            } else {
+                starts[i] = time;
+                ends[i] = Math.min(next, time + nominalStep(entries[i], 1));
+            }
+        });
+
+        entries.forEach((entry, i) => {
+            if (entry.blank) {
+                starts[i] = ends[i] = entry.time.getTime();
+            }
+        });
+
+        // Rows that the DST policy merges cover the union of their intervals
+        const groups = new Map();
+        entries.forEach((entry, i) => {
+            if (entry.mergeKey === null || entry.blank) return;
+            if (!groups.has(entry.mergeKey)) groups.set(entry.mergeKey, []);
+            groups.get(entry.mergeKey).push(i);
+        });
+        for (const members of groups.values()) {
+            const start = Math.min(...members.map(i => starts[i]));
+            const end = Math.max(...members.map(i => ends[i]));
+            for (const i of members) {
+                starts[i] = start;
+                ends[i] = end;
+            }
+        }
+
+        return { starts, ends, closed: options.closed === 'right' ? 'right' : 'left' };
+    },
+
+    /**
+     * Find the times of the rows where a column has a value, to use as the output rows
+     * Source and column time offsets apply, as they do when the column is aligned.
+     * @param {Object} filesData - As for createCombinedDataset
+     * @param {string} title - Output title of the column (its selectedCols title)
+     * @param {Date} start - Earliest event kept
+     * @param {Date} end - Latest event kept
+     * @returns {Float64Array} - Epoch ms, ascending, each time once; throws when there are none
+     */
+    findEventTimes(filesData, title, start, end) {
+        const matches = Object.values(filesData).flatMap(info => Object.keys(info.selectedCols || {})
+            .filter(key => info.selectedCols[key] === title)
+            .map(col => ({ info, col })));
+        if (matches.length === 0) throw new Error(`No selected column is titled "${title}" to take the output rows from`);
+        if (matches.length > 1) {
+            throw new Error(`${matches.length} selected columns are titled "${title}"; give the event column a title of its own`);
+        }
+
+        // The same rows the column is aligned from: duplicates handled, deleted rows and filtered values gone
+        const { info, col } = matches[0];
+        const { series } = this.prepareColumn(info, this.prepareSelectedSource(info), col, title);
+
+        const times = [];
+        series.times.forEach((ms, i) => {
+            if (this.isMissing(series.values[i]) || ms < start.getTime() || ms > end.getTime()) return;
+            times.push(ms);
+        });
+        if (times.length === 0) throw new Error(`Column ${title} has no values between the start and end times`);
+        times.sort((a, b) => a - b);
+        return Float64Array.from(times.filter((ms, i) => i === 0 || ms !== times[i - 1]));
+    },
+
+    /**
+     * Work out the window of data each event row represents, for interval aggregation
+     * With beforeMs and/or afterMs set, each event gets its own window around it (windows of
+     * neighbouring events may overlap); with neither, a row covers the time since the previous event.
+     * @param {Object} index - Result of buildTimeIndex in 'events' mode
+     * @param {Object} [options]
+     * @param {number|null} [options.beforeMs] - Window start before each event
+     * @param {number|null} [options.afterMs] - Window end after each event
+     * @param {Date} [options.start] - Where the first event's window starts when it follows the previous event
+     * @returns {{starts: Float64Array, ends: Float64Array, closed: string}}
+     */
+    buildEventBins(index, options = {}) {
+        const times = index.timestamps.map(time => time.getTime());
+        const relative = options.beforeMs != null || options.afterMs != null;
+        const first = options.start ? Math.min(options.start.getTime(), times[0]) : times[0];
+
+        const starts = Float64Array.from(times, (ms, i) =>
+            relative ? ms - (options.beforeMs || 0) : (i > 0 ? times[i - 1] : first));
+        const ends = Float64Array.from(times, ms => (relative ? ms + (options.afterMs || 0) : ms));
+        // A window that ends at its event includes the event's own sample
+        return { starts, ends, closed: options.afterMs ? 'left' : 'right' };
+    },
+
+    /**
+     * Aggregate the values that fall in one interval
+     * @param {Array} values - Non-missing raw values in time order
+     * @param {string} method - mean, min, max, sum, first, last, count, median or std
+     * @returns {*} - Aggregated value, or null when there is nothing to aggregate
+     */
+    aggregate(values, method) {
+        if (method === 'count') return values.length;
+        if (method === 'first') return values.length > 0 ? values[0] : null;
+        if (method === 'last') return values.length > 0 ? values[values.length - 1] : null;
+
+        const numbers = values.map(v => parseFloat(v)).filter(v => !isNaN(v));
+        if (numbers.length === 0) return null;
+
+        switch (method) {
+            case 'min': return numbers.reduce((a, b) => Math.min(a, b));
+            case 'max': return numbers.reduce((a, b) => Math.max(a, b));
+            case 'sum': return numbers.reduce((a, b) => a + b, 0);
+            case 'median': {
+                const sorted = numbers.sort((a, b) => a - b);
+                const mid = Math.floor(sorted.length / 2);
+                return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+            }
+            case 'std': {
+                // Sample standard deviation
+                if (numbers.length < 2) return null;
+                const mean = numbers.reduce((a, b) => a + b, 0) / numbers.length;
+                const squares = numbers.reduce((sum, v) => sum + (v - mean) ** 2, 0);
+                return Math.sqrt(squares / (numbers.length - 1));
+            }
+            default: return numbers.reduce((a, b) => a + b, 0) / numbers.length;
+        }
+    },
+
+    /**
+     * Describe how an output value was produced
+     * @param {{code: string, count: number}} quality - Provenance recorded by createCombinedDataset
+     * @returns {string} - Short description for quality columns, sheets and comments
+     */
+    describeQuality(quality) {
+        if (!quality) return '';
+        const samples = `${quality.count} sample${quality.count === 1 ? '' : 's'}`;
+        switch (quality.code) {
+            case 'measured': return 'measured';
+            case 'nearest': return 'nearest sample';
+            case 'held': return 'last known value';
+            case 'filled': return 'filled from nearest sample';
+            case 'interpolated': return `interpolated from ${samples}`;
+            case 'zero': return 'zero-filled';
+            case 'aggregated': return `aggregated from ${samples}`;
+            case 'merged': return `merged DST rows from ${samples}`;
+            default: return 'no data';
+        }
+    },
+
+    /**
+     * Check whether a cell value counts as missing
+     * @param {*} value
+     * @returns {boolean}
+     */
+    isMissing(value) {
+        return value == null || value === '';
+    },
+
+    /**
+     * Parse and sort a source's rows once so every column can share the time column
+     * Rows with unreadable timestamps are dropped
      * @param {Array} data - Data rows
+     * @param {string} dateTimeCol - DateTime column name
+     * @param {function(*): number} parseTime - Timestamp parser (see TimeUtils.parserForSource)
+     * @returns {{times: Float64Array, rows: Array}} - Epoch ms (ascending) and the matching rows
+     */
+    prepareSource(data, dateTimeCol, parseTime) {
+        const entries = [];
+        for (const row of data) {
+            const time = parseTime(row[dateTimeCol]);
+            if (!isNaN(time)) {
+                entries.push({ time, row });
+            }
+        }
+        entries.sort((a, b) => a.time - b.time);
+
+        const times = new Float64Array(entries.length);
+        const rows = new Array(entries.length);
+        for (let i = 0; i < entries.length; i++) {
+            times[i] = entries[i].time;
+            rows[i] = entries[i].row;
+        }
+        return { times, rows };
+    },
+
+    /**
+     * Read a source's selected rows once for all its columns: duplicates handled, timestamps parsed
+     * and sorted, and the rows of any "Delete the entire row" column removed for every column
+     * @param {Object} fileInfo - Source info (see createCombinedDataset)
+     * @returns {{times: Float64Array, rows: Array}}
+     */
+    prepareSelectedSource(fileInfo) {
+        const selected = Object.keys(fileInfo.selectedCols || {});
+        let data = fileInfo.data;
+        if (fileInfo.hasDuplicates) {
+            data = this.handleDuplicates(
+                data,
+                fileInfo.dateTimeCol,
+                fileInfo.dupeHandling || 'Average values',
+                selected.filter(col => fileInfo.columnType?.[col] === 'state')
+            );
+        }
+
+        const source = this.prepareSource(data, fileInfo.dateTimeCol, TimeUtils.parserForSource(fileInfo));
+        return this.deleteRowsWithMissing(
+            source,
+            selected.filter(col => fileInfo.cleanup?.[col] === 'Delete the entire row of data')
+        );
+    },
+
+    /**
+     * A column's series as logged: moved by its time offset, with its outlier filters applied
+     * @param {Object} fileInfo - Source info
+     * @param {{times: Float64Array, rows: Array}} source - From prepareSelectedSource
+     * @param {string} col - Column in the source
+     * @param {string} title - Output title, for error messages
+     * @returns {{series: {times: Float64Array, values: Array}, removed: Object}} - removed as for filterSeries
+     */
+    prepareColumn(fileInfo, source, col, title) {
+        const offsetMs = TimeUtils.parseTimeOffset(fileInfo.timeOffset?.[col]);
+        if (isNaN(offsetMs)) {
+            throw new Error(`Invalid time offset "${fileInfo.timeOffset[col]}" for column ${title}`);
+        }
+        try {
+            return this.filterSeries(this.shiftSeries(this.extractSeries(source, col), offsetMs), fileInfo.filters?.[col]);
+        } catch (error) {
+            throw new Error(`Column ${title}: ${error.message}`);
+        }
+    },
+
+    /**
+     * Drop source rows where any of the given columns is missing
+     * Used for the "Delete the entire row of data" cleanup, so it applies to every column alike
+     * @param {{times: Float64Array, rows: Array}} source - Prepared source
+     * @param {Array<string>} columns - Columns whose missing values delete the row
+     * @returns {{times: Float64Array, rows: Array}}
+     */
+    deleteRowsWithMissing(source, columns) {
+        if (columns.length === 0) return source;
+
+        const keep = [];
+        for (let i = 0; i < source.rows.length; i++) {
+            if (columns.every(col => !this.isMissing(source.rows[i][col]))) {
+                keep.push(i);
+            }
+        }
+
+        return {
+            times: Float64Array.from(keep, i => source.times[i]),
+            rows: keep.map(i => source.rows[i])
+        };
+    },
+
+    /**
+     * Pull one column out of a prepared source as a time series
+     * @param {{times: Float64Array, rows: Array}} source - Prepared source
      * @param {string} column - Column name
-     * @param {string} method - Cleanup method
-     * @param {string} dateTimeCol - DateTime column name for sorting
-     * @returns {Array} - Cleaned data
-     */
-    applyCleanup(data, column, method, dateTimeCol) {
-        // Sort by datetime first
-        const sorted = [...data].sort((a, b) => {
-            const dateA = new Date(a[dateTimeCol]);
-            const dateB = new Date(b[dateTimeCol]);
-            return dateA - dateB;
+     * @returns {{times: Float64Array, values: Array}}
+     */
+    extractSeries(source, column) {
+        return {
+            times: source.times,
+            values: source.rows.map(row => row[column])
+        };
+    },
+
+    /**
+     * Move a series in time, for a column logged late or early relative to the others
+     * @param {{times: Float64Array, values: Array}} series
+     * @param {number} offsetMs - Added to every timestamp
+     * @returns {{times: Float64Array, values: Array}}
+     */
+    shiftSeries(series, offsetMs) {
+        if (!offsetMs) return series;
+        return { ...series, times: series.times.map(time => time + offsetMs) };
+    },
+
+    /**
+     * Convert the numeric values of a series to another unit; other values are kept as they are
+     * @param {{times: Float64Array, values: Array}} series
+     * @param {function(number): number} convert - From Units.converter
+     * @returns {{times: Float64Array, values: Array}}
+     */
+    convertSeries(series, convert) {
+        return {
+            ...series,
+            values: series.values.map(value => {
+                if (this.isMissing(value)) return value;
+                const number = typeof value === 'number' ? value : parseFloat(value);
+                return isNaN(number) ? value : convert(number);
+            })
+        };
+    },
+
+    /**
+     * Read a column's filter settings
+     * @param {Object} [filters] - Setting texts: { min, max, sentinels (comma separated), flatLine (duration),
+     *     spikeWindow (samples each side), spikeThreshold (MADs, default 3), maxRate (change per minute) }
+     * @returns {Object|null} - The rules in use, or null when none are set; throws when a setting is not understood
+     */
+    parseFilters(filters) {
+        if (!filters) return null;
+        const text = (key) => String(filters[key] ?? '').trim();
+        const number = (key, label) => {
+            if (text(key) === '') return null;
+            const value = Number(text(key));
+            if (!isFinite(value)) throw new Error(`${label} "${text(key)}" is not a number`);
+            return value;
+        };
+
+        const rules = {
+            min: number('min', 'Valid minimum'),
+            max: number('max', 'Valid maximum'),
+            sentinels: text('sentinels') === '' ? [] : text('sentinels').split(/[,;\s]+/).filter(Boolean).map(value => {
+                const sentinel = Number(value);
+                if (!isFinite(sentinel)) throw new Error(`Sentinel value "${value}" is not a number`);
+                return sentinel;
+            }),
+            flatLineMs: text('flatLine') === '' ? null : this.parseMaxGap(text('flatLine')),
+            spikeWindow: number('spikeWindow', 'Spike filter window'),
+            spikeThreshold: number('spikeThreshold', 'Spike threshold') ?? 3,
+            maxRate: number('maxRate', 'Maximum change per minute')
+        };
+        if (isNaN(rules.flatLineMs)) {
+            throw new Error(`Flat-line duration "${text('flatLine')}" not recognised; use e.g. 30min, 2h or a number of minutes`);
+        }
+        if (rules.min !== null && rules.max !== null && rules.min > rules.max) {
+            throw new Error('The valid minimum is above the valid maximum');
+        }
+        if (rules.spikeWindow !== null && !(Number.isInteger(rules.spikeWindow) && rules.spikeWindow > 0)) {
+            throw new Error('The spike filter window must be a whole number of samples');
+        }
+
+        const active = rules.min !== null || rules.max !== null || rules.sentinels.length > 0 ||
+            rules.flatLineMs !== null || rules.spikeWindow !== null || rules.maxRate !== null;
+        return active ? rules : null;
+    },
+
+    /**
+     * Remove implausible values from a series before it is cleaned and aligned
+     * Removed values become missing, so the column's missing data handling fills them like any gap.
+     * The rules run in turn: sentinel values, min/max limits, flat lines (a run of one value lasting
+     * at least flatLineMs keeps only its first sample), spikes (Hampel filter: further than
+     * spikeThreshold scaled median absolute deviations from the median of spikeWindow samples either
+     * side) and rate of change (more than maxRate per minute away from the last value kept)
+     * @param {{times: Float64Array, values: Array}} series - Time-sorted series
+     * @param {Object} [filters] - Setting texts (see parseFilters)
+     * @returns {{series: {times: Float64Array, values: Array}, removed: Object}} - removed counts per rule
+     */
+    filterSeries(series, filters) {
+        const rules = this.parseFilters(filters);
+        const removed = Object.fromEntries(Object.keys(this.FILTER_RULES).map(rule => [rule, 0]));
+        if (!rules) return { series, removed };
+
+        const values = series.values.slice();
+        const times = series.times;
+        const numberAt = (i) => {
+            if (this.isMissing(values[i])) return NaN;
+            return typeof values[i] === 'number' ? values[i] : parseFloat(values[i]);
+        };
+        const drop = (i, rule) => {
+            values[i] = null;
+            removed[rule]++;
+        };
+
+        for (let i = 0; i < values.length; i++) {
+            const value = numberAt(i);
+            if (isNaN(value)) continue;
+            if (rules.sentinels.includes(value)) drop(i, 'sentinel');
+            else if ((rules.min !== null && value < rules.min) || (rules.max !== null && value > rules.max)) drop(i, 'range');
+        }
+
+        if (rules.flatLineMs !== null) {
+            let runStart = -1;
+            const endRun = (end) => {
+                if (runStart >= 0 && end - 1 > runStart && times[end - 1] - times[runStart] >= rules.flatLineMs) {
+                    for (let j = runStart + 1; j < end; j++) {
+                        if (!isNaN(numberAt(j))) drop(j, 'flatLine');
+                    }
+                }
+            };
+            let runValue = NaN;
+            for (let i = 0; i < values.length; i++) {
+                const value = numberAt(i);
+                if (isNaN(value)) continue;
+                if (value !== runValue) {
+                    endRun(i);
+                    runStart = i;
+                    runValue = value;
+                }
+            }
+            endRun(values.length);
+        }
+
+        if (rules.spikeWindow !== null) {
+            const valid = [];
+            for (let i = 0; i < values.length; i++) {
+                if (!isNaN(numberAt(i))) valid.push(i);
+            }
+            const numbers = valid.map(numberAt);
+            const spikes = [];
+            for (let k = 0; k < valid.length; k++) {
+                const window = numbers.slice(Math.max(0, k - rules.spikeWindow), k + rules.spikeWindow + 1);
+                const median = this.aggregate(window, 'median');
+                // 1.4826 scales the median absolute deviation to a standard deviation for normal data
+                const mad = 1.4826 * this.aggregate(window.map(v => Math.abs(v - median)), 'median');
+                if (mad > 0 && Math.abs(numbers[k] - median) > rules.spikeThreshold * mad) spikes.push(valid[k]);
+            }
+            spikes.forEach(i => drop(i, 'spike'));
+        }
+
+        if (rules.maxRate !== null) {
+            let last = -1;
+            for (let i = 0; i < values.length; i++) {
+                const value = numberAt(i);
+                if (isNaN(value)) continue;
+                if (last >= 0) {
+                    const minutes = (times[i] - times[last]) / 60000;
+                    if (Math.abs(value - numberAt(last)) > rules.maxRate * minutes) {
+                        drop(i, 'rate');
+                        continue;
+                    }
+                }
+                last = i;
+            }
+        }
+
+        return { series: { ...series, values }, removed };
+    },
+
+    /**
+     * Describe a filter's removals, e.g. "3 sentinel value(s), 12 spike(s)"
+     * @param {Object} removed - Counts per rule from filterSeries
+     * @returns {string} - Empty when nothing was removed
+     */
+    describeFiltered(removed) {
+        return Object.entries(this.FILTER_RULES)
+            .filter(([rule]) => removed?.[rule] > 0)
+            .map(([rule, label]) => `${removed[rule].toLocaleString()} ${label}`)
+            .join(', ');
+    },
+
+    /**
+     * Read the parameter of one transform step
+     * @param {{type: string, param: string}} step
+     * @returns {Object} - Parsed parameters; throws when the parameter is not understood
+     */
+    parseTransform(step) {
+        const definition = this.TRANSFORMS[step?.type];
+        if (!definition) throw new Error(`Unknown transform "${step?.type}"`);
+        const text = String(step.param ?? '').trim() || definition.default;
+        const expected = definition.param[0].toLowerCase() + definition.param.slice(1);
+        const problem = `${definition.label}: "${text}" not understood; expected ${expected}`;
+
+        switch (step.type) {
+            case 'movingAverage':
+            case 'movingMedian': {
+                const window = Number(text);
+                if (!Number.isInteger(window) || window < 2) throw new Error(problem);
+                return { window };
+            }
+            case 'ewma': {
+                const alpha = Number(text);
+                if (!(alpha > 0 && alpha <= 1)) throw new Error(problem);
+                return { alpha };
+            }
+            case 'savitzkyGolay': {
+                const [window, order = 2] = text.split(/[,;\s]+/).map(Number);
+                if (!Number.isInteger(window) || window % 2 === 0 || !Number.isInteger(order) || order < 0 || order >= window) {
+                    throw new Error(`${problem}, with an odd window larger than the order`);
+                }
+                return { window, order };
+            }
+            case 'lowPass': {
+                const timeConstantMs = this.parseMaxGap(text);
+                if (!(timeConstantMs > 0 && isFinite(timeConstantMs))) throw new Error(problem);
+                return { timeConstantMs };
+            }
+            case 'derivative': {
+                const per = text.replace(/^1\s*/, '');
+                if (!TimeUtils.OFFSET_UNITS[per]) throw new Error(problem);
+                return { per, perMs: TimeUtils.OFFSET_UNITS[per] };
+            }
+        }
+        return {};
+    },
+
+    /**
+     * Short description of a transform pipeline, used for default column titles
+     * @param {Array<{type: string, param: string}>} steps
+     * @returns {string} - e.g. "moving average 5, derivative per min"
+     */
+    describeTransforms(steps) {
+        return steps.map(step => {
+            const definition = this.TRANSFORMS[step.type];
+            const param = String(step.param ?? '').trim() || definition.default;
+            return step.type === 'derivative'
+                ? `rate per ${param.replace(/^1\s*/, '')}`
+                : `${definition.label.replace(/ \(.*\)$/, '').toLowerCase()} ${param}`;
+        }).join(', ');
+    },
+
+    /**
+     * Unit of a column after its transforms (a derivative turns m³ into m³/min)
+     * @param {string} unit
+     * @param {Array<{type: string, param: string}>} steps
+     * @returns {string}
+     */
+    transformedUnit(unit, steps) {
+        return steps.reduce((result, step) => {
+            if (step.type !== 'derivative') return result;
+            const { per } = this.parseTransform(step);
+            return result ? `${result}/${per}` : `1/${per}`;
+        }, unit || '');
+    },
+
+    /**
+     * Run a column's transform pipeline over a series
+     * Steps work on the numeric samples in order, skipping blanks (which stay blank). Moving windows
+     * and Savitzky-Golay are centred on each sample and count samples, so they suit evenly logged or
+     * aligned data; the low-pass filter and derivative use the time between samples.
+     * @param {{times: ArrayLike<number>, values: Array}} series - Time-sorted series
+     * @param {Array<{type: string, param: string}>} steps
+     * @returns {{times: ArrayLike<number>, values: Array<number|null>}}
+     */
+    transformSeries(series, steps) {
+        const indices = [];
+        for (let i = 0; i < series.values.length; i++) {
+            const value = series.values[i];
+            if (!this.isMissing(value) && !isNaN(parseFloat(value))) indices.push(i);
+        }
+        const times = indices.map(i => series.times[i]);
+        let values = indices.map(i => parseFloat(series.values[i]));
+
+        for (const step of steps) {
+            const params = this.parseTransform(step);
+            values = this._transformStep(step.type, params, times, values);
+        }
+
+        const result = new Array(series.values.length).fill(null);
+        indices.forEach((index, k) => { result[index] = values[k]; });
+        return { times: series.times, values: result };
+    },
+
+    /**
+     * Apply one transform to the numeric samples (blanks in values stay blank)
+     */
+    _transformStep(type, params, times, values) {
+        const n = values.length;
+        const centred = (window, fn) => {
+            const half = Math.floor(window / 2);
+            return values.map((value, i) => {
+                if (value === null) return null;
+                const slice = values.slice(Math.max(0, i - half), Math.min(n, i - half + window)).filter(v => v !== null);
+                return fn(slice);
+            });
+        };
+
+        switch (type) {
+            case 'movingAverage':
+                return centred(params.window, slice => slice.reduce((a, b) => a + b, 0) / slice.length);
+            case 'movingMedian':
+                return centred(params.window, slice => this.aggregate(slice, 'median'));
+            case 'ewma': {
+                let level = null;
+                return values.map(value => {
+                    if (value === null) return null;
+                    level = level === null ? value : level + params.alpha * (value - level);
+                    return level;
+                });
+            }
+            case 'lowPass': {
+                let level = null;
+                let lastTime = null;
+                return values.map((value, i) => {
+                    if (value === null) return null;
+                    if (level === null) {
+                        level = value;
+                    } else {
+                        level += (1 - Math.exp(-(times[i] - lastTime) / params.timeConstantMs)) * (value - level);
+                    }
+                    lastTime = times[i];
+                    return level;
+                });
+            }
+            case 'derivative':
+                return values.map((value, i) => {
+                    if (i === 0 || value === null || values[i - 1] === null || times[i] === times[i - 1]) return null;
+                    return (value - values[i - 1]) / ((times[i] - times[i - 1]) / params.perMs);
+                });
+            case 'savitzkyGolay': {
+                const window = Math.min(params.window, n - (n % 2 === 0 ? 1 : 0));
+                if (window <= params.order) return values.slice();
+                const half = (window - 1) / 2;
+                const weights = new Map();
+                return values.map((value, i) => {
+                    if (value === null) return null;
+                    // Near the ends the fit uses the first / last window and is evaluated off-centre
+                    const start = Math.min(Math.max(0, i - half), n - window);
+                    const at = i - start - half;
+                    if (!weights.has(at)) weights.set(at, this._savitzkyGolayWeights(half, params.order, at));
+                    let sum = 0;
+                    for (let k = 0; k < window; k++) {
+                        const sample = values[start + k];
+                        if (sample === null) return value;
+                        sum += weights.get(at)[k] * sample;
+                    }
+                    return sum;
+                });
+            }
+        }
+        return values;
+    },
+
+    /**
+     * Least-squares weights of a Savitzky-Golay filter
+     * @param {number} half - Samples either side of the window centre
+     * @param {number} order - Polynomial order
+     * @param {number} at - Position (relative to the centre) the fitted polynomial is evaluated at
+     * @returns {Array<number>} - One weight per window sample
+     */
+    _savitzkyGolayWeights(half, order, at) {
+        const size = order + 1;
+        const rows = [];
+        for (let x = -half; x <= half; x++) {
+            rows.push(Array.from({ length: size }, (_, j) => x ** j));
+        }
+
+        // Solve (AᵀA) y = [1, at, at², ...] by Gaussian elimination; the weights are A y
+        const matrix = Array.from({ length: size }, (_, r) => [
+            ...Array.from({ length: size }, (_, c) => rows.reduce((sum, row) => sum + row[r] * row[c], 0)),
+            at ** r
+        ]);
+        for (let c = 0; c < size; c++) {
+            let pivot = c;
+            for (let r = c + 1; r < size; r++) {
+                if (Math.abs(matrix[r][c]) > Math.abs(matrix[pivot][c])) pivot = r;
+            }
+            [matrix[c], matrix[pivot]] = [matrix[pivot], matrix[c]];
+            for (let r = 0; r < size; r++) {
+                if (r === c) continue;
+                const factor = matrix[r][c] / matrix[c][c];
+                for (let k = c; k <= size; k++) matrix[r][k] -= factor * matrix[c][k];
+            }
+        }
+        const y = matrix.map((row, r) => row[size] / row[r]);
+        return rows.map(row => row.reduce((sum, value, j) => sum + value * y[j], 0));
+    },
+
+    /**
+     * Read a counter column's settings
+     * @param {Object} [counter] - Setting texts: { output: 'total'|'delta'|'rate', rollover, per }
+     * @returns {{output: string, modulus: number|null, per: string, perMs: number}} - throws when not understood
+     */
+    parseCounter(counter = {}) {
+        const output = ['total', 'delta', 'rate'].includes(counter.output) ? counter.output : 'delta';
+        const per = counter.per || 'h';
+        if (!TimeUtils.OFFSET_UNITS[per]) throw new Error(`Unknown rate unit "${per}"`);
+
+        // "999999" and "1000000" both mean a six-digit counter
+        const text = String(counter.rollover ?? '').trim();
+        let modulus = null;
+        if (text !== '') {
+            modulus = Number(text);
+            if (!(modulus > 0)) throw new Error(`Rollover value "${text}" is not a positive number`);
+            if (/^9+(\.9+)?$/.test(text)) modulus += 10 ** -(text.split('.')[1]?.length || 0);
+        }
+        return { output, modulus, per, perMs: TimeUtils.OFFSET_UNITS[per] };
+    },
+
+    /**
+     * Turn a cumulative counter reading into a total that only goes up
+     * A drop from near the top of the counter's range to near zero is a rollover (the range is the
+     * rollover setting, or else the next power of ten); any other drop is a reset to zero.
+     * @param {{times: Float64Array, values: Array}} series - Time-sorted counter readings
+     * @param {number|null} modulus - Value the counter wraps at, null to guess
+     * @returns {{series: {times: Float64Array, values: Array}, rollovers: number, resets: number}}
+     */
+    counterTotal(series, modulus) {
+        const values = new Array(series.values.length).fill(null);
+        let total = null;
+        let previous = null;
+        let rollovers = 0;
+        let resets = 0;
+
+        series.values.forEach((raw, i) => {
+            const value = this.isMissing(raw) ? NaN : parseFloat(raw);
+            if (isNaN(value)) return;
+            if (previous === null) {
+                total = value;
+            } else if (value >= previous) {
+                total += value - previous;
+            } else {
+                const range = modulus || 10 ** Math.ceil(Math.log10(previous + 1));
+                if (previous >= 0.9 * range && value < 0.1 * range) {
+                    total += range - previous + value;
+                    rollovers++;
+                } else {
+                    total += value;
+                    resets++;
+                }
+            }
+            previous = value;
+            values[i] = total;
+        });
+
+        return { series: { ...series, values }, rollovers, resets };
+    },
+
+    /**
+     * Read a state column's settings
+     * @param {Object} [state] - Setting texts: { output: 'value' | 'fraction' | 'transitions', states
+     *     (comma separated, the states to time for fraction output) }
+     * @returns {{output: string, states: Array<string>|null}} - states is null to time every state seen
+     */
+    parseState(state = {}) {
+        const output = ['value', 'fraction', 'transitions'].includes(state.output) ? state.output : 'value';
+        const states = String(state.states ?? '').split(',').map(text => text.trim()).filter(Boolean);
+        return { output, states: states.length > 0 ? states : null };
+    },
+
+    /**
+     * The states a series takes, as text in order of first appearance
+     * @param {{times: Float64Array, values: Array}} series
+     * @returns {Array<string>} - Throws when there are more than MAX_STATES, as for a measurement
+     */
+    listStates(series) {
+        const seen = new Set();
+        series.values.forEach(value => {
+            if (!this.isMissing(value)) seen.add(String(value).trim());
         });
+        if (seen.size > this.MAX_STATES) {
+            throw new Error(`${seen.size} different states were logged; list the ones to time (at most ${this.MAX_STATES})`);
+        }
+        return [...seen];
+    },
+
+    /**
+     * Clean a time series by handling missing values
+     * Filled samples are marked in the returned series' sources array ('filled', 'interpolated'
+     * or 'zero'); samples without a mark are measured
+     * @param {{times: Float64Array, values: Array}} series - Time-sorted series
+     * @param {string} method - Cleanup method
+     * @param {Object} [options]
+     * @param {number} [options.maxGapMs] - Longest gap the fill methods may bridge (default no limit)
+     * @returns {{times: Float64Array, values: Array}} - Cleaned series
+     */
+    applyCleanup(series, method, options = {}) {
+        const maxGapMs = options.maxGapMs ?? Infinity;
 
         switch (method) {
             case 'Fill with nearest available value':
-                return this.fillNearest(sorted, column);
+                return this.fillNearest(series, maxGapMs);
             
             case 'Fill with a linear interpolation between the nearest values':
-                return this.fillInterpolate(sorted, column, dateTimeCol);
+                return this.fillInterpolate(series, maxGapMs);
             
-            case 'Delete the entire row of data':
-                return sorted.filter(row => row[column] != null && row[column] !== '');
+            case 'Delete the entire row of data': {
+                // Whole rows are removed up front (deleteRowsWithMissing); this drops any stragglers
+                const keep = [];
+                series.values.forEach((v, i) => { if (!this.isMissing(v)) keep.push(i); });
+                return {
+                    times: Float64Array.from(keep, i => series.times[i]),
+                    values: keep.map(i => series.values[i])
+                };
+            }
             
             case 'Fill with zero':
-                return sorted.map(row => ({
-                    ...row,
-                    [column]: row[column] != null && row[column] !== '' ? row[column] : 0
-                }));
+                return {
+                    times: series.times,
+                    values: series.values.map(v => this.isMissing(v) ? 0 : v),
+                    sources: series.values.map(v => this.isMissing(v) ? 'zero' : undefined)
+                };
             
             default:
-                return sorted;
+                return series;
         }
     },
 
     /**
-     * Fill missing values with nearest available (forward then backward fill)
+     * Index of the previous / next valid value for every position, found in two passes
+     * @param {Array} values
+     * @returns {{prevIdx: Int32Array, nextIdx: Int32Array}} - -1 where there is none
      */
-    fillNearest(data, column) {
-        const result = [...data];
-        
-        // Forward fill
-        let lastValid = null;
-        for (let i = 0; i < result.length; i++) {
-            if (result[i][column] != null && result[i][column] !== '') {
-                lastValid = result[i][column];
-            } else if (lastValid !== null) {
-                result[i] = { ...result[i], [column]: lastValid };
-            }
+    validNeighbours(values) {
+        const n = values.length;
+        const prevIdx = new Int32Array(n);
+        const nextIdx = new Int32Array(n);
+        let last = -1;
+        for (let i = 0; i < n; i++) {
+            prevIdx[i] = last;
+            if (!this.isMissing(values[i])) last = i;
         }
+        last = -1;
+        for (let i = n - 1; i >= 0; i--) {
+            nextIdx[i] = last;
+            if (!this.isMissing(values[i])) last = i;
+        }
+        return { prevIdx, nextIdx };
+    },
+
+    /**
+     * Fill missing values with nearest available (forward then backward fill)
+     * A value is only copied to times within maxGapMs of it; anything farther stays blank
+     */
+    fillNearest(series, maxGapMs = Infinity) {
+        const { times } = series;
+        const values = [...series.values];
+        const sources = new Array(values.length);
+        const { prevIdx, nextIdx } = this.validNeighbours(series.values);
         
-        // Backward fill for any remaining nulls at start
-        lastValid = null;
-        for (let i = result.length - 1; i >= 0; i--) {
-            if (result[i][column] != null && result[i][column] !== '') {
-                lastValid = result[i][column];
-            } else if (lastValid !== null) {
-                result[i] = { ...result[i], [column]: lastValid };
+        for (let i = 0; i < values.length; i++) {
+            if (!this.isMissing(values[i])) continue;
+
+            const prev = prevIdx[i];
+            const next = nextIdx[i];
+            if (prev >= 0 && times[i] - times[prev] <= maxGapMs) {
+                values[i] = series.values[prev];
+                sources[i] = 'filled';
+            } else if (next >= 0 && times[next] - times[i] <= maxGapMs && (prev < 0 || maxGapMs !== Infinity)) {
+                // Backward fill at the start; with a limit, also the end of a gap the forward fill cannot reach
+                values[i] = series.values[next];
+                sources[i] = 'filled';
             }
         }
         
-        return result;
+        return { times, values, sources };
     },
 
     /**
      * Fill missing values with linear interpolation
+     * Only gaps between real values no longer than maxGapMs are bridged
      */
-    fillInterpolate(data, column, dateTimeCol) {
-        const result = [...data];
+    fillInterpolate(series, maxGapMs = Infinity) {
+        const { times } = series;
+        const values = [...series.values];
+        const n = values.length;
+        const sources = new Array(n);
+        const { prevIdx, nextIdx } = this.validNeighbours(series.values);
         
-        for (let i = 0; i < result.length; i++) {
-            if (result[i][column] == null || result[i][column] === '') {
-                // Find previous valid value
-                let prevIdx = i - 1;
-                while (prevIdx >= 0 && (result[prevIdx][column] == null || result[prevIdx][column] === '')) {
-                    prevIdx--;
-                }
+        for (let i = 0; i < n; i++) {
+            if (!this.isMissing(series.values[i])) continue;
+
+            const prev = prevIdx[i];
+            const next = nextIdx[i];
                 
-                // Find next valid value
-                let nextIdx = i + 1;
-                while (nextIdx < result.length && (result[nextIdx][column] == null || result[nextIdx][column] === '')) {
-                    nextIdx++;
-                }
+            if (prev >= 0 && next >= 0) {
+                if (times[next] - times[prev] > maxGapMs) continue;
+                // Linear interpolation
+                const prevVal = parseFloat(series.values[prev]);
+                const nextVal = parseFloat(series.values[next]);
                 
-                if (prevIdx >= 0 && nextIdx < result.length) {
-                    // Linear interpolation
-                    const prevVal = parseFloat(result[prevIdx][column]);
-                    const nextVal = parseFloat(result[nextIdx][column]);
-                    const prevTime = new Date(result[prevIdx][dateTimeCol]).getTime();
-                    const nextTime = new Date(result[nextIdx][dateTimeCol]).getTime();
-                    const currTime = new Date(result[i][dateTimeCol]).getTime();
-                    
-                    if (!isNaN(prevVal) && !isNaN(nextVal) && prevTime !== nextTime) {
-                        const ratio = (currTime - prevTime) / (nextTime - prevTime);
-                        const interpolated = prevVal + ratio * (nextVal - prevVal);
-                        result[i] = { ...result[i], [column]: interpolated };
-                    }
-                } else if (prevIdx >= 0) {
-                    // Only have previous - use it
-                    result[i] = { ...result[i], [column]: result[prevIdx][column] };
-                } else if (nextIdx < result.length) {
-                    // Only have next - use it
-                    result[i] = { ...result[i], [column]: result[nextIdx][column] };
+                if (!isNaN(prevVal) && !isNaN(nextVal) && times[prev] !== times[next]) {
+                    const ratio = (times[i] - times[prev]) / (times[next] - times[prev]);
+                    values[i] = prevVal + ratio * (nextVal - prevVal);
+                    sources[i] = 'interpolated';
+                }
+            } else if (prev >= 0) {
+                // Only have previous - use it
+                if (times[i] - times[prev] <= maxGapMs) {
+                    values[i] = series.values[prev];
+                    sources[i] = 'filled';
+                }
+            } else if (next >= 0) {
+                // Only have next - use it
+                if (times[next] - times[i] <= maxGapMs) {
+                    values[i] = series.values[next];
+                    sources[i] = 'filled';
                 }
             }
         }
         
-        return result;
+        return { times, values, sources };
     },
-
     /**
      * Handle duplicate timestamps
      * @param {Array} data - Data rows
      * @param {string} dateTimeCol - DateTime column name
      * @param {string} method - How to handle duplicates (Average, Maximum, Minimum)
+     * @param {Array<string>} [holdColumns] - Columns of discrete states, which keep the last value logged
      * @returns {Array}
      */
-    handleDuplicates(data, dateTimeCol, method) {
+    handleDuplicates(data, dateTimeCol, method, holdColumns = []) {
         // Group by timestamp
         const groups = new Map();
         
@@ -187,6 +1293,11 @@ const DataProcessing = {
                 const columns = Object.keys(rows[0]).filter(c => c !== dateTimeCol);
                 
                 for (const col of columns) {
+                    if (holdColumns.includes(col)) {
+                        const logged = rows.filter(r => !this.isMissing(r[col]));
+                        aggregated[col] = logged.length > 0 ? logged[logged.length - 1][col] : rows[0][col];
+                        continue;
+                    }
                     const values = rows
                         .map(r => parseFloat(r[col]))
                         .filter(v => !isNaN(v));
@@ -217,179 +1328,698 @@ const DataProcessing = {
     },
 
     /**
-     * Align data to target timestamps
-     * @param {Array} data - Source data
-     * @param {Array<Date>} targetTimestamps - Target timestamp array
-     * @param {string} dateTimeCol - DateTime column name
-     * @param {string} valueCol - Value column name
+     * Index of the first time >= target (times.length if none)
+     * @param {Float64Array} times - Ascending times
+     * @param {number} target
+     * @returns {number}
+     */
+    lowerBound(times, target) {
+        let lo = 0;
+        let hi = times.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+            if (times[mid] < target) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo;
+    },
+
+    /**
+     * Index of the first time > target (times.length if none)
+     * @param {Float64Array} times - Ascending times
+     * @param {number} target
+     * @returns {number}
+     */
+    upperBound(times, target) {
+        let lo = 0;
+        let hi = times.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+            if (times[mid] <= target) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo;
+    },
+
+    /**
+     * Align a time series to target timestamps
+     * Every lookup is a binary search, so a source of n points aligns to m targets in O(m log n)
+     * @param {{times: Float64Array, values: Array}} series - Time-sorted series
+     * @param {Array<Date>|Float64Array} targetTimes - Target timestamps (Dates or epoch ms)
      * @param {string} method - Alignment method
+     * @param {Object} [options]
+     * @param {{starts: Float64Array, ends: Float64Array, closed: string}} [options.bins] - Interval of
+     *     each target for interval aggregation (see buildIntervalBins)
+     * @param {string} [options.aggregation] - Interval aggregation (see aggregate), default mean
+     * @param {number} [options.maxGapMs] - Targets farther than this from the samples they would use stay blank
+     * @param {function(number, string, number)} [options.onProvenance] - Called for every target with
+     *     (target index, quality code, number of source samples used); see describeQuality for the codes
+     * @param {{output: string, perMs: number}} [options.counter] - The series is a counter total (see
+     *     counterTotal); it is read at the interval edges instead of with the alignment method
+     * @param {{output: string, value?: string}} [options.state] - The series is a discrete state; it is
+     *     held, timed or counted instead of aligned with the alignment method (see _alignState)
      * @returns {Array} - Values aligned to target timestamps
      */
-    alignToTimestamps(data, targetTimestamps, dateTimeCol, valueCol, method) {
-        // Build sorted array of {time, value} from source data
-        const sourceData = data
-            .map(row => ({
-                time: new Date(row[dateTimeCol]).getTime(),
-                value: row[valueCol]
-            }))
-            .filter(d => !isNaN(d.time))
-            .sort((a, b) => a.time - b.time);
+    alignToTimestamps(series, targetTimes, method, options = {}) {
+        const { times, values } = series;
+        const n = times.length;
+        const targets = Float64Array.from(targetTimes, t => (t instanceof Date ? t.getTime() : t));
+        const onProvenance = options.onProvenance || (() => {});
         
-        if (sourceData.length === 0) {
-            return targetTimestamps.map(() => null);
+        if (n === 0) {
+            targets.forEach((t, i) => onProvenance(i, 'blank', 0));
+            return Array.from(targets, () => null);
         }
+
+        if (options.counter) {
+            return this._alignCounter(series, targets, options);
+        }
+        if (options.state) {
+            return this._alignState(series, targets, options);
+        }
+
+        const numeric = Float64Array.from(values, v => parseFloat(v));
+        const maxGapMs = options.maxGapMs ?? Infinity;
+
+        // Provenance of a value copied from sample idx, given how the cleanup produced that sample
+        const SAMPLE_COUNTS = { measured: 1, nearest: 1, filled: 1, interpolated: 2, zero: 0 };
+        const copied = (t, idx) => {
+            const source = series.sources?.[idx] || 'measured';
+            if (this.isMissing(values[idx])) {
+                onProvenance(t, 'blank', 0);
+            } else if (source === 'measured' && times[idx] !== targets[t]) {
+                onProvenance(t, 'nearest', 1);
+            } else {
+                onProvenance(t, source, SAMPLE_COUNTS[source]);
+            }
+            return values[idx];
+        };
+        const blank = (t) => {
+            onProvenance(t, 'blank', 0);
+            return null;
+        };
+
+        const nearestIndex = (targetMs) => {
+            const after = this.lowerBound(times, targetMs);
+            if (after === 0) return 0;
+            if (after === n) return n - 1;
+            // Ties go to the earlier sample
+            return (targetMs - times[after - 1]) <= (times[after] - targetMs) ? after - 1 : after;
+        };
         
-        const result = [];
-        
-        for (const targetTime of targetTimestamps) {
-            const targetMs = targetTime.getTime();
+        const result = new Array(targets.length);
+
+        if (method === 'Fill with the nearest value') {
+            for (let t = 0; t < targets.length; t++) {
+                const idx = nearestIndex(targets[t]);
+                result[t] = Math.abs(times[idx] - targets[t]) <= maxGapMs ? copied(t, idx) : blank(t);
+            }
             
-            if (method === 'Fill with the nearest value') {
-                // Find nearest value
-                let nearest = null;
-                let nearestDist = Infinity;
-                
-                for (const d of sourceData) {
-                    const dist = Math.abs(d.time - targetMs);
-                    if (dist < nearestDist) {
-                        nearestDist = dist;
-                        nearest = d.value;
-                    }
-                }
-                result.push(nearest);
+        } else if (method === 'Do a linear interpolation from the nearest values') {
+            for (let t = 0; t < targets.length; t++) {
+                const targetMs = targets[t];
+                const afterIdx = this.lowerBound(times, targetMs);          // first time >= target
+                const beforeIdx = this.upperBound(times, targetMs) - 1;     // last time <= target
                 
-            } else if (method === 'Do a linear interpolation from the nearest values') {
-                // Find surrounding values for interpolation
-                let before = null;
-                let after = null;
-                
-                for (let i = 0; i < sourceData.length; i++) {
-                    if (sourceData[i].time <= targetMs) {
-                        before = sourceData[i];
-                    }
-                    if (sourceData[i].time >= targetMs && after === null) {
-                        after = sourceData[i];
-                        break;
-                    }
-                }
-                
-                if (before === null && after === null) {
-                    result.push(null);
-                } else if (before === null) {
-                    result.push(after.value);
-                } else if (after === null) {
-                    result.push(before.value);
-                } else if (before.time === after.time) {
-                    result.push(before.value);
+                if (beforeIdx < 0) {
+                    result[t] = times[afterIdx] - targetMs <= maxGapMs ? copied(t, afterIdx) : blank(t);
+                } else if (afterIdx >= n) {
+                    result[t] = targetMs - times[beforeIdx] <= maxGapMs ? copied(t, beforeIdx) : blank(t);
+                } else if (times[beforeIdx] === times[afterIdx]) {
+                    result[t] = copied(t, beforeIdx);
+                } else if (times[afterIdx] - times[beforeIdx] > maxGapMs) {
+                    // Do not bridge an outage
+                    result[t] = blank(t);
                 } else {
                     // Interpolate
-                    const ratio = (targetMs - before.time) / (after.time - before.time);
-                    const beforeVal = parseFloat(before.value);
-                    const afterVal = parseFloat(after.value);
+                    const ratio = (targetMs - times[beforeIdx]) / (times[afterIdx] - times[beforeIdx]);
+                    const beforeVal = numeric[beforeIdx];
+                    const afterVal = numeric[afterIdx];
                     
                     if (!isNaN(beforeVal) && !isNaN(afterVal)) {
-                        result.push(beforeVal + ratio * (afterVal - beforeVal));
+                        result[t] = beforeVal + ratio * (afterVal - beforeVal);
+                        onProvenance(t, 'interpolated', 2);
                     } else {
-                        result.push(before.value);
+                        result[t] = copied(t, beforeIdx);
                     }
                 }
-                
-            } else if (method === 'Take an average of the available values within the interval') {
-                // This requires knowing the interval - for now, use a window approach
-                // Find all values within the interval centered on target
-                const intervalMs = 60000; // Will be passed properly in full implementation
-                const windowStart = targetMs - intervalMs / 2;
-                const windowEnd = targetMs + intervalMs / 2;
-                
-                const windowValues = sourceData
-                    .filter(d => d.time >= windowStart && d.time < windowEnd)
-                    .map(d => parseFloat(d.value))
-                    .filter(v => !isNaN(v));
-                
-                if (windowValues.length > 0) {
-                    result.push(windowValues.reduce((a, b) => a + b, 0) / windowValues.length);
+            }
+            
+        } else if (method === 'Take an average of the available values within the interval') {
+            const bins = options.bins || this._defaultBins(targets);
+            const aggregation = options.aggregation || 'mean';
+            const bound = bins.closed === 'right' ? 'upperBound' : 'lowerBound';
+            // Value-like aggregations fall back to the nearest value for an empty interval
+            const fillEmpty = ['mean', 'min', 'max', 'first', 'last', 'median'].includes(aggregation);
+
+            for (let t = 0; t < targets.length; t++) {
+                const from = this[bound](times, bins.starts[t]);
+                const to = this[bound](times, bins.ends[t]);
+                const inBin = [];
+                for (let i = from; i < to; i++) {
+                    if (!this.isMissing(values[i])) inBin.push(values[i]);
+                }
+
+                if (inBin.length > 0 || !fillEmpty) {
+                    result[t] = this.aggregate(inBin, aggregation);
+                    onProvenance(t, this.isMissing(result[t]) ? 'blank' : 'aggregated', inBin.length);
+                } else if (bins.ends[t] > bins.starts[t]) {
+                    const idx = nearestIndex(targets[t]);
+                    result[t] = Math.abs(times[idx] - targets[t]) <= maxGapMs ? copied(t, idx) : blank(t);
                 } else {
-                    // Fall back to nearest
-                    let nearest = null;
-                    let nearestDist = Infinity;
-                    for (const d of sourceData) {
-                        const dist = Math.abs(d.time - targetMs);
-                        if (dist < nearestDist) {
-                            nearestDist = dist;
-                            nearest = d.value;
-                        }
-                    }
-                    result.push(nearest);
+                    result[t] = blank(t);
                 }
-            } else {
-                result.push(null);
             }
+        } else {
+            result.fill(null);
+            targets.forEach((t, i) => onProvenance(i, 'blank', 0));
         }
         
         return result;
     },
 
+    /**
+     * Intervals for targets without explicit bins: each target starts one that runs to the next target
+     * @param {Float64Array} targets - Epoch ms
+     * @returns {{starts: Float64Array, ends: Float64Array, closed: string}}
+     */
+    _defaultBins(targets) {
+        const ends = Float64Array.from(targets, (t, i) =>
+            i < targets.length - 1 ? targets[i + 1] : t + (i > 0 ? t - targets[i - 1] : 60000));
+        return { starts: targets, ends, closed: 'left' };
+    },
+
+    /**
+     * Align a counter total: the total at each target, or the consumption (delta) or rate over
+     * each target's interval, read by linear interpolation so a reading need not fall on an edge
+     * @param {{times: Float64Array, values: Array}} series - Counter total (see counterTotal)
+     * @param {Float64Array} targets - Epoch ms
+     * @param {Object} options - As for alignToTimestamps
+     * @returns {Array<number|null>}
+     */
+    _alignCounter(series, targets, options) {
+        const { output, perMs } = options.counter;
+        const maxGapMs = options.maxGapMs ?? Infinity;
+        const onProvenance = options.onProvenance || (() => {});
+
+        const times = [];
+        const totals = [];
+        series.values.forEach((value, i) => {
+            if (!this.isMissing(value) && !isNaN(parseFloat(value))) {
+                times.push(series.times[i]);
+                totals.push(parseFloat(value));
+            }
+        });
+
+        // Total at a moment, blank outside the readings or inside an outage longer than maxGapMs
+        const totalAt = (ms) => {
+            const after = this.lowerBound(times, ms);
+            if (after < times.length && times[after] === ms) return totals[after];
+            if (after === 0 || after === times.length) return null;
+            if (times[after] - times[after - 1] > maxGapMs) return null;
+            const ratio = (ms - times[after - 1]) / (times[after] - times[after - 1]);
+            return totals[after - 1] + ratio * (totals[after] - totals[after - 1]);
+        };
+
+        if (output === 'total') {
+            return Array.from(targets, (ms, t) => {
+                const total = totalAt(ms);
+                onProvenance(t, total === null ? 'blank' : 'interpolated', total === null ? 0 : 2);
+                return total;
+            });
+        }
+
+        const bins = options.bins || this._defaultBins(targets);
+        return Array.from(targets, (ms, t) => {
+            const start = bins.starts[t];
+            const end = bins.ends[t];
+            const first = totalAt(start);
+            const last = totalAt(end);
+            if (!(end > start) || first === null || last === null) {
+                onProvenance(t, 'blank', 0);
+                return null;
+            }
+            onProvenance(t, 'aggregated', this.upperBound(times, end) - this.lowerBound(times, start));
+            const delta = last - first;
+            return output === 'rate' ? delta / ((end - start) / perMs) : delta;
+        });
+    },
+
+    /**
+     * Align a discrete state: the last known value at each target (sample and hold), the fraction of
+     * each target's interval spent in one state, or the number of changes of state within the interval
+     * A value is held for at most maxGapMs; the fraction is of the part of the interval a state is known for.
+     * @param {{times: Float64Array, values: Array}} series - Time-sorted states
+     * @param {Float64Array} targets - Epoch ms
+     * @param {Object} options - As for alignToTimestamps; state.value is the state timed for fraction output
+     * @returns {Array}
+     */
+    _alignState(series, targets, options) {
+        const { output, value } = options.state;
+        const maxGapMs = options.maxGapMs ?? Infinity;
+        const onProvenance = options.onProvenance || (() => {});
+
+        const times = [];
+        const states = [];
+        series.values.forEach((state, i) => {
+            if (!this.isMissing(state)) {
+                times.push(series.times[i]);
+                states.push(state);
+            }
+        });
+        const blank = (t) => {
+            onProvenance(t, 'blank', 0);
+            return null;
+        };
+
+        if (output === 'value') {
+            return Array.from(targets, (ms, t) => {
+                const idx = this.upperBound(times, ms) - 1;
+                if (idx < 0 || ms - times[idx] > maxGapMs) return blank(t);
+                onProvenance(t, times[idx] === ms ? 'measured' : 'held', 1);
+                return states[idx];
+            });
+        }
+
+        const keys = states.map(state => String(state).trim());
+        const bins = options.bins || this._defaultBins(targets);
+        const bound = bins.closed === 'right' ? 'upperBound' : 'lowerBound';
+
+        return Array.from(targets, (ms, t) => {
+            const start = bins.starts[t];
+            const end = bins.ends[t];
+            if (!(end > start) || times.length === 0) return blank(t);
+
+            if (output === 'transitions') {
+                if (end < times[0] || start > times[times.length - 1] + maxGapMs) return blank(t);
+                const from = this[bound](times, start);
+                const to = this[bound](times, end);
+                let changes = 0;
+                for (let i = Math.max(from, 1); i < to; i++) {
+                    if (keys[i] !== keys[i - 1]) changes++;
+                }
+                onProvenance(t, 'aggregated', to - from);
+                return changes;
+            }
+
+            // Time in the state over the time any state is known, walking the held segments
+            let known = 0;
+            let inState = 0;
+            let used = 0;
+            for (let i = Math.max(0, this.upperBound(times, start) - 1); i < times.length && times[i] < end; i++) {
+                const next = i + 1 < times.length ? times[i + 1] : Infinity;
+                const segmentStart = Math.max(start, times[i]);
+                const segmentEnd = Math.min(end, next, times[i] + maxGapMs);
+                if (segmentEnd <= segmentStart) continue;
+                known += segmentEnd - segmentStart;
+                if (keys[i] === value) inState += segmentEnd - segmentStart;
+                used++;
+            }
+            if (known === 0) return blank(t);
+            onProvenance(t, 'aggregated', used);
+            return inState / known;
+        });
+    },
+
+    /**
+     * Estimate the lag between two columns by cross-correlation
+     * Both series are resampled by linear interpolation onto a common grid, then the changes of b
+     * from step to step are compared with those of a at each lag within maxLagMs (changes rather than
+     * levels, so slow drifts don't outweigh the events both columns see). A positive lag means
+     * b follows a: b(t + lag) matches a(t),
+     * so a time offset of -lag on b lines it up with a.
+     * @param {{times: ArrayLike<number>, values: Array}} a - Reference series
+     * @param {{times: ArrayLike<number>, values: Array}} b - Series to compare
+     * @param {Object} options
+     * @param {number} options.maxLagMs - Largest lag tried, either way
+     * @param {number} [options.stepMs] - Grid spacing (default the median sample spacing of the sparser series)
+     * @returns {{lagMs: number, correlation: number, stepMs: number, curve: Array<{lagMs: number, correlation: number}>}}
+     */
+    estimateLag(a, b, { maxLagMs, stepMs }) {
+        const numeric = (series) => {
+            const times = [];
+            const values = [];
+            for (let i = 0; i < series.times.length; i++) {
+                const value = typeof series.values[i] === 'number' ? series.values[i] : parseFloat(series.values[i]);
+                if (isFinite(value) && isFinite(series.times[i])) {
+                    times.push(series.times[i]);
+                    values.push(value);
+                }
+            }
+            return { times, values };
+        };
+        const medianSpacing = (times) => {
+            const gaps = [];
+            for (let i = 1; i < times.length; i++) gaps.push(times[i] - times[i - 1]);
+            gaps.sort((x, y) => x - y);
+            return gaps[Math.floor(gaps.length / 2)] || 0;
+        };
+
+        const seriesA = numeric(a);
+        const seriesB = numeric(b);
+        if (seriesA.times.length < 10 || seriesB.times.length < 10) {
+            throw new Error('Each column needs at least 10 numeric values to estimate a lag');
+        }
+
+        const start = Math.max(seriesA.times[0], seriesB.times[0]);
+        const end = Math.min(seriesA.times[seriesA.times.length - 1], seriesB.times[seriesB.times.length - 1]);
+        if (end <= start) throw new Error('The two columns do not overlap in time');
+
+        // Grid capped at 20000 points and 1000 lags either way to keep the search quick
+        let step = stepMs || Math.max(medianSpacing(seriesA.times), medianSpacing(seriesB.times));
+        step = Math.max(step, (end - start) / 20000, maxLagMs / 1000, 1);
+        const maxSteps = Math.floor(maxLagMs / step);
+
+        const changes = (grid) => grid.slice(1).map((value, i) => (
+            value === null || grid[i] === null ? null : value - grid[i]
+        ));
+        const gridA = changes(this._resample(seriesA, start, step, Math.floor((end - start) / step) + 1));
+        const gridB = changes(this._resample(seriesB, start - maxSteps * step, step, gridA.length + 1 + 2 * maxSteps));
+
+        // Lags need at least half the overlap in common to count
+        const minPairs = Math.max(10, Math.floor(gridA.length / 2));
+        const curve = [];
+        let best = null;
+        for (let k = -maxSteps; k <= maxSteps; k++) {
+            let n = 0, sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+            for (let i = 0; i < gridA.length; i++) {
+                const x = gridA[i];
+                const y = gridB[i + maxSteps + k];
+                if (x === null || y === null) continue;
+                n++;
+                sumA += x; sumB += y;
+                sumAA += x * x; sumBB += y * y; sumAB += x * y;
+            }
+            if (n < minPairs) continue;
+            const covariance = sumAB - sumA * sumB / n;
+            const spread = Math.sqrt((sumAA - sumA * sumA / n) * (sumBB - sumB * sumB / n));
+            if (!(spread > 0)) continue;
+
+            const point = { lagMs: k * step, correlation: covariance / spread };
+            curve.push(point);
+            if (!best || point.correlation > best.correlation) best = point;
+        }
+
+        if (!best) throw new Error('The columns do not vary enough over their overlap to estimate a lag');
+        return { lagMs: best.lagMs, correlation: best.correlation, stepMs: step, curve };
+    },
+
+    /**
+     * Linearly interpolate a sorted numeric series onto a regular grid (null outside the series)
+     */
+    _resample(series, start, step, count) {
+        const result = new Array(count).fill(null);
+        let j = 0;
+        for (let i = 0; i < count; i++) {
+            const t = start + i * step;
+            while (j < series.times.length - 1 && series.times[j + 1] < t) j++;
+            if (t < series.times[0] || t > series.times[series.times.length - 1]) continue;
+            const t0 = series.times[j];
+            const t1 = series.times[Math.min(j + 1, series.times.length - 1)];
+            const v0 = series.values[j];
+            const v1 = series.values[Math.min(j + 1, series.times.length - 1)];
+            result[i] = t1 === t0 ? v0 : v0 + (v1 - v0) * (t - t0) / (t1 - t0);
+        }
+        return result;
+    },
+
     /**
      * Create combined dataset from multiple files
+     * Each source is parsed and sorted once; its columns share the resulting time column
      * @param {Object} filesData - Object with file data and settings
      * @param {Array<Date>} timestamps - Target timestamps
      * @param {Object} alignmentOptions - Alignment method per file
-     * @returns {Object} - Combined data with metadata
+     * @param {Object} [options]
+     * @param {function(number, string)} [options.onProgress] - Called after each column with (fraction done, message)
+     * @param {Object} [options.bins] - Interval of each timestamp for interval aggregation (see buildIntervalBins)
+     * @param {Array<Object>} [options.customUnits] - User-defined units for conversions (see Units.parseCustom)
+     * @param {Array<{title: string, expression: string, units: string}>} [options.calculated] - Calculated
+     *     columns, worked out in order after alignment (each may use the ones before it)
+     * @returns {Object} - Combined data with metadata; aggregated lists the columns aggregated per interval,
+     *     quality maps a column to the row key of its {code, count} provenance (columns with quality enabled),
+     *     formulas maps each calculated column to its parsed formula, filtered maps a column to the
+     *     counts of values its outlier filters removed (see filterSeries), counters maps a counter column
+     *     to the rollovers and resets corrected in it; a state column with fraction output becomes one
+     *     column per state, "<title> (<state> fraction)", and states lists the columns of state text
      */
-    createCombinedDataset(filesData, timestamps, alignmentOptions) {
+    createCombinedDataset(filesData, timestamps, alignmentOptions, options = {}) {
+        const onProgress = options.onProgress || (() => {});
         const combined = {
             timestamps: timestamps,
             columns: [],
             units: [],
+            aggregated: [],
+            quality: {},
+            formulas: {},
+            filtered: {},
+            counters: {},
+            states: [],
             data: timestamps.map(ts => ({ DateTime: ts }))
         };
+        const targetTimes = Float64Array.from(timestamps, ts => ts.getTime());
+        const totalColumns = Object.values(filesData)
+            .reduce((sum, info) => sum + Object.keys(info.selectedCols || {}).length, 0);
+        let doneColumns = 0;
         
         for (const [fileName, fileInfo] of Object.entries(filesData)) {
             if (!fileInfo.selectedCols || Object.keys(fileInfo.selectedCols).length === 0) {
                 continue;
             }
             
-            const dateTimeCol = fileInfo.dateTimeCol;
-            let processedData = [...fileInfo.data];
-            
-            // Handle duplicates
-            if (fileInfo.hasDuplicates) {
-                processedData = this.handleDuplicates(
-                    processedData, 
-                    dateTimeCol, 
-                    fileInfo.dupeHandling || 'Average values'
-                );
-            }
+            const isState = (col) => fileInfo.columnType?.[col] === 'state';
+            const getCleanup = (col) => fileInfo.cleanup?.[col] || 'Fill with nearest available value';
+
+            // Parse timestamps and sort once for all columns
+            const source = this.prepareSelectedSource(fileInfo);
+
+            const alignmentMethod = alignmentOptions[fileName] || 'Fill with the nearest value';
             
             // Process each selected column
             for (const [origCol, newTitle] of Object.entries(fileInfo.selectedCols)) {
-                // Apply cleanup
-                const cleanupMethod = fileInfo.cleanup?.[origCol] || 'Fill with nearest available value';
-                processedData = this.applyCleanup(processedData, origCol, cleanupMethod, dateTimeCol);
+                const maxGapMs = this.parseMaxGap(fileInfo.maxGap?.[origCol]);
+                if (isNaN(maxGapMs)) {
+                    throw new Error(`Invalid maximum gap "${fileInfo.maxGap[origCol]}" for column ${newTitle}`);
+                }
+
+                const unit = fileInfo.units?.[origCol] || '';
+                const outputUnit = fileInfo.outputUnit?.[origCol] || '';
+
+                // Per-column time offset, for a sensor that sees the process late or early, then the
+                // outlier filters on the values as logged, before any conversion
+                const prepared = this.prepareColumn(fileInfo, source, origCol, newTitle);
+                let raw = prepared.series;
+                if (this.describeFiltered(prepared.removed)) combined.filtered[newTitle] = prepared.removed;
+
+                // Discrete states are held, timed or counted rather than converted, filled or averaged
+                if (isState(origCol)) {
+                    let state;
+                    let outputs;
+                    try {
+                        state = this.parseState(fileInfo.state?.[origCol]);
+                        outputs = state.output === 'fraction'
+                            ? (state.states || this.listStates(raw)).map(value => ({ title: `${newTitle} (${value} fraction)`, value }))
+                            : [{ title: newTitle }];
+                    } catch (error) {
+                        throw new Error(`Column ${newTitle}: ${error.message}`);
+                    }
+
+                    for (const { title, value } of outputs) {
+                        const qualityKey = `${title} quality`;
+                        const onProvenance = fileInfo.quality?.[origCol]
+                            ? (i, code, count) => { combined.data[i][qualityKey] = { code, count }; }
+                            : undefined;
+                        if (onProvenance) {
+                            combined.quality[title] = qualityKey;
+                        }
+
+                        const aligned = this.alignToTimestamps(raw, targetTimes, alignmentMethod, {
+                            bins: options.bins,
+                            maxGapMs,
+                            onProvenance,
+                            state: { output: state.output, value }
+                        });
+                        combined.columns.push(title);
+                        combined.units.push(state.output === 'value' ? unit : '');
+                        if (state.output !== 'value') combined.aggregated.push(title);
+                        else combined.states.push(title);
+                        for (let i = 0; i < timestamps.length; i++) {
+                            combined.data[i][title] = aligned[i];
+                        }
+                    }
+
+                    doneColumns++;
+                    onProgress(doneColumns / totalColumns, `Aligned ${doneColumns} of ${totalColumns} columns (${newTitle})...`);
+                    continue;
+                }
+
+                // A counter becomes a total that only goes up; before conversion, so the rollover is in logged units
+                let counter = null;
+                if (fileInfo.columnType?.[origCol] === 'counter') {
+                    try {
+                        counter = this.parseCounter(fileInfo.counter?.[origCol]);
+                    } catch (error) {
+                        throw new Error(`Column ${newTitle}: ${error.message}`);
+                    }
+                    const total = this.counterTotal(raw, counter.modulus);
+                    raw = total.series;
+                    if (total.rollovers > 0 || total.resets > 0) {
+                        combined.counters[newTitle] = { rollovers: total.rollovers, resets: total.resets };
+                    }
+                }
+
+                // Convert to the output unit before anything is filled or averaged
+                if (outputUnit && outputUnit !== unit) {
+                    try {
+                        raw = this.convertSeries(raw, Units.converter(unit, outputUnit, options.customUnits));
+                    } catch (error) {
+                        throw new Error(`Column ${newTitle}: ${error.message}`);
+                    }
+                }
+
+                // Transforms replace the column or go in a column of their own; before alignment
+                // they see the samples as logged, after it the aligned rows
+                const transform = fileInfo.transforms?.[origCol];
+                const steps = transform?.steps?.length > 0 ? transform.steps : null;
+                const columnUnit = counter?.output === 'rate' && (outputUnit || unit)
+                    ? `${outputUnit || unit}/${counter.per}`
+                    : outputUnit || unit;
+                let transformedUnit = '';
+                let transformedRaw = null;
+                if (steps) {
+                    try {
+                        steps.forEach(step => this.parseTransform(step));
+                        transformedUnit = this.transformedUnit(columnUnit, steps);
+                    } catch (error) {
+                        throw new Error(`Column ${newTitle}: ${error.message}`);
+                    }
+                    if (transform.stage === 'before') {
+                        const transformed = this.transformSeries(raw, steps);
+                        if (transform.addColumn) transformedRaw = transformed;
+                        else raw = transformed;
+                    }
+                }
+
+                // Apply cleanup (a counter total is read between readings, so its gaps need no filling)
+                const series = counter ? raw : this.applyCleanup(raw, getCleanup(origCol), { maxGapMs });
                 
+                // Record how each value is produced when quality output is enabled for the column
+                const qualityKey = `${newTitle} quality`;
+                const onProvenance = fileInfo.quality?.[origCol]
+                    ? (i, code, count) => { combined.data[i][qualityKey] = { code, count }; }
+                    : undefined;
+                if (onProvenance) {
+                    combined.quality[newTitle] = qualityKey;
+                }
+
                 // Align to target timestamps
-                const alignmentMethod = alignmentOptions[fileName] || 'Fill with the nearest value';
-                const alignedValues = this.alignToTimestamps(
-                    processedData, 
-                    timestamps, 
-                    dateTimeCol, 
-                    origCol, 
-                    alignmentMethod
-                );
+                let alignedValues = this.alignToTimestamps(series, targetTimes, alignmentMethod, {
+                    bins: options.bins,
+                    aggregation: fileInfo.aggregation?.[origCol] || 'mean',
+                    maxGapMs,
+                    onProvenance,
+                    counter
+                });
+
+                let transformedValues = null;
+                if (steps && transform.stage !== 'before') {
+                    const transformed = this.transformSeries({ times: targetTimes, values: alignedValues }, steps).values;
+                    if (transform.addColumn) transformedValues = transformed;
+                    else alignedValues = transformed;
+                } else if (transformedRaw) {
+                    transformedValues = this.alignToTimestamps(
+                        this.applyCleanup(transformedRaw, getCleanup(origCol), { maxGapMs }),
+                        targetTimes,
+                        alignmentMethod,
+                        { bins: options.bins, aggregation: fileInfo.aggregation?.[origCol] || 'mean', maxGapMs }
+                    );
+                }
                 
                 // Add to combined data
                 combined.columns.push(newTitle);
-                combined.units.push(fileInfo.units?.[origCol] || '');
+                if (alignmentMethod === 'Take an average of the available values within the interval' ||
+                    (counter && counter.output !== 'total')) {
+                    combined.aggregated.push(newTitle);
+                }
+                combined.units.push(steps && !transform.addColumn ? transformedUnit : columnUnit);
                 
                 for (let i = 0; i < timestamps.length; i++) {
                     combined.data[i][newTitle] = alignedValues[i];
                 }
+
+                // Optional flag column (1) marking the values the gap limit left blank
+                if (fileInfo.flagGaps?.[origCol] && isFinite(maxGapMs)) {
+                    const unlimited = this.alignToTimestamps(
+                        counter ? raw : this.applyCleanup(raw, getCleanup(origCol)),
+                        targetTimes,
+                        alignmentMethod,
+                        { bins: options.bins, aggregation: fileInfo.aggregation?.[origCol] || 'mean', counter }
+                    );
+                    const flagTitle = `${newTitle} gap`;
+                    combined.columns.push(flagTitle);
+                    combined.units.push('');
+                    for (let i = 0; i < timestamps.length; i++) {
+                        const blanked = this.isMissing(alignedValues[i]) && !this.isMissing(unlimited[i]);
+                        combined.data[i][flagTitle] = blanked ? 1 : null;
+                    }
+                }
+
+                // The transformed series next to the raw one
+                if (transformedValues) {
+                    const transformTitle = transform.title?.trim() || `${newTitle} (${this.describeTransforms(steps)})`;
+                    combined.columns.push(transformTitle);
+                    combined.units.push(transformedUnit);
+                    for (let i = 0; i < timestamps.length; i++) {
+                        combined.data[i][transformTitle] = transformedValues[i];
+                    }
+                }
+
+                doneColumns++;
+                onProgress(doneColumns / totalColumns, `Aligned ${doneColumns} of ${totalColumns} columns (${newTitle})...`);
             }
         }
-        
+
+        this.addCalculatedColumns(combined, options.calculated || []);
         return combined;
     },
 
+    /**
+     * Work out calculated columns over the aligned data
+     * @param {Object} combined - Combined dataset (changed in place)
+     * @param {Array<{title: string, expression: string, units: string}>} calculated
+     */
+    addCalculatedColumns(combined, calculated) {
+        const length = combined.data.length;
+        for (const { title, expression, units } of calculated) {
+            if (!title) throw new Error(`Calculated column "${expression}" needs a title`);
+            if (combined.columns.includes(title)) {
+                throw new Error(`Calculated column "${title}" has the same title as another column`);
+            }
+
+            let values;
+            try {
+                const formula = Formulas.parse(expression);
+                values = Formulas.evaluate(formula, col => (
+                    combined.columns.includes(col) ? combined.data.map(row => row[col]) : undefined
+                ), length);
+                combined.formulas[title] = formula;
+            } catch (error) {
+                throw new Error(`Calculated column "${title}": ${error.message}`);
+            }
+
+            combined.columns.push(title);
+            combined.units.push(units || '');
+            for (let i = 0; i < length; i++) {
+                combined.data[i][title] = values[i];
+            }
+        }
+    },
+
     /**
      * Format date for Excel
      * @param {Date} date
@@ -400,6 +2030,6 @@ const DataProcessing = {
     }
 };
 
-// Export for use in other modules
-window.DataProcessing = DataProcessing;
+// Export for use in other modules (self is window on the page, the global scope in the worker)
+self.DataProcessing = DataProcessing;
 
@@ -7,46 +7,40 @@ const FileHandlers = {
     /**
      * Read a file and return its contents based on type
      * @param {File} file - The file to read
-     * @returns {Promise<{data: Array, columns: Array, headerRow: number}>}
+     * @param {string} [sheetName] - Sheet to read from a workbook (default: the first)
+     * @param {Object} [parseOptions] - Manual layout and CSV dialect: { headerRow, unitsRow, footerRows, dialect } (see readCSV)
+     * @returns {Promise<{data: Array, columns: Array, headerRow: number, sheetNames?: Array<string>, sheetName?: string}>}
      */
-    async readFile(file) {
+    async readFile(file, sheetName, parseOptions = {}) {
         const fileName = file.name.toLowerCase();
         const arrayBuffer = await file.arrayBuffer();
         
         if (fileName.endsWith('.csv')) {
-            return this.readCSV(arrayBuffer);
+            return this.readCSV(arrayBuffer, parseOptions);
         } else if (fileName.endsWith('.xls') || fileName.endsWith('.xlsx')) {
-            return this.readExcel(arrayBuffer);
+            return this.readExcel(arrayBuffer, sheetName, parseOptions);
         } else {
             throw new Error(`Unsupported file type: ${file.name}`);
         }
     },
 
+    // Raw lines shown in the header / data range editor
+    RAW_PREVIEW_LINES: 40,
+
     /**
-     * Read CSV file with flexible header detection
-     * @param {ArrayBuffer} arrayBuffer - File contents
-     * @returns {{data: Array, columns: Array, headerRow: number}}
+     * Find the header row: the first of the top 30 rows with at least two cells, at least half
+     * of them non-numeric
+     * @param {Array<Array>} rows - Cells of each row
+     * @returns {number} - Row index (0 when nothing looks like a header)
      */
-    readCSV(arrayBuffer) {
-        const text = new TextDecoder('utf-8').decode(arrayBuffer);
-        const lines = text.split(/\r?\n/);
-        const maxCheckLines = 30;
-        
-        // Find the header row
-        let headerRow = 0;
-        let detected = false;
-        
-        for (let i = 0; i < Math.min(maxCheckLines, lines.length); i++) {
-            const line = lines[i];
-            if (!line.trim()) continue;
-            
-            // Split by comma or tab
-            const parts = line.split(/[,\t]/)
-                .map(p => p.trim().replace(/^["']|["']$/g, ''))
-                .filter(p => p);
-            
+    detectHeaderRow(rows) {
+        for (let i = 0; i < Math.min(30, rows.length); i++) {
+            const row = rows[i];
+            if (!row || !Array.isArray(row)) continue;
+
+            const parts = row.filter(p => p !== null && p !== undefined && String(p).trim());
             if (parts.length < 2) continue;
-            
+
             // Heuristic: if at least half the entries are non-numeric, assume header
             let nonNumeric = 0;
             for (const p of parts) {
@@ -54,24 +48,308 @@ const FileHandlers = {
                     nonNumeric++;
                 }
             }
-            
+
             if (nonNumeric / parts.length >= 0.5) {
-                headerRow = i;
-                detected = true;
-                break;
+                return i;
             }
         }
-        
-        // Pre-process: remove trailing commas from each line to avoid extra columns
-        const cleanedLines = lines.slice(headerRow).map(line => {
-            // Remove trailing commas (and any whitespace after them)
-            return line.replace(/,\s*$/, '').replace(/\r$/, '');
+        return 0;
+    },
+
+    /**
+     * Check whether a short text reads like a unit ("degC", "m3/h", "%", "°C", "kW h")
+     * Numbers, long texts and texts starting with a digit are not units
+     * @param {string} text
+     * @returns {boolean}
+     */
+    looksLikeUnit(text) {
+        text = String(text).trim();
+        return text.length > 0 && text.length <= 12 &&
+            !/^[\d\s.,+-]/.test(text.replace(/^-$/, '')) &&
+            (text.match(/\s/g) || []).length <= 1 &&
+            isNaN(parseFloat(text));
+    },
+
+    /**
+     * Find a units row: the row right under the headers, when all of its cells read like units
+     * and the next row has numbers under them
+     * @param {Array<Array>} rows - Cells of each row
+     * @param {number} headerRow - Row index of the headers
+     * @returns {number|null} - Row index, or null when there is none
+     */
+    detectUnitsRow(rows, headerRow) {
+        const isEmpty = (cell) => cell === null || cell === undefined || String(cell).trim() === '';
+        const candidate = rows[headerRow + 1];
+        if (!candidate || candidate.every(isEmpty)) return null;
+        if (candidate.some(cell => !isEmpty(cell) && !this.looksLikeUnit(cell))) return null;
+
+        const next = rows.slice(headerRow + 2).find(row => row && !row.every(isEmpty));
+        if (!next) return null;
+        const numbersBelow = candidate.some((cell, i) => !isEmpty(cell) && !isEmpty(next[i]) && !isNaN(parseFloat(next[i])));
+        return numbersBelow ? headerRow + 1 : null;
+    },
+
+    /**
+     * Split a unit off the end of a header: "Flow (m3/h)" or "Temp [°C]"
+     * @param {string} header
+     * @returns {{title: string, unit: string}|null} - null when the header has no unit
+     */
+    splitHeaderUnit(header) {
+        const match = String(header).match(/^(.*\S)\s*(?:\(([^()]+)\)|\[([^[\]]+)\])$/);
+        if (!match) return null;
+        const unit = (match[2] || match[3]).trim();
+        return this.looksLikeUnit(unit) ? { title: match[1], unit } : null;
+    },
+
+    /**
+     * Units and clean titles of the columns, from a units row and from units in the headers
+     * A units row wins over a unit in the header; the column names themselves are not changed
+     * @param {Array<string>} fields - Header of each cell position
+     * @param {Array|null} unitCells - Cells of the units row, if there is one
+     * @returns {{columnUnits: Object, columnTitles: Object}} - column -> unit / title without the unit
+     */
+    describeColumns(fields, unitCells) {
+        const columnUnits = {};
+        const columnTitles = {};
+        fields.forEach((field, i) => {
+            if (!field) return;
+            const embedded = this.splitHeaderUnit(field);
+            if (embedded) {
+                columnTitles[field] = embedded.title;
+                columnUnits[field] = embedded.unit;
+            }
+
+            // Units row cells may be bracketed ("[kPa]"); "-" means no unit
+            const cell = unitCells?.[i];
+            const unit = cell === null || cell === undefined ? '' : String(cell).trim().replace(/^[([](.*)[)\]]$/, '$1').trim();
+            if (unit && unit !== '-') columnUnits[field] = unit;
         });
+        return { columnUnits, columnTitles };
+    },
+
+    // Choices for CSV dialect detection, most likely first
+    CSV_DELIMITERS: [',', ';', '\t', '|'],
+    CSV_ENCODINGS: ['utf-8', 'utf-16le', 'utf-16be', 'windows-1252', 'iso-8859-1'],
+
+    /**
+     * Find the text encoding: from the byte order mark, from the zero bytes of UTF-16 text
+     * without one, or Windows-1252 when the bytes are not valid UTF-8
+     * @param {Uint8Array} bytes
+     * @returns {{encoding: string, bom: boolean}}
+     */
+    detectEncoding(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return { encoding: 'utf-8', bom: true };
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return { encoding: 'utf-16le', bom: true };
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return { encoding: 'utf-16be', bom: true };
+
+        // ASCII text in UTF-16 has a zero in every other byte
+        const sample = bytes.subarray(0, 4000);
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < sample.length; i++) {
+            if (sample[i] === 0) i % 2 === 0 ? evenZeros++ : oddZeros++;
+        }
+        if (oddZeros > sample.length / 4 && evenZeros < sample.length / 40) return { encoding: 'utf-16le', bom: false };
+        if (evenZeros > sample.length / 4 && oddZeros < sample.length / 40) return { encoding: 'utf-16be', bom: false };
+
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            return { encoding: 'utf-8', bom: false };
+        } catch (error) {
+            return { encoding: 'windows-1252', bom: false };
+        }
+    },
+
+    /**
+     * Count a character in a line, outside quoted fields
+     */
+    _countOutsideQuotes(line, char, quoteChar) {
+        let count = 0;
+        let quoted = false;
+        for (const ch of line) {
+            if (ch === quoteChar) quoted = !quoted;
+            else if (ch === char && !quoted) count++;
+        }
+        return count;
+    },
+
+    /**
+     * Find the delimiter: the one that splits the most lines into the same number of fields,
+     * weighted by how many of those fields look clean (so preamble lines above the header and
+     * decimal commas count for little)
+     * @param {Array<string>} lines - Non-empty lines
+     * @param {string} quoteChar
+     * @returns {string}
+     */
+    detectDelimiter(lines, quoteChar) {
+        let best = { delimiter: ',', score: 0 };
+        for (const delimiter of this.CSV_DELIMITERS) {
+            const counts = lines.map(line => this._countOutsideQuotes(line, delimiter, quoteChar));
+            const frequency = {};
+            for (const count of counts) {
+                if (count > 0) frequency[count] = (frequency[count] || 0) + 1;
+            }
+            const entries = Object.entries(frequency);
+            if (entries.length === 0) continue;
+            const [mode, consistent] = entries.reduce((a, b) => b[1] > a[1] ? b : a);
+
+            // A field holding another delimiter ("5;2") means the line was split in the wrong
+            // place, unless it is a number with a decimal comma ("1,5")
+            const others = this.CSV_DELIMITERS.filter(d => d !== delimiter);
+            let cells = 0;
+            let clean = 0;
+            lines.forEach((line, i) => {
+                if (counts[i] !== Number(mode)) return;
+                for (const cell of line.split(delimiter)) {
+                    cells++;
+                    if (!others.some(d => cell.includes(d)) || /^\s*[-+]?[\d.]*\d,\d+\s*$/.test(cell)) clean++;
+                }
+            });
+            const score = consistent * (clean / cells);
+            if (score > best.score) best = { delimiter, score };
+        }
+        return best.delimiter;
+    },
+
+    /**
+     * Find the decimal and thousands separators from the numbers in the data
+     * "1,5" or "1.234,5" vote for decimal commas, "1.5" or "1,234.5" for decimal points
+     * @param {Array<Array<string>>} rows - Split data rows
+     * @param {string} delimiter
+     * @returns {{decimal: string, thousands: string}}
+     */
+    detectNumberFormat(rows, delimiter) {
+        let commaDecimal = 0;
+        let pointDecimal = 0;
+        let pointGroups = 0;
+        let commaGroups = 0;
+        let spaceGroups = 0;
+        for (const row of rows) {
+            for (const cell of row) {
+                const value = String(cell).trim();
+                if (/^[-+]?\d+,\d+$/.test(value) && !/^[-+]?\d{1,3},\d{3}$/.test(value)) commaDecimal++;
+                else if (/^[-+]?\d+\.\d+$/.test(value) && !/^[-+]?\d{1,3}\.\d{3}$/.test(value)) pointDecimal++;
+                else if (/^[-+]?\d{1,3}(\.\d{3})+,\d+$/.test(value)) { commaDecimal++; pointGroups++; }
+                else if (/^[-+]?\d{1,3}(,\d{3})+\.\d+$/.test(value)) { pointDecimal++; commaGroups++; }
+                else if (/^[-+]?\d{1,3}( \d{3})+([.,]\d+)?$/.test(value)) spaceGroups++;
+            }
+        }
+
+        const decimal = delimiter !== ',' && commaDecimal > pointDecimal ? ',' : '.';
+        let thousands = '';
+        if (decimal === ',' && pointGroups > 0) thousands = '.';
+        else if (decimal === '.' && commaGroups > 0) thousands = ',';
+        else if (spaceGroups > 0 && delimiter !== ' ') thousands = ' ';
+        return { decimal, thousands };
+    },
+
+    /**
+     * Work out how a CSV file is written
+     * Each of the overrides (a setting chosen by hand) replaces the detected one
+     * @param {ArrayBuffer} arrayBuffer - File contents
+     * @param {Object} [overrides] - { encoding, delimiter, quoteChar, decimal, thousands }
+     * @returns {{text: string, dialect: Object}} - Decoded text and { encoding, bom, delimiter, quoteChar, decimal, thousands }
+     */
+    sniffDialect(arrayBuffer, overrides = {}) {
+        const bytes = new Uint8Array(arrayBuffer);
+        const set = (key) => overrides[key] !== undefined && overrides[key] !== null && overrides[key] !== 'auto';
+
+        const found = this.detectEncoding(bytes);
+        const encoding = set('encoding') ? overrides.encoding : found.encoding;
+        // The decoder drops a byte order mark that matches the encoding
+        const text = new TextDecoder(encoding).decode(bytes);
+
+        const sampleLines = text.split(/\r?\n/, 200).filter(line => line.trim());
+        let quoteChar = '"';
+        if (set('quoteChar')) {
+            quoteChar = overrides.quoteChar;
+        } else {
+            const starts = (q) => sampleLines.filter(line => new RegExp(`(^|[,;\t|])${q}`).test(line)).length;
+            if (starts("'") > starts('"')) quoteChar = "'";
+        }
+
+        const delimiter = set('delimiter') ? overrides.delimiter : this.detectDelimiter(sampleLines, quoteChar);
+
+        const rows = sampleLines.slice(-100).map(line => Papa.parse(line, { delimiter, quoteChar }).data[0] || []);
+        const numbers = this.detectNumberFormat(rows, delimiter);
+        const decimal = set('decimal') ? overrides.decimal : numbers.decimal;
+        const thousands = set('thousands') ? overrides.thousands : (decimal === numbers.decimal ? numbers.thousands : '');
+
+        return {
+            text,
+            dialect: { encoding, bom: found.bom, delimiter, quoteChar, decimal, thousands }
+        };
+    },
+
+    _escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    },
+
+    /**
+     * Turn a number written with the file's separators into a number
+     * Thousands separators are only removed where they group digits in threes
+     * @param {string} value - Trimmed cell text
+     * @param {{decimal: string, thousands: string}} dialect
+     * @returns {number|string} - The number, or the text when it is not one
+     */
+    parseNumber(value, dialect) {
+        let text = value;
+        if (dialect.thousands) {
+            const sep = this._escapeRegExp(dialect.thousands);
+            const dec = this._escapeRegExp(dialect.decimal);
+            if (new RegExp(`^[-+]?\\d{1,3}(${sep}\\d{3})+(${dec}\\d+)?$`).test(text)) {
+                text = text.split(dialect.thousands).join('');
+            }
+        }
+        if (dialect.decimal !== '.') {
+            if (text.includes('.')) return value;
+            text = text.replace(dialect.decimal, '.');
+        }
+        if (text === '' || isNaN(text)) return value;
+        const num = parseFloat(text);
+        return isNaN(num) ? value : num;
+    },
+
+    /**
+     * Read CSV file with flexible header detection
+     * The dialect (encoding, delimiter, quote character, number separators) is detected
+     * unless options.dialect sets it
+     * @param {ArrayBuffer} arrayBuffer - File contents
+     * @param {Object} [options] - Manual layout, each optional:
+     *   headerRow (line index of the headers; headers and units row are detected when not set),
+     *   unitsRow (line index of a units row below the headers, left out of the data),
+     *   footerRows (number of data rows to drop at the bottom, e.g. totals),
+     *   dialect ({ encoding, delimiter, quoteChar, decimal, thousands }, see sniffDialect)
+     * @returns {{data: Array, columns: Array, headerRow: number, unitsRow: number|null, columnUnits: Object, columnTitles: Object, footerRows: number, rawPreview: Array<Array<string>>, dialect: Object}}
+     */
+    readCSV(arrayBuffer, options = {}) {
+        const { text, dialect } = this.sniffDialect(arrayBuffer, options.dialect || {});
+        const { delimiter, quoteChar } = dialect;
+        const lines = text.split(/\r?\n/);
+        const splitLine = (line) => line.trim() ? (Papa.parse(line, { delimiter, quoteChar }).data[0] || []) : [];
+
+        // Find the header and units rows, unless they were chosen by hand
+        const manual = Number.isInteger(options.headerRow);
+        const roughRows = lines.slice(0, 32).map(line => splitLine(line).map(p => p.trim()));
+        const headerRow = manual ? options.headerRow : this.detectHeaderRow(roughRows);
+        const unitsRow = manual
+            ? (Number.isInteger(options.unitsRow) && options.unitsRow > headerRow ? options.unitsRow : null)
+            : this.detectUnitsRow(roughRows, headerRow);
+        const footerRows = Math.max(0, parseInt(options.footerRows, 10) || 0);
+        
+        // Trailing delimiters on the header line would add unnamed columns; on data lines they
+        // are kept, since the last field may really be empty (extra fields are ignored)
+        const trailing = new RegExp(`(${this._escapeRegExp(delimiter)}\\s*)+$`);
+        const cleanedLines = lines.slice(headerRow)
+            .filter((line, i) => headerRow + i !== unitsRow)
+            .map((line, i) => i === 0 ? line.replace(trailing, '') : line);
         const csvText = cleanedLines.join('\n');
         
         const result = Papa.parse(csvText, {
             header: true,
             skipEmptyLines: true,
+            delimiter,
+            quoteChar,
             dynamicTyping: false,  // Keep as strings to preserve precision
             transformHeader: (header) => {
                 // Clean header names - remove leading special characters and trim
@@ -89,11 +367,8 @@ const FileHandlers = {
                 if (typeof value === 'string') {
                     value = value.trim();
                     // Convert numeric strings to numbers
-                    if (value !== '' && !isNaN(value)) {
-                        const num = parseFloat(value);
-                        if (!isNaN(num)) {
-                            value = num;
-                        }
+                    if (value !== '') {
+                        value = this.parseNumber(value, dialect);
                     }
                 }
                 newRow[col] = value;
@@ -105,25 +380,45 @@ const FileHandlers = {
         data = data.filter(row => {
             return Object.values(row).some(v => v !== null && v !== undefined && v !== '');
         });
+        if (footerRows > 0) {
+            data = data.slice(0, Math.max(0, data.length - footerRows));
+        }
+
+        const { columnUnits, columnTitles } = this.describeColumns(result.meta.fields || [],
+            unitsRow !== null && lines[unitsRow] !== undefined ? splitLine(lines[unitsRow]) : null);
+        const rawPreview = lines.slice(0, this.RAW_PREVIEW_LINES).map(line => splitLine(line).map(String));
         
         console.log('CSV parsed:', { columns, rowCount: data.length, sampleRow: data[0] });
         
         return {
             data: data,
             columns: columns,
-            headerRow: headerRow
+            headerRow: headerRow,
+            unitsRow: unitsRow,
+            columnUnits: columnUnits,
+            columnTitles: columnTitles,
+            footerRows: footerRows,
+            rawPreview: rawPreview,
+            dialect: dialect
         };
     },
 
     /**
-     * Read Excel file
+     * Read one sheet of an Excel file
+     * Only the requested sheet is parsed; the names of all sheets are returned for the sheet picker
      * @param {ArrayBuffer} arrayBuffer - File contents
-     * @returns {{data: Array, columns: Array, headerRow: number}}
+     * @param {string} [sheetName] - Sheet to read (default: the first)
+     * @param {Object} [options] - Manual layout { headerRow, unitsRow, footerRows }, as for readCSV (row indexes)
+     * @returns {{data: Array, columns: Array, headerRow: number, unitsRow: number|null, columnUnits: Object, columnTitles: Object, footerRows: number, rawPreview: Array<Array<string>>, sheetNames: Array<string>, sheetName: string}}
      */
-    readExcel(arrayBuffer) {
-        const workbook = XLSX.read(arrayBuffer, { type: 'array', cellDates: true });
-        const firstSheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[firstSheetName];
+    readExcel(arrayBuffer, sheetName, options = {}) {
+        const workbook = XLSX.read(arrayBuffer, { type: 'array', cellDates: true, sheets: sheetName || 0 });
+        sheetName = sheetName || workbook.SheetNames[0];
+        const worksheet = workbook.Sheets[sheetName];
+        if (!worksheet) {
+            throw new Error(`Sheet "${sheetName}" not found`);
+        }
+        const sheetNames = workbook.SheetNames;
         
         // Convert to JSON with header detection
         const jsonData = XLSX.utils.sheet_to_json(worksheet, { 
@@ -134,32 +429,16 @@ const FileHandlers = {
         });
         
         if (jsonData.length === 0) {
-            return { data: [], columns: [], headerRow: 0 };
+            return { data: [], columns: [], headerRow: 0, unitsRow: null, columnUnits: {}, columnTitles: {}, footerRows: 0, rawPreview: [], sheetNames, sheetName };
         }
         
-        // Find header row using similar heuristics as CSV
-        let headerRow = 0;
-        const maxCheckLines = Math.min(30, jsonData.length);
-        
-        for (let i = 0; i < maxCheckLines; i++) {
-            const row = jsonData[i];
-            if (!row || !Array.isArray(row)) continue;
-            
-            const parts = row.filter(p => p !== null && p !== undefined && String(p).trim());
-            if (parts.length < 2) continue;
-            
-            let nonNumeric = 0;
-            for (const p of parts) {
-                if (isNaN(parseFloat(p))) {
-                    nonNumeric++;
-                }
-            }
-            
-            if (nonNumeric / parts.length >= 0.5) {
-                headerRow = i;
-                break;
-            }
-        }
+        // Find header and units rows using the same heuristics as CSV, unless they were chosen by hand
+        const manual = Number.isInteger(options.headerRow) && options.headerRow < jsonData.length;
+        const headerRow = manual ? options.headerRow : this.detectHeaderRow(jsonData);
+        const unitsRow = manual
+            ? (Number.isInteger(options.unitsRow) && options.unitsRow > headerRow ? options.unitsRow : null)
+            : this.detectUnitsRow(jsonData, headerRow);
+        const footerRows = Math.max(0, parseInt(options.footerRows, 10) || 0);
         
         // Get columns from header row
         const columns = jsonData[headerRow]
@@ -167,9 +446,10 @@ const FileHandlers = {
             .filter(col => col);
         
         // Convert remaining rows to objects
-        const data = [];
+        let data = [];
         for (let i = headerRow + 1; i < jsonData.length; i++) {
             const row = jsonData[i];
+            if (i === unitsRow) continue;
             if (!row || row.every(cell => cell === null || cell === undefined)) continue;
             
             const obj = {};
@@ -179,10 +459,24 @@ const FileHandlers = {
             data.push(obj);
         }
         
+        if (footerRows > 0) {
+            data = data.slice(0, Math.max(0, data.length - footerRows));
+        }
+        
+        const { columnUnits, columnTitles } = this.describeColumns(columns, unitsRow !== null ? jsonData[unitsRow] || [] : null);
+        
         return {
             data: data,
             columns: columns,
-            headerRow: headerRow
+            headerRow: headerRow,
+            unitsRow: unitsRow,
+            columnUnits: columnUnits,
+            columnTitles: columnTitles,
+            footerRows: footerRows,
+            rawPreview: jsonData.slice(0, this.RAW_PREVIEW_LINES)
+                .map(row => (row || []).map(cell => cell === null || cell === undefined ? '' : String(cell))),
+            sheetNames: sheetNames,
+            sheetName: sheetName
         };
     },
 
@@ -215,6 +509,7 @@ const FileHandlers = {
      */
     detectDateTimeColumns(columns, data) {
         const dateTimeCols = [];
+        const parseTime = TimeUtils.createParser();
         
         for (const col of columns) {
             const colLower = col.toLowerCase();
@@ -232,8 +527,7 @@ const FileHandlers = {
             // Try to parse as date
             let dateCount = 0;
             for (const val of sampleValues) {
-                const parsed = new Date(val);
-                if (!isNaN(parsed.getTime()) && String(val).length > 5) {
+                if (!isNaN(parseTime(val)) && String(val).length > 5) {
                     dateCount++;
                 }
             }
@@ -267,13 +561,34 @@ const FileHandlers = {
         return false;
     },
 
+    /**
+     * Detect the timestamp format of a datetime column
+     * Samples rows across the whole file, since day-first dates only give themselves away after the 12th
+     * @param {Array} data - Data rows
+     * @param {string} dateTimeCol - Name of datetime column
+     * @returns {Object|null} - Result of TimeUtils.detectFormat, or null without a datetime column
+     */
+    detectTimestampFormat(data, dateTimeCol) {
+        if (!dateTimeCol || data.length === 0) return null;
+
+        const maxSamples = 500;
+        const step = Math.max(1, Math.floor(data.length / maxSamples));
+        const samples = [];
+        for (let i = 0; i < data.length; i += step) {
+            samples.push(data[i][dateTimeCol]);
+        }
+
+        return TimeUtils.detectFormat(samples);
+    },
+
     /**
      * Get earliest and latest timestamps from data
      * @param {Array} data - Data rows
      * @param {string} dateTimeCol - Name of datetime column
+     * @param {function(*): number} [parseTime] - Timestamp parser (see TimeUtils.parserForSource)
      * @returns {{earliest: Date|null, latest: Date|null}}
      */
-    getDateRange(data, dateTimeCol) {
+    getDateRange(data, dateTimeCol, parseTime = TimeUtils.createParser()) {
         if (!dateTimeCol || data.length === 0) {
             return { earliest: null, latest: null };
         }
@@ -285,8 +600,9 @@ const FileHandlers = {
             const val = row[dateTimeCol];
             if (val == null) continue;
             
-            const date = new Date(val);
-            if (isNaN(date.getTime())) continue;
+            const ms = parseTime(val);
+            if (isNaN(ms)) continue;
+            const date = new Date(ms);
             
             if (earliest === null || date < earliest) {
                 earliest = date;
@@ -466,9 +782,10 @@ const FileHandlers = {
      * @param {string} dateTimeCol - DateTime column name
      * @param {string} tagCol - Tag/variable name column
      * @param {string} valueCol - Value column
+     * @param {function(*): number} [parseTime] - Timestamp parser used for sorting
      * @returns {Object} - { data: pivoted data, columns: new column names }
      */
-    pivotToWideFormat(data, dateTimeCol, tagCol, valueCol) {
+    pivotToWideFormat(data, dateTimeCol, tagCol, valueCol, parseTime = TimeUtils.createParser()) {
         // Get unique tags (these become column names)
         const uniqueTags = [...new Set(data.map(row => String(row[tagCol]).trim()))].filter(t => t);
         
@@ -490,15 +807,8 @@ const FileHandlers = {
             grouped.get(tsKey)[tag] = value;
         }
         
-        // Convert to array
-        const pivotedData = [...grouped.values()];
-        
-        // Sort by timestamp
-        pivotedData.sort((a, b) => {
-            const dateA = new Date(a[dateTimeCol]);
-            const dateB = new Date(b[dateTimeCol]);
-            return dateA - dateB;
-        });
+        // Convert to array, sorted by timestamp
+        const pivotedData = TimeUtils.sortRowsByTime([...grouped.values()], dateTimeCol, parseTime);
         
         // New columns: datetime + all unique tags
         const newColumns = [dateTimeCol, ...uniqueTags];
@@ -571,20 +881,8 @@ const FileHandlers = {
             
             if (dateVal && timeVal) {
                 // Combine date and time into a single value
-                // Handle various date formats
-                let dateStr = String(dateVal);
-                let timeStr = String(timeVal);
-                
-                // Try to create a proper datetime
-                const combined = `${dateStr} ${timeStr}`;
-                const parsed = new Date(combined);
-                
-                if (!isNaN(parsed.getTime())) {
-                    newRow[dateTimeCol] = parsed;
-                } else {
-                    // If parsing fails, store as string
-                    newRow[dateTimeCol] = combined;
-                }
+                // Kept as text so the source's timestamp format and timezone settings apply to it
+                newRow[dateTimeCol] = `${String(dateVal).trim()} ${String(timeVal).trim()}`;
             }
             
             return newRow;
@@ -666,5 +964,5 @@ const FileHandlers = {
     }
 };
 
-// Export for use in other modules
-window.FileHandlers = FileHandlers;
+// Export for use in other modules (self is window on the page, the global scope in the worker)
+self.FileHandlers = FileHandlers;
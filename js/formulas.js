@@ -0,0 +1,386 @@
+/**
+ * Formulas Module
+ * A small, safe expression language for calculated columns. Expressions are parsed into a tree
+ * and evaluated over whole columns of the merged data; nothing is run through eval().
+ *
+ *   [Flow A] + [Flow B]                      columns by their output title, in brackets
+ *   ([P in] - [P out]) * 0.145               + - * / ^ and parentheses
+ *   if([Pump] > 0, [Power] / [Flow], 0)      comparisons, and / or / not, if()
+ *   rolling_mean([Temp], 4)                  the last 4 rows, this one included
+ *   [Level] - shift([Level], 1)              the value 1 row earlier
+ *
+ * shift, delta and the rolling functions count rows, not time: with event rows or merged DST
+ * rows, one row earlier need not be one interval earlier.
+ *
+ * Blank values stay blank through arithmetic; isblank() and coalesce() test or replace them
+ */
+
+const Formulas = {
+    // Functions applied row by row: name -> [min args, max args, function]
+    FUNCTIONS: {
+        abs: [1, 1, Math.abs],
+        sqrt: [1, 1, Math.sqrt],
+        exp: [1, 1, Math.exp],
+        ln: [1, 1, Math.log],
+        log10: [1, 1, Math.log10],
+        floor: [1, 1, Math.floor],
+        ceil: [1, 1, Math.ceil],
+        sin: [1, 1, Math.sin],
+        cos: [1, 1, Math.cos],
+        tan: [1, 1, Math.tan],
+        pow: [2, 2, Math.pow],
+        round: [1, 2, (x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits],
+        min: [1, Infinity, Math.min],
+        max: [1, Infinity, Math.max]
+    },
+
+    // Functions over earlier rows: the first argument is a series, the second a row count (not a duration)
+    WINDOW_FUNCTIONS: ['shift', 'delta', 'rolling_mean', 'rolling_sum', 'rolling_min', 'rolling_max'],
+
+    CONSTANTS: { pi: Math.PI, e: Math.E },
+
+    /**
+     * Split an expression into tokens
+     * @param {string} text
+     * @returns {Array<{type: string, value: *, pos: number}>}
+     */
+    tokenize(text) {
+        const tokens = [];
+        const pattern = /\s*(?:(\d+(?:\.\d*)?(?:[eE][-+]?\d+)?|\.\d+(?:[eE][-+]?\d+)?)|\[([^\]]*)\]|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|==|!=|<>|&&|\|\||[-+*/^%(),<>=!]))/y;
+        let pos = 0;
+        while (pos < text.length) {
+            if (/^\s*$/.test(text.slice(pos))) break;
+            pattern.lastIndex = pos;
+            const match = pattern.exec(text);
+            if (!match) {
+                throw new Error(`Unexpected "${text.slice(pos).trim()[0]}" at position ${pos + 1}`);
+            }
+            const start = pos + match[0].length - match[0].trimStart().length;
+            if (match[1] !== undefined) tokens.push({ type: 'num', value: parseFloat(match[1]), pos: start });
+            else if (match[2] !== undefined) tokens.push({ type: 'col', value: match[2].trim(), pos: start });
+            else if (match[3] !== undefined) tokens.push({ type: 'name', value: match[3].toLowerCase(), pos: start });
+            else tokens.push({ type: 'op', value: match[4], pos: start });
+            pos = pattern.lastIndex;
+        }
+        return tokens;
+    },
+
+    /**
+     * Parse an expression into a tree
+     * Precedence, loosest first: or, and, not, comparisons, + -, * / %, unary -, ^
+     * @param {string} text
+     * @returns {Object} - Node: { type: 'num'|'col'|'unary'|'binary'|'call', ... }
+     */
+    parse(text) {
+        const tokens = this.tokenize(String(text || ''));
+        if (tokens.length === 0) throw new Error('The formula is empty');
+        let i = 0;
+
+        const peek = () => tokens[i];
+        const isOp = (...ops) => peek()?.type === 'op' && ops.includes(peek().value);
+        const isWord = (word) => peek()?.type === 'name' && peek().value === word;
+        const expect = (op) => {
+            if (!isOp(op)) {
+                const token = peek();
+                throw new Error(token ? `Expected "${op}" at position ${token.pos + 1}` : `Expected "${op}" at the end`);
+            }
+            i++;
+        };
+        const binary = (next, ops, normalize = {}) => () => {
+            let left = next();
+            while (ops.some(op => isOp(op) || isWord(op))) {
+                const op = tokens[i++].value;
+                left = { type: 'binary', op: normalize[op] || op, left, right: next() };
+            }
+            return left;
+        };
+
+        const primary = () => {
+            const token = tokens[i++];
+            if (!token) throw new Error('The formula ends too early');
+            if (token.type === 'num') return { type: 'num', value: token.value };
+            if (token.type === 'col') {
+                if (!token.value) throw new Error(`Empty column name at position ${token.pos + 1}`);
+                return { type: 'col', name: token.value };
+            }
+            if (token.type === 'op' && token.value === '(') {
+                const node = or();
+                expect(')');
+                return node;
+            }
+            if (token.type === 'name') {
+                if (!isOp('(')) {
+                    if (this.CONSTANTS[token.value] !== undefined) return { type: 'num', value: this.CONSTANTS[token.value] };
+                    throw new Error(`Unknown name "${token.value}" at position ${token.pos + 1} (put column names in [brackets])`);
+                }
+                i++;
+                const args = [];
+                if (!isOp(')')) {
+                    args.push(or());
+                    while (isOp(',')) {
+                        i++;
+                        args.push(or());
+                    }
+                }
+                expect(')');
+                return this._checkCall({ type: 'call', name: token.value, args }, token.pos);
+            }
+            throw new Error(`Unexpected "${token.value}" at position ${token.pos + 1}`);
+        };
+        const power = () => {
+            const base = primary();
+            if (isOp('^')) {
+                i++;
+                return { type: 'binary', op: '^', left: base, right: unary() };
+            }
+            return base;
+        };
+        const unary = () => {
+            if (isOp('-', '+')) {
+                const op = tokens[i++].value;
+                const arg = unary();
+                return op === '-' ? { type: 'unary', op: '-', arg } : arg;
+            }
+            return power();
+        };
+        const multiplicative = binary(unary, ['*', '/', '%']);
+        const additive = binary(multiplicative, ['+', '-']);
+        const comparison = binary(additive, ['<', '<=', '>', '>=', '=', '==', '!=', '<>'], { '==': '=', '!=': '<>' });
+        const not = () => {
+            if (isOp('!') || isWord('not')) {
+                i++;
+                return { type: 'unary', op: 'not', arg: not() };
+            }
+            return comparison();
+        };
+        const and = binary(not, ['and', '&&'], { '&&': 'and' });
+        const or = binary(and, ['or', '||'], { '||': 'or' });
+
+        const tree = or();
+        if (i < tokens.length) {
+            throw new Error(`Unexpected "${tokens[i].value}" at position ${tokens[i].pos + 1}`);
+        }
+        return tree;
+    },
+
+    _checkCall(node, pos) {
+        const count = node.args.length;
+        const fail = (expected) => {
+            throw new Error(`${node.name}() takes ${expected} (position ${pos + 1})`);
+        };
+        if (this.FUNCTIONS[node.name]) {
+            const [min, max] = this.FUNCTIONS[node.name];
+            if (count < min || count > max) fail(max === Infinity ? `at least ${min} argument(s)` : min === max ? `${min} argument(s)` : `${min} to ${max} arguments`);
+        } else if (this.WINDOW_FUNCTIONS.includes(node.name)) {
+            const optionalCount = node.name === 'shift' || node.name === 'delta';
+            if (count < (optionalCount ? 1 : 2) || count > 2) fail(optionalCount ? 'a column and an optional row count' : 'a column and a row count');
+            const rows = node.args[1];
+            if (rows && (rows.type !== 'num' || !Number.isInteger(rows.value) || rows.value < (node.name.startsWith('rolling') ? 1 : 0))) {
+                fail('a whole number of rows as its second argument');
+            }
+        } else if (node.name === 'if') {
+            if (count !== 3) fail('3 arguments: a condition, a value if true and a value if false');
+        } else if (node.name === 'isblank') {
+            if (count !== 1) fail('1 argument');
+        } else if (node.name === 'coalesce') {
+            if (count < 2) fail('at least 2 arguments');
+        } else {
+            throw new Error(`Unknown function "${node.name}" at position ${pos + 1}`);
+        }
+        return node;
+    },
+
+    /**
+     * Column titles a formula reads
+     * @param {Object} node - Parsed formula
+     * @returns {Array<string>}
+     */
+    columns(node) {
+        if (node.type === 'col') return [node.name];
+        const children = node.type === 'call' ? node.args : node.type === 'binary' ? [node.left, node.right] : node.arg ? [node.arg] : [];
+        return [...new Set(children.flatMap(child => this.columns(child)))];
+    },
+
+    _number(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        return isFinite(number) ? number : null;
+    },
+
+    /**
+     * Evaluate a formula over every row
+     * @param {Object} node - Parsed formula
+     * @param {function(string): Array} getColumn - Values of a column by title (undefined when unknown)
+     * @param {number} length - Number of rows
+     * @returns {Array<number|null>} - null where the result is blank
+     */
+    evaluate(node, getColumn, length) {
+        const each = (fn, ...series) => {
+            const result = new Array(length);
+            for (let r = 0; r < length; r++) {
+                const args = series.map(values => values[r]);
+                const value = args.some(arg => arg === null) ? null : fn(...args);
+                result[r] = typeof value === 'number' && isFinite(value) ? value : null;
+            }
+            return result;
+        };
+
+        switch (node.type) {
+            case 'num':
+                return new Array(length).fill(node.value);
+            case 'col': {
+                const values = getColumn(node.name);
+                if (!values) throw new Error(`Unknown column [${node.name}]`);
+                return values.map(value => this._number(value));
+            }
+            case 'unary': {
+                const arg = this.evaluate(node.arg, getColumn, length);
+                return node.op === '-' ? each(x => -x, arg) : each(x => (x ? 0 : 1), arg);
+            }
+            case 'binary': {
+                const left = this.evaluate(node.left, getColumn, length);
+                const right = this.evaluate(node.right, getColumn, length);
+                return each(this.OPERATORS[node.op], left, right);
+            }
+            case 'call':
+                return this._evaluateCall(node, getColumn, length, each);
+            default:
+                throw new Error(`Unknown formula node ${node.type}`);
+        }
+    },
+
+    OPERATORS: {
+        '+': (a, b) => a + b,
+        '-': (a, b) => a - b,
+        '*': (a, b) => a * b,
+        '/': (a, b) => (b === 0 ? null : a / b),
+        '%': (a, b) => (b === 0 ? null : a % b),
+        '^': (a, b) => a ** b,
+        '<': (a, b) => (a < b ? 1 : 0),
+        '<=': (a, b) => (a <= b ? 1 : 0),
+        '>': (a, b) => (a > b ? 1 : 0),
+        '>=': (a, b) => (a >= b ? 1 : 0),
+        '=': (a, b) => (a === b ? 1 : 0),
+        '<>': (a, b) => (a !== b ? 1 : 0),
+        and: (a, b) => (a && b ? 1 : 0),
+        or: (a, b) => (a || b ? 1 : 0)
+    },
+
+    _evaluateCall(node, getColumn, length, each) {
+        const args = node.args.map(arg => this.evaluate(arg, getColumn, length));
+
+        if (this.FUNCTIONS[node.name]) {
+            return each(this.FUNCTIONS[node.name][2], ...args);
+        }
+
+        switch (node.name) {
+            case 'if':
+                return args[0].map((condition, r) => condition === null ? null : (condition ? args[1][r] : args[2][r]));
+            case 'isblank':
+                return args[0].map(value => (value === null ? 1 : 0));
+            case 'coalesce':
+                return args[0].map((value, r) => args.map(values => values[r]).find(v => v !== null) ?? null);
+        }
+
+        // Row windows: rows before the first one count as blank
+        const values = args[0];
+        const rows = node.args[1] ? node.args[1].value : 1;
+        switch (node.name) {
+            case 'shift':
+                return values.map((value, r) => (r - rows >= 0 ? values[r - rows] : null));
+            case 'delta':
+                return values.map((value, r) => (r - rows >= 0 && value !== null && values[r - rows] !== null ? value - values[r - rows] : null));
+            default: {
+                const reduce = {
+                    rolling_mean: window => window.reduce((a, b) => a + b, 0) / window.length,
+                    rolling_sum: window => window.reduce((a, b) => a + b, 0),
+                    rolling_min: window => Math.min(...window),
+                    rolling_max: window => Math.max(...window)
+                }[node.name];
+                return values.map((value, r) => {
+                    const window = values.slice(Math.max(0, r - rows + 1), r + 1).filter(v => v !== null);
+                    return window.length > 0 ? reduce(window) : null;
+                });
+            }
+        }
+    },
+
+    /**
+     * Write a formula as an Excel formula for one row of the sheet
+     * Blank cells count as 0 in Excel arithmetic, so results can differ from the values where inputs are blank
+     * @param {Object} node - Parsed formula
+     * @param {Object} context
+     * @param {function(string): string|undefined} context.column - Sheet column letters of a column title
+     * @param {number} context.row - Sheet row number (1-based) of this row
+     * @param {number} context.firstRow - Sheet row number of the first data row
+     * @returns {string|null} - Formula without "=", or null when it reaches above the first data row
+     */
+    toExcel(node, context) {
+        const cell = (name, offset = 0) => {
+            const column = context.column(name);
+            if (!column) throw new Error(`Column [${name}] is not written to the sheet`);
+            const row = context.row - offset;
+            return row >= context.firstRow ? `${column}${row}` : null;
+        };
+        const write = (n) => {
+            switch (n.type) {
+                case 'num':
+                    return String(n.value).replace('e', 'E');
+                case 'col':
+                    return cell(n.name);
+                case 'unary':
+                    return n.op === '-' ? `(-${write(n.arg)})` : `NOT(${write(n.arg)})`;
+                case 'binary':
+                    if (n.op === 'and' || n.op === 'or') return `${n.op.toUpperCase()}(${write(n.left)},${write(n.right)})`;
+                    if (n.op === '%') return `MOD(${write(n.left)},${write(n.right)})`;
+                    return `(${write(n.left)}${n.op}${write(n.right)})`;
+                case 'call':
+                    return writeCall(n);
+            }
+            throw new Error(`Unknown formula node ${n.type}`);
+        };
+        const writeCall = (n) => {
+            const args = () => n.args.map(write);
+            const simple = { abs: 'ABS', sqrt: 'SQRT', exp: 'EXP', ln: 'LN', log10: 'LOG10', sin: 'SIN', cos: 'COS', tan: 'TAN', pow: 'POWER', min: 'MIN', max: 'MAX', if: 'IF' };
+            if (simple[n.name]) return `${simple[n.name]}(${args().join(',')})`;
+
+            // ISBLANK is only true for an empty cell, never for a calculation, so only columns can be tested
+            const tested = { isblank: n.args, coalesce: n.args.slice(0, -1) }[n.name];
+            if (tested && tested.some(arg => arg.type !== 'col')) {
+                throw new Error(`${n.name}() can only be written to Excel when it tests columns`);
+            }
+
+            switch (n.name) {
+                case 'round': return `ROUND(${args()[0]},${n.args[1] ? args()[1] : 0})`;
+                case 'floor': return `INT(${args()[0]})`;
+                case 'ceil': return `(-INT(-${args()[0]}))`;
+                case 'isblank': return `ISBLANK(${args()[0]})`;
+                case 'coalesce':
+                    return args().reduceRight((rest, arg) => `IF(ISBLANK(${arg}),${rest},${arg})`);
+            }
+
+            // Row windows need a column as their first argument
+            if (n.args[0].type !== 'col') throw new Error(`${n.name}() can only be written to Excel for a column`);
+            const rows = n.args[1] ? n.args[1].value : 1;
+            const name = n.args[0].name;
+            if (n.name === 'shift' || n.name === 'delta') {
+                const earlier = cell(name, rows);
+                if (earlier === null) throw new RangeError('before the first row');
+                return n.name === 'shift' ? earlier : `(${cell(name)}-${earlier})`;
+            }
+            const first = cell(name, rows - 1) || `${context.column(name)}${context.firstRow}`;
+            const fn = { rolling_mean: 'AVERAGE', rolling_sum: 'SUM', rolling_min: 'MIN', rolling_max: 'MAX' }[n.name];
+            return `${fn}(${first}:${cell(name)})`;
+        };
+
+        try {
+            return write(node);
+        } catch (error) {
+            if (error instanceof RangeError) return null;
+            throw error;
+        }
+    }
+};
+
+// Export for use in other modules (self is window on the page, the global scope in the worker)
+self.Formulas = Formulas;
@@ -0,0 +1,345 @@
+/**
+ * Output Writers Module
+ * Writes the combined dataset as CSV, JSON, Parquet or a plain multi-sheet workbook,
+ * for tools that read the numbers directly rather than through the Excel template
+ */
+
+const OutputWriters = {
+    // Default download name, extension and MIME type per output format ('xlsx' is the template workbook)
+    FORMATS: {
+        xlsx: { name: 'Analysis', extension: 'xlsx', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+        'xlsx-raw': { name: 'Combined', extension: 'xlsx', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+        csv: { name: 'Combined', extension: 'csv', mime: 'text/csv' },
+        json: { name: 'Combined', extension: 'json', mime: 'application/json' },
+        parquet: { name: 'Combined', extension: 'parquet', mime: 'application/vnd.apache.parquet' }
+    },
+
+    // Tokens of download name patterns; {start}/{end} take an optional date format and
+    // {counter} an optional width, e.g. {start:yyyyMMdd} or {counter:3}
+    FILE_NAME_TOKENS: ['start', 'end', 'interval', 'stack', 'template', 'counter'],
+
+    // Loaded on first use so the page doesn't pay for it unless Parquet is chosen
+    PARQUET_WRITER_URL: 'https://cdn.jsdelivr.net/npm/hyparquet-writer@0.16.10/+esm',
+    _parquetWriter: null,
+
+    /**
+     * Output columns after the Date column; quality columns sit next to the column they describe
+     * @param {Object} combined - Combined dataset
+     * @param {boolean} includeQuality - Add a quality column for columns that record it
+     * @returns {Array<{header: string, unit: string, key: string, quality?: boolean, state?: boolean}>} - state
+     *     marks a column of state text, written as text even when it looks like a number
+     */
+    columns(combined, includeQuality) {
+        const columns = [];
+        combined.columns.forEach((col, i) => {
+            columns.push({ header: col, unit: combined.units[i], key: col, state: combined.states?.includes(col) || undefined });
+            if (includeQuality && combined.quality[col]) {
+                columns.push({ header: `${col} quality`, unit: '', key: combined.quality[col], quality: true });
+            }
+        });
+        return columns;
+    },
+
+    /**
+     * Format a row's wall-clock label
+     * Tokens: yyyy MM dd HH mm ss SSS, and XXX for the UTC offset ("+01:00"); anything else is literal
+     * @param {Date} label - Wall-clock time (browser-local fields)
+     * @param {Date} time - The instant, used for the UTC offset
+     * @param {string} timezone - Output timezone setting
+     * @param {string} format
+     * @returns {string}
+     */
+    formatDate(label, time, timezone, format) {
+        const f = TimeUtils.fieldsFromLocalDate(label);
+        const pad = (n, len = 2) => String(n).padStart(len, '0');
+        return format.replace(/yyyy|MM|dd|HH|mm|ss|SSS|XXX/g, token => {
+            switch (token) {
+                case 'yyyy': return pad(f.year, 4);
+                case 'MM': return pad(f.month);
+                case 'dd': return pad(f.day);
+                case 'HH': return pad(f.hour);
+                case 'mm': return pad(f.minute);
+                case 'ss': return pad(f.second);
+                case 'SSS': return pad(f.millisecond, 3);
+                case 'XXX': return TimeUtils.formatOffset(TimeUtils.getOffsetMinutes(time.getTime(), timezone));
+                default: return token;
+            }
+        });
+    },
+
+    /**
+     * Build a download name from a pattern like "{template}_{stack}_{start}_{interval}"
+     * The format's extension is added unless the pattern already ends with it
+     * @param {string} pattern - Empty for the format's default name
+     * @param {string} format - Output format key
+     * @param {Object} context - { start, end (labels), startTime, endTime (instants), timezone, interval, stack, template, counter }
+     * @returns {string}
+     */
+    buildFileName(pattern, format, context) {
+        const { name, extension } = this.FORMATS[format];
+        const unknown = [];
+
+        let fileName = (pattern || '').trim().replace(/\{(\w+)(?::([^}]*))?\}/g, (match, token, arg) => {
+            switch (token) {
+                case 'start':
+                    return this.formatDate(context.start, context.startTime, context.timezone, arg || 'yyyy-MM-dd');
+                case 'end':
+                    return this.formatDate(context.end, context.endTime, context.timezone, arg || 'yyyy-MM-dd');
+                case 'interval':
+                    return context.interval;
+                case 'stack':
+                    return context.stack;
+                case 'template':
+                    return context.template;
+                case 'counter':
+                    return String(context.counter).padStart(parseInt(arg, 10) || 1, '0');
+                default:
+                    unknown.push(match);
+                    return match;
+            }
+        });
+        if (unknown.length > 0) {
+            throw new Error(`Unknown file name token(s) ${unknown.join(', ')}; use ${this.FILE_NAME_TOKENS.map(t => `{${t}}`).join(' ')}`);
+        }
+
+        // Characters Windows and macOS do not allow in file names
+        fileName = fileName.replace(/[\\/:*?"<>|\x00-\x1f]/g, '-').trim() || name;
+        return fileName.toLowerCase().endsWith(`.${extension}`) ? fileName : `${fileName}.${extension}`;
+    },
+
+    /**
+     * Value of one output cell for the machine-readable formats
+     * Quality columns give the quality code ("measured", "interpolated", ...); states are text as logged
+     */
+    _value(row, column) {
+        const value = row[column.key];
+        if (column.quality) return value ? value.code : null;
+        if (column.state) return DataProcessing.isMissing(value) ? null : String(value);
+        return value === undefined || (typeof value === 'number' && isNaN(value)) ? null : value;
+    },
+
+    /**
+     * Write CSV text
+     * @param {Object} combined - Combined dataset
+     * @param {Object} options - { timezone, includeQuality, delimiter, decimal, dateFormat }
+     * @returns {string}
+     */
+    toCsv(combined, options) {
+        const { delimiter = ',', decimal = '.', dateFormat = 'yyyy-MM-dd HH:mm:ss' } = options;
+        if (delimiter === decimal) {
+            throw new Error('The CSV delimiter and decimal separator must be different');
+        }
+
+        const columns = this.columns(combined, options.includeQuality);
+        const quote = (text) => /["\r\n]/.test(text) || text.includes(delimiter)
+            ? `"${text.replace(/"/g, '""')}"`
+            : text;
+        const cell = (value) => {
+            if (value === null) return '';
+            if (typeof value === 'number') {
+                const text = String(value);
+                return quote(decimal === '.' ? text : text.replace('.', decimal));
+            }
+            return quote(String(value));
+        };
+
+        const lines = [['Date', ...columns.map(col => col.header)].map(quote).join(delimiter)];
+        for (let r = 0; r < combined.data.length; r++) {
+            const row = combined.data[r];
+            const date = this.formatDate(combined.labels[r], combined.timestamps[r], options.timezone, dateFormat);
+            lines.push([quote(date), ...columns.map(col => cell(this._value(row, col)))].join(delimiter));
+        }
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Write JSON text
+     * "records" gives one object per row; "columnar" gives one array per column
+     * Dates are ISO 8601 with the UTC offset so they stay unambiguous across DST changes
+     * @param {Object} combined - Combined dataset
+     * @param {Object} options - { timezone, includeQuality, layout: 'records'|'columnar' }
+     * @returns {string}
+     */
+    toJson(combined, options) {
+        const columns = this.columns(combined, options.includeQuality);
+        const dates = combined.labels.map((label, r) =>
+            this.formatDate(label, combined.timestamps[r], options.timezone, 'yyyy-MM-ddTHH:mm:ss.SSSXXX'));
+
+        if (options.layout === 'columnar') {
+            const result = { Date: dates };
+            for (const col of columns) {
+                result[col.header] = combined.data.map(row => this._value(row, col));
+            }
+            return JSON.stringify(result);
+        }
+
+        const records = combined.data.map((row, r) => {
+            const record = { Date: dates[r] };
+            for (const col of columns) {
+                record[col.header] = this._value(row, col);
+            }
+            return record;
+        });
+        return JSON.stringify(records);
+    },
+
+    /**
+     * Write a Parquet file
+     * Date is a UTC timestamp; numeric columns are doubles and units are kept in the file metadata
+     * @param {Object} combined - Combined dataset
+     * @param {Object} options - { timezone, includeQuality }
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async toParquet(combined, options) {
+        if (!this._parquetWriter) {
+            try {
+                this._parquetWriter = await import(this.PARQUET_WRITER_URL);
+            } catch (error) {
+                throw new Error(`Could not load the Parquet writer (${error.message}). Check the internet connection.`);
+            }
+        }
+
+        const columns = this.columns(combined, options.includeQuality);
+        const columnData = [
+            { name: 'Date', data: combined.timestamps.map(time => new Date(time)), type: 'TIMESTAMP' }
+        ];
+        for (const col of columns) {
+            const values = combined.data.map(row => this._value(row, col));
+            const numeric = !col.quality && !col.state && values.every(v => v === null || typeof v === 'number');
+            columnData.push({
+                name: col.header,
+                data: numeric ? values : values.map(v => v === null ? null : String(v)),
+                type: numeric ? 'DOUBLE' : 'STRING'
+            });
+        }
+
+        const units = {};
+        combined.columns.forEach((col, i) => { units[col] = combined.units[i] || ''; });
+        return this._parquetWriter.parquetWriteBuffer({
+            columnData,
+            kvMetadata: [
+                { key: 'merge-o-matic.units', value: JSON.stringify(units) },
+                { key: 'merge-o-matic.timezone', value: options.timezone }
+            ]
+        });
+    },
+
+    /**
+     * Excel formulas for the calculated columns, so they can be written as live formulas
+     * Columns whose formula has no Excel equivalent are left as values and noted
+     * @param {Object} combined - Combined dataset
+     * @param {Object} letters - Output column key -> sheet column letters
+     * @param {number} firstRow - Sheet row number (1-based) of the first data row
+     * @returns {{formulaAt: function(string, number): string|null, notes: Array<string>}}
+     *   formulaAt(key, r) gives the formula for data row r, or null to write the value
+     */
+    excelFormulas(combined, letters, firstRow) {
+        const writable = {};
+        const notes = [];
+        const context = (row) => ({ column: title => letters[title], row, firstRow });
+
+        for (const [key, formula] of Object.entries(combined.formulas || {})) {
+            if (!letters[key]) continue;
+            try {
+                // Checked against the last row, which every shift and window can reach back from
+                Formulas.toExcel(formula, context(firstRow + Math.max(combined.data.length - 1, 0)));
+                writable[key] = formula;
+            } catch (error) {
+                notes.push(`"${key}" written as values: ${error.message}`);
+            }
+        }
+
+        return {
+            notes,
+            formulaAt: (key, r) => writable[key] ? Formulas.toExcel(writable[key], context(firstRow + r)) : null
+        };
+    },
+
+    /**
+     * A formula cell; the computed value is cached so readers that don't recalculate still see it
+     */
+    formulaCell(formula, value) {
+        return typeof value === 'number' && isFinite(value)
+            ? { t: 'n', v: value, f: formula }
+            : { t: 's', v: '', f: formula };
+    },
+
+    /**
+     * Build a plain workbook with the merged data on the first sheet and each source,
+     * as loaded, on a sheet of its own
+     * @param {Object} combined - Combined dataset
+     * @param {Object} sources - Source name -> file or stack info
+     * @param {Object} options - { includeQuality, formulas (write calculated columns as Excel formulas) }
+     * @returns {Object} - SheetJS workbook
+     */
+    toRawWorkbook(combined, sources, options) {
+        const workbook = XLSX.utils.book_new();
+        const used = new Set();
+        const columns = this.columns(combined, options.includeQuality);
+
+        const merged = [
+            ['Date', ...columns.map(col => col.header)],
+            ['', ...columns.map(col => col.unit || '')]
+        ];
+        combined.data.forEach((row, r) => {
+            merged.push([
+                combined.labels[r],
+                ...columns.map(col => col.quality
+                    ? DataProcessing.describeQuality(row[col.key])
+                    : this._value(row, col))
+            ]);
+        });
+        const mergedSheet = XLSX.utils.aoa_to_sheet(merged, { cellDates: true, dateNF: 'yyyy-mm-dd hh:mm:ss' });
+
+        // Data starts on row 3 (after the header and units rows), output columns in column B
+        if (options.formulas) {
+            const letters = {};
+            columns.forEach((col, c) => {
+                if (!col.quality) letters[col.key] = XLSX.utils.encode_col(c + 1);
+            });
+            const { formulaAt } = this.excelFormulas(combined, letters, 3);
+            columns.forEach((col, c) => {
+                if (col.quality || !combined.formulas?.[col.key]) return;
+                combined.data.forEach((row, r) => {
+                    const formula = formulaAt(col.key, r);
+                    if (formula) {
+                        mergedSheet[XLSX.utils.encode_cell({ r: r + 2, c: c + 1 })] = this.formulaCell(formula, this._value(row, col));
+                    }
+                });
+            });
+        }
+        XLSX.utils.book_append_sheet(workbook, mergedSheet, this._sheetName('Merged', used));
+
+        for (const [name, info] of Object.entries(sources)) {
+            const selected = Object.keys(info.selectedCols || {});
+            if (selected.length === 0) continue;
+
+            const header = [info.dateTimeCol, ...selected.filter(col => col !== info.dateTimeCol)];
+            const rows = [
+                header.map(col => col === info.dateTimeCol ? col : info.selectedCols[col]),
+                ...info.data.map(row => header.map(col => row[col] ?? null))
+            ];
+            // "meter.xlsx [North]" becomes "meter - North"
+            const label = name.replace(/\.(csv|xlsx?)(?=$| \[)/i, '').replace(/ \[(.*)\]$/, ' - $1');
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), this._sheetName(label, used));
+        }
+        return workbook;
+    },
+
+    /**
+     * Make a valid, unique sheet name (at most 31 characters, none of : \ / ? * [ ])
+     */
+    _sheetName(name, used) {
+        const base = String(name).replace(/[:\\/?*[\]]/g, '_').slice(0, 31) || 'Sheet';
+        let sheetName = base;
+        for (let n = 2; used.has(sheetName.toLowerCase()); n++) {
+            const suffix = ` (${n})`;
+            sheetName = base.slice(0, 31 - suffix.length) + suffix;
+        }
+        used.add(sheetName.toLowerCase());
+        return sheetName;
+    }
+};
+
+// Export for use in other modules
+window.OutputWriters = OutputWriters;
@@ -0,0 +1,191 @@
+/**
+ * Processing Tasks Module
+ * The heavy parsing, stacking and combining steps. They run inside the processing
+ * worker (js/worker.js), or on the page when a worker cannot be started.
+ * Every task takes a structured-cloneable payload and an onProgress(percent, message) callback.
+ */
+
+const ProcessingTasks = {
+    /**
+     * Read an uploaded file (one sheet of a workbook) and run all detection on it
+     * @param {{file: File, sheet?: string, parseOptions?: Object}} payload - parseOptions: manual header/units/footer rows
+     * @param {function(number, string)} onProgress
+     * @returns {Promise<Object>} - Parsed data plus detected datetime/pivot/duplicate info
+     */
+    async loadFile({ file, sheet, parseOptions }, onProgress) {
+        onProgress(5, `Reading ${file.name}${sheet ? ` [${sheet}]` : ''}...`);
+        const result = await FileHandlers.readFile(file, sheet, parseOptions || {});
+
+        onProgress(60, `Analysing ${file.name}...`);
+
+        // Detect datetime columns
+        const dateTimeCols = FileHandlers.detectDateTimeColumns(result.columns, result.data);
+        const dateTimeCol = dateTimeCols[0] || null;
+
+        // Detect the timestamp format (flags day/month ambiguity)
+        const timestampDetection = FileHandlers.detectTimestampFormat(result.data, dateTimeCol);
+
+        // Detect if data is in long format (needs pivoting)
+        const longFormatInfo = FileHandlers.detectLongFormat(result.data, result.columns, dateTimeCol);
+
+        // Get selectable columns (excludes datetime and index-like columns)
+        const selectableColumns = FileHandlers.getSelectableColumns(result.columns, dateTimeCols);
+
+        onProgress(80, `Checking timestamps in ${file.name}...`);
+
+        // Check for duplicate timestamps
+        const hasDuplicates = dateTimeCol ?
+            FileHandlers.hasDuplicateTimestamps(result.data, dateTimeCol) : false;
+
+        // Get date range
+        const parseTime = TimeUtils.parserForSource({ timestampDetection });
+        const dateRange = dateTimeCol ?
+            FileHandlers.getDateRange(result.data, dateTimeCol, parseTime) : { earliest: null, latest: null };
+
+        onProgress(100, `Finished ${file.name}`);
+
+        return {
+            ...result,
+            dateTimeCol,
+            dateTimeCols,
+            timestampDetection,
+            longFormatInfo,
+            selectableColumns,
+            hasDuplicates,
+            dateRange
+        };
+    },
+
+    /**
+     * Concatenate the data of several files into one time-sorted stack
+     * Each file's timestamps are read with its own format, timezone and offset, and stored as
+     * ISO UTC text, so files exported from plants in different timezones line up.
+     * @param {Object} payload
+     * @param {Array<{data: Array, timestampSettings: Object}>} payload.datasets - Data rows of each file,
+     *     earliest file first, with its { timestampFormat, timestampDetection, sourceTimezone, sourceOffset }
+     * @param {string} payload.dateTimeCol - DateTime column name
+     * @param {string} payload.overlapHandling - 'first', 'last' or 'average'
+     * @param {function(number, string)} onProgress
+     * @returns {Object} - { data, columns, timestampDetection, dateRange, unreadable (rows dropped) }
+     */
+    stackFiles({ datasets, dateTimeCol, overlapHandling }, onProgress) {
+        onProgress(10, 'Reading timestamps...');
+        let combinedData = [];
+        let unreadable = 0;
+        for (const { data, timestampSettings } of datasets) {
+            const parseTime = TimeUtils.parserForSource(timestampSettings);
+            for (const row of data) {
+                const ms = parseTime(row[dateTimeCol]);
+                if (isNaN(ms)) {
+                    unreadable++;
+                    continue;
+                }
+                combinedData.push({ ...row, [dateTimeCol]: new Date(ms).toISOString() });
+            }
+        }
+
+        // Every timestamp is now UTC
+        const settings = {
+            timestampFormat: '',
+            sourceTimezone: 'UTC',
+            sourceOffset: '',
+            timestampDetection: FileHandlers.detectTimestampFormat(combinedData, dateTimeCol)
+        };
+        const parseTime = TimeUtils.parserForSource(settings);
+
+        onProgress(30, 'Sorting by timestamp...');
+        combinedData = TimeUtils.sortRowsByTime(combinedData, dateTimeCol, parseTime);
+
+        // Handle duplicates based on overlap handling setting
+        if (overlapHandling !== 'keep_all') {
+            onProgress(60, 'Handling overlapping timestamps...');
+            combinedData = DataProcessing.handleDuplicates(combinedData, dateTimeCol,
+                overlapHandling === 'average' ? 'Average values' :
+                overlapHandling === 'first' ? 'Keep first' : 'Keep last');
+        }
+
+        onProgress(90, 'Finding date range...');
+        return {
+            data: combinedData,
+            // Columns from the actual data keys to ensure they match
+            columns: combinedData.length > 0 ? Object.keys(combinedData[0]) : [],
+            timestampDetection: settings.timestampDetection,
+            dateRange: FileHandlers.getDateRange(combinedData, dateTimeCol, parseTime),
+            unreadable
+        };
+    },
+
+    /**
+     * Build the time index and the combined dataset
+     * @param {Object} payload
+     * @param {Object} payload.dataSources - Name -> file/stack info (without File objects)
+     * @param {Date} payload.start - Start datetime
+     * @param {Date} payload.end - End datetime
+     * @param {string} payload.interval - Interval string
+     * @param {Object} payload.indexOptions - Options for DataProcessing.buildTimeIndex
+     * @param {Object} payload.binOptions - Interval label/closure for DataProcessing.buildIntervalBins
+     * @param {{column: string, beforeMs: number|null, afterMs: number|null}} [payload.events] - One row
+     *     at each value of this output column instead of every interval, with each row's data window
+     * @param {Object} payload.alignmentOptions - Alignment method per source
+     * @param {string} [payload.customUnits] - User-defined units, one per line (see Units.parseCustom)
+     * @param {Array<Object>} [payload.calculated] - Calculated columns { title, expression, units }
+     * @param {function(number, string)} onProgress
+     * @returns {{combined: Object, timeIndex: Object}}
+     */
+    combine({ dataSources, start, end, interval, indexOptions, binOptions, events, alignmentOptions, customUnits, calculated }, onProgress) {
+        let timeIndex;
+        let bins;
+        if (events) {
+            timeIndex = DataProcessing.buildTimeIndex(start, end, interval, {
+                ...indexOptions,
+                mode: 'events',
+                events: DataProcessing.findEventTimes(dataSources, events.column, start, end)
+            });
+            bins = DataProcessing.buildEventBins(timeIndex, { beforeMs: events.beforeMs, afterMs: events.afterMs, start });
+        } else {
+            timeIndex = DataProcessing.buildTimeIndex(start, end, interval, indexOptions);
+            bins = DataProcessing.buildIntervalBins(timeIndex, interval, { ...indexOptions, ...binOptions });
+        }
+        onProgress(10, `Generated ${timeIndex.timestamps.length} timestamps...`);
+
+        const dataset = DataProcessing.createCombinedDataset(
+            dataSources,
+            timeIndex.timestamps,
+            alignmentOptions,
+            {
+                bins,
+                customUnits: Units.parseCustom(customUnits),
+                calculated,
+                onProgress: (fraction, message) => onProgress(10 + fraction * 85, message)
+            }
+        );
+
+        // Merged DST rows already share one interval, so aggregated columns keep that value
+        const combiners = {};
+        for (const col of dataset.aggregated) {
+            combiners[col] = values => values[0];
+        }
+
+        onProgress(95, 'Applying DST policies...');
+        const combined = DataProcessing.applyTimeIndexPolicies(dataset, timeIndex, combiners);
+
+        return { combined, timeIndex };
+    },
+
+    /**
+     * Estimate the lag between two columns by cross-correlation (see DataProcessing.estimateLag)
+     * @param {Object} payload
+     * @param {{times: Array<number>, values: Array}} payload.a - Reference column
+     * @param {{times: Array<number>, values: Array}} payload.b - Column whose lag is estimated
+     * @param {number} payload.maxLagMs - Largest lag tried, either way
+     * @param {function(number, string)} onProgress
+     * @returns {Object} - { lagMs, correlation, stepMs, curve }
+     */
+    estimateLag({ a, b, maxLagMs }, onProgress) {
+        onProgress(10, 'Cross-correlating...');
+        return DataProcessing.estimateLag(a, b, { maxLagMs });
+    }
+};
+
+// Export for use in other modules (self is window on the page, the global scope in the worker)
+self.ProcessingTasks = ProcessingTasks;
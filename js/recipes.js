@@ -0,0 +1,145 @@
+/**
+ * Recipes Module
+ * Saves merge settings as a versioned JSON "recipe" and re-applies them to files with matching names
+ */
+
+const Recipes = {
+    FORMAT: 'merge-o-matic-recipe',
+    VERSION: 1,
+
+    // Per-column settings stored in file/stack info objects, saved under each column name
+    COLUMN_SETTINGS: ['units', 'outputUnit', 'timeOffset', 'filters', 'transforms', 'columnType', 'counter', 'state', 'cleanup', 'aggregation', 'maxGap', 'flagGaps', 'quality'],
+
+    /**
+     * Make a file name pattern that also matches other files of the same kind
+     * Digit runs (dates, counters) become *, so "meter_2025-01-06.csv" gives "meter_*-*-*.csv"
+     * @param {string} fileName
+     * @returns {string}
+     */
+    patternFromName(fileName) {
+        return fileName.replace(/\d+/g, '*');
+    },
+
+    /**
+     * Check a name against a pattern (* = any characters, ? = one character, case-insensitive)
+     * @param {string} pattern
+     * @param {string} name
+     * @returns {boolean}
+     */
+    matchesPattern(pattern, name) {
+        const regex = pattern
+            .split('')
+            .map(ch => ch === '*' ? '.*' : ch === '?' ? '.' : ch.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+            .join('');
+        return new RegExp(`^${regex}$`, 'i').test(name);
+    },
+
+    /**
+     * Capture the settings of one file or stack
+     * @param {Object} info - File or stack info from AppState
+     * @returns {Object} - Source settings (without the pattern / kind)
+     */
+    captureSource(info) {
+        const columns = {};
+        for (const [col, title] of Object.entries(info.selectedCols || {})) {
+            columns[col] = { title };
+            for (const setting of this.COLUMN_SETTINGS) {
+                if (info[setting]?.[col] !== undefined) {
+                    columns[col][setting] = info[setting][col];
+                }
+            }
+        }
+
+        return {
+            timestampFormat: info.timestampFormat || '',
+            sourceTimezone: info.sourceTimezone || 'local',
+            sourceOffset: info.sourceOffset || '',
+            dupeHandling: info.dupeHandling || 'Average values',
+            pivot: info.pivot || null,
+            parseOptions: info.parseOptions || null,
+            columns
+        };
+    },
+
+    /**
+     * Apply saved column settings to a file or stack
+     * Columns the data does not have are skipped and reported
+     * @param {Object} entry - Source settings from a recipe
+     * @param {Object} info - File or stack info from AppState
+     * @returns {{applied: number, missingColumns: Array<string>}}
+     */
+    applyColumns(entry, info) {
+        const available = new Set(info.selectableColumns || []);
+        const missingColumns = [];
+        let applied = 0;
+
+        info.selectedCols = {};
+        for (const setting of this.COLUMN_SETTINGS) {
+            info[setting] = {};
+        }
+
+        for (const [col, settings] of Object.entries(entry.columns || {})) {
+            if (!available.has(col)) {
+                missingColumns.push(col);
+                continue;
+            }
+            info.selectedCols[col] = settings.title || col;
+            for (const setting of this.COLUMN_SETTINGS) {
+                if (settings[setting] !== undefined) {
+                    info[setting][col] = settings[setting];
+                }
+            }
+            // Units read from the file fill in units the recipe left empty
+            if (!info.units[col] && info.columnUnits?.[col]) {
+                info.units[col] = info.columnUnits[col];
+            }
+            applied++;
+        }
+
+        info.dupeHandling = entry.dupeHandling || info.dupeHandling;
+        return { applied, missingColumns };
+    },
+
+    /**
+     * Find the recipe entry for a file or stack
+     * Stacks match by name, files by the first pattern that fits
+     * @param {Object} recipe
+     * @param {string} name - File or stack name
+     * @param {string} kind - 'file' or 'stack'
+     * @returns {Object|null}
+     */
+    findSource(recipe, name, kind) {
+        return recipe.sources.find(entry => entry.kind === kind && (
+            kind === 'stack' ? entry.name === name : this.matchesPattern(entry.pattern, name)
+        )) || null;
+    },
+
+    /**
+     * Parse and check a recipe file
+     * @param {string} text - JSON text
+     * @returns {Object} - Recipe
+     */
+    parse(text) {
+        let recipe;
+        try {
+            recipe = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Recipe is not valid JSON: ${error.message}`);
+        }
+
+        if (!recipe || recipe.format !== this.FORMAT) {
+            throw new Error('This file is not a Merge-o-matic recipe');
+        }
+        if (typeof recipe.version !== 'number' || recipe.version > this.VERSION) {
+            throw new Error(`Recipe version ${recipe.version} is newer than this app supports (${this.VERSION})`);
+        }
+
+        recipe.sources = Array.isArray(recipe.sources) ? recipe.sources : [];
+        recipe.stacks = Array.isArray(recipe.stacks) ? recipe.stacks : [];
+        recipe.output = recipe.output || {};
+        return recipe;
+    }
+};
+
+// Export for use in other modules
+window.Recipes = Recipes;
@@ -0,0 +1,129 @@
+/**
+ * Session Store Module
+ * Keeps parsed files, stacks, settings and the template in IndexedDB so a session survives a reload
+ */
+
+const SessionStore = {
+    DB_NAME: 'merge-o-matic',
+    DB_VERSION: 1,
+    db: null,
+
+    /**
+     * Open (and on first use create) the database
+     * Sessions are split into a small summary store for listing and a data store for the payload
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available in this browser'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('summaries')) {
+                    db.createObjectStore('summaries', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('sessions')) {
+                    db.createObjectStore('sessions', { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Session storage is blocked by another open tab'));
+        });
+    },
+
+    /**
+     * Run one transaction and resolve when it completes
+     * @param {Array<string>} stores - Object store names
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {function(Object): *} work - Receives the stores by name; its return value is resolved
+     * @returns {Promise<*>}
+     */
+    async _transaction(stores, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(stores, mode);
+            const byName = {};
+            for (const name of stores) {
+                byName[name] = tx.objectStore(name);
+            }
+            let result;
+            Promise.resolve(work(byName)).then(value => { result = value; }, reject);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Session storage transaction aborted'));
+        });
+    },
+
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Save (or overwrite) a session
+     * @param {Object} session - { id, files, stacks, settings, ... } (must be structured-cloneable)
+     * @param {Object} summary - Listing details: { fileCount, stackCount, rowCount, names }
+     * @returns {Promise<void>}
+     */
+    save(session, summary) {
+        return this._transaction(['summaries', 'sessions'], 'readwrite', (stores) => {
+            stores.sessions.put(session);
+            stores.summaries.put({ ...summary, id: session.id, savedAt: new Date() });
+        });
+    },
+
+    /**
+     * List saved sessions, newest first
+     * @returns {Promise<Array<Object>>} - Summaries
+     */
+    list() {
+        return this._transaction(['summaries'], 'readonly', (stores) => this._request(stores.summaries.getAll()))
+            .then(summaries => summaries.sort((a, b) => b.savedAt - a.savedAt));
+    },
+
+    /**
+     * Load a saved session
+     * @param {string} id
+     * @returns {Promise<Object|undefined>}
+     */
+    load(id) {
+        return this._transaction(['sessions'], 'readonly', (stores) => this._request(stores.sessions.get(id)));
+    },
+
+    /**
+     * Delete saved sessions
+     * @param {Array<string>} ids
+     * @returns {Promise<void>}
+     */
+    remove(ids) {
+        return this._transaction(['summaries', 'sessions'], 'readwrite', (stores) => {
+            for (const id of ids) {
+                stores.summaries.delete(id);
+                stores.sessions.delete(id);
+            }
+        });
+    },
+
+    /**
+     * How much storage the browser reports as used / available for this site
+     * @returns {Promise<{usage: number, quota: number}|null>}
+     */
+    async estimate() {
+        if (!navigator.storage?.estimate) return null;
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage, quota };
+    }
+};
+
+// Export for use in other modules
+window.SessionStore = SessionStore;
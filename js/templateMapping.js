@@ -0,0 +1,334 @@
+/**
+ * Template Mapping Module
+ * Describes where the combined data goes in a template workbook and detects it from
+ * named ranges or marker cells like {{HEADERS}}
+ */
+
+const TemplateMapping = {
+    /**
+     * Layout of the original Analysis template: Date in column B, headers in row 10,
+     * units in row 11 and data from row 12, with the data columns starting in column C
+     */
+    DEFAULT: {
+        sheet: 'Analysis',
+        headerCell: 'C10',      // Header of the first data column; headers continue to the right
+        unitsRow: 11,           // Row (1-based) for units
+        writeUnits: true,
+        dataStartCell: 'C12',   // First value of the first data column
+        dateColumn: 'B'         // Column for the timestamps; its header is written in the header row
+    },
+
+    // Named ranges (optionally prefixed MOM_) and marker cells, mapped to the setting they set
+    ANCHORS: ['HEADERS', 'UNITS', 'DATA', 'DATE'],
+    MARKER_PATTERN: /^\{\{\s*(HEADERS|UNITS|DATA|DATE)\s*\}\}$/i,
+
+    /**
+     * Fill in missing settings and tidy cell references
+     * @param {Object} [mapping]
+     * @returns {Object}
+     */
+    normalize(mapping = {}) {
+        const result = { ...this.DEFAULT, ...mapping };
+        result.sheet = String(result.sheet || this.DEFAULT.sheet).trim();
+        result.headerCell = String(result.headerCell).replace(/\$/g, '').trim().toUpperCase();
+        result.dataStartCell = String(result.dataStartCell).replace(/\$/g, '').trim().toUpperCase();
+        result.dateColumn = String(result.dateColumn).replace(/\$/g, '').trim().toUpperCase();
+        result.unitsRow = parseInt(result.unitsRow, 10);
+        result.writeUnits = result.writeUnits !== false;
+        return result;
+    },
+
+    /**
+     * Check a mapping for mistakes
+     * @param {Object} mapping - Normalized mapping
+     * @returns {Array<string>} - Problems (empty when valid)
+     */
+    validate(mapping) {
+        const errors = [];
+        const isCell = (ref) => /^[A-Z]{1,3}[1-9]\d*$/.test(ref);
+
+        if (!mapping.sheet) errors.push('Sheet name is empty');
+        if (!isCell(mapping.headerCell)) errors.push(`Header cell "${mapping.headerCell}" is not a cell like C10`);
+        if (!isCell(mapping.dataStartCell)) errors.push(`Data start cell "${mapping.dataStartCell}" is not a cell like C12`);
+        if (!/^[A-Z]{1,3}$/.test(mapping.dateColumn)) errors.push(`Date column "${mapping.dateColumn}" is not a column letter like B`);
+        if (mapping.writeUnits && !(mapping.unitsRow >= 1)) errors.push('Units row must be a row number');
+        if (errors.length > 0) return errors;
+
+        const layout = this.layout(mapping);
+        if (layout.dataRow <= layout.headerRow) errors.push('Data must start below the header row');
+        if (mapping.writeUnits && (layout.unitsRow === layout.headerRow || layout.unitsRow >= layout.dataRow)) {
+            errors.push('Units row must be between the header row and the first data row');
+        }
+        return errors;
+    },
+
+    /**
+     * Zero-based positions used when writing
+     * @param {Object} mapping - Normalized mapping
+     * @returns {{headerRow: number, unitsRow: number|null, dataRow: number, dateCol: number, headerCol: number, dataCol: number}}
+     */
+    layout(mapping) {
+        const header = XLSX.utils.decode_cell(mapping.headerCell);
+        const data = XLSX.utils.decode_cell(mapping.dataStartCell);
+        return {
+            headerRow: header.r,
+            unitsRow: mapping.writeUnits ? mapping.unitsRow - 1 : null,
+            dataRow: data.r,
+            dateCol: XLSX.utils.decode_col(mapping.dateColumn),
+            headerCol: header.c,
+            dataCol: data.c
+        };
+    },
+
+    /**
+     * Column of the i-th data column counting from a start column, stepping over the date column
+     * @param {Object} layout - From layout()
+     * @param {number} start - headerCol or dataCol
+     * @param {number} i - Data column number (0-based)
+     * @returns {number}
+     */
+    columnAt(layout, start, i) {
+        const col = start + i;
+        return start <= layout.dateCol && col >= layout.dateCol ? col + 1 : col;
+    },
+
+    /**
+     * Detect the mapping of a template from named ranges, then marker cells
+     * @param {Object} workbook - SheetJS workbook
+     * @returns {{mapping: Object, source: string}} - source is 'named ranges', 'markers' or 'default'
+     */
+    detect(workbook) {
+        const anchors = this._fromNames(workbook);
+        let source = 'named ranges';
+        if (!anchors.HEADERS) {
+            Object.assign(anchors, this._fromMarkers(workbook));
+            source = 'markers';
+        }
+
+        if (!anchors.HEADERS) {
+            const sheet = workbook.Sheets[this.DEFAULT.sheet] ? this.DEFAULT.sheet : workbook.SheetNames[0];
+            return { mapping: this.normalize({ sheet }), source: 'default' };
+        }
+
+        const header = anchors.HEADERS.cell;
+        const mapping = {
+            sheet: anchors.HEADERS.sheet,
+            headerCell: XLSX.utils.encode_cell(header),
+            writeUnits: Boolean(anchors.UNITS),
+            unitsRow: anchors.UNITS ? anchors.UNITS.cell.r + 1 : header.r + 2,
+            dataStartCell: anchors.DATA
+                ? XLSX.utils.encode_cell(anchors.DATA.cell)
+                : XLSX.utils.encode_cell({ r: header.r + (anchors.UNITS ? 2 : 1), c: header.c }),
+            dateColumn: XLSX.utils.encode_col(anchors.DATE ? anchors.DATE.cell.c : Math.max(0, header.c - 1))
+        };
+        return { mapping: this.normalize(mapping), source };
+    },
+
+    _fromNames(workbook) {
+        const anchors = {};
+        for (const name of workbook.Workbook?.Names || []) {
+            const key = String(name.Name).toUpperCase().replace(/^MOM_/, '');
+            if (!this.ANCHORS.includes(key) || !name.Ref) continue;
+
+            // Ref looks like Analysis!$C$10 or 'My Sheet'!$C$10:$H$10
+            const bang = name.Ref.lastIndexOf('!');
+            if (bang < 0) continue;
+            const sheet = name.Ref.slice(0, bang).replace(/^'|'$/g, '').replace(/''/g, "'");
+            const ref = name.Ref.slice(bang + 1).replace(/\$/g, '').split(':')[0];
+            if (!workbook.Sheets[sheet] || !/^[A-Z]+\d+$/i.test(ref)) continue;
+            anchors[key] = { sheet, cell: XLSX.utils.decode_cell(ref.toUpperCase()) };
+        }
+        return anchors;
+    },
+
+    _fromMarkers(workbook) {
+        for (const sheet of workbook.SheetNames) {
+            const anchors = {};
+            const ws = workbook.Sheets[sheet];
+            for (const ref of Object.keys(ws)) {
+                if (ref[0] === '!') continue;
+                const match = typeof ws[ref].v === 'string' && ws[ref].v.trim().match(this.MARKER_PATTERN);
+                if (match) {
+                    anchors[match[1].toUpperCase()] = { sheet, cell: XLSX.utils.decode_cell(ref) };
+                }
+            }
+            if (anchors.HEADERS) return anchors;
+        }
+        return {};
+    },
+
+    /**
+     * Blank out marker cells so none are left in the output, keeping their style
+     * @param {Object} ws - SheetJS worksheet
+     */
+    clearMarkers(ws) {
+        for (const ref of Object.keys(ws)) {
+            if (ref[0] === '!') continue;
+            if (typeof ws[ref].v === 'string' && this.MARKER_PATTERN.test(ws[ref].v.trim())) {
+                ws[ref] = { t: 'z', s: ws[ref].s };
+            }
+        }
+    },
+
+    _hasValue(cell) {
+        return Boolean(cell) && cell.t !== 'z' && cell.v !== undefined && cell.v !== null && cell.v !== '';
+    },
+
+    /**
+     * Find the block written by a previous export
+     * Columns run from the header cell while the header row has headers; rows run from the first
+     * data row while the date column has a (non-formula) value, since every export fills it
+     * @param {Object} ws - SheetJS worksheet
+     * @param {Object} layout - From layout()
+     * @returns {{headerColumns: Array<number>, dataColumns: Array<number>, firstRow: number, lastRow: number}}
+     *          lastRow is below firstRow when there is no old data
+     */
+    findDataBlock(ws, layout) {
+        const headerColumns = [layout.dateCol];
+        const dataColumns = [layout.dateCol];
+        for (let i = 0; ; i++) {
+            const c = this.columnAt(layout, layout.headerCol, i);
+            const cell = ws[XLSX.utils.encode_cell({ r: layout.headerRow, c })];
+            if (!this._hasValue(cell) || cell.f) break;
+            headerColumns.push(c);
+            dataColumns.push(this.columnAt(layout, layout.dataCol, i));
+        }
+
+        let lastRow = layout.dataRow - 1;
+        for (;;) {
+            const cell = ws[XLSX.utils.encode_cell({ r: lastRow + 1, c: layout.dateCol })];
+            if (!this._hasValue(cell) || cell.f) break;
+            lastRow++;
+        }
+
+        return { headerColumns, dataColumns, firstRow: layout.dataRow, lastRow };
+    },
+
+    /**
+     * Blank the headers, units and values of an old data block, keeping cell styles and number formats
+     * Formula cells are left alone, as they belong to the template rather than an export
+     * @param {Object} ws - SheetJS worksheet
+     * @param {Object} layout - From layout()
+     * @param {Object} block - From findDataBlock()
+     * @returns {number} - Number of cells cleared
+     */
+    clearDataBlock(ws, layout, block) {
+        let cleared = 0;
+        const clear = (r, c) => {
+            const ref = XLSX.utils.encode_cell({ r, c });
+            const cell = ws[ref];
+            if (cell && !cell.f && cell.t !== 'z') {
+                ws[ref] = { t: 'z', s: cell.s, z: cell.z };
+                cleared++;
+            }
+        };
+
+        for (const c of block.headerColumns) {
+            clear(layout.headerRow, c);
+            if (layout.unitsRow !== null) clear(layout.unitsRow, c);
+        }
+        for (let r = block.firstRow; r <= block.lastRow; r++) {
+            for (const c of block.dataColumns) clear(r, c);
+        }
+        return cleared;
+    },
+
+    /**
+     * List cells with a value or formula inside the given regions
+     * @param {Object} ws - SheetJS worksheet
+     * @param {Array<{firstRow: number, lastRow: number, columns: Array<number>}>} regions
+     * @returns {Array<string>} - Cell references, in sheet order
+     */
+    findContent(ws, regions) {
+        const sets = regions.map(region => ({ ...region, columns: new Set(region.columns) }));
+        const refs = [];
+        for (const ref of Object.keys(ws)) {
+            if (ref[0] === '!') continue;
+            const cell = ws[ref];
+            if (!this._hasValue(cell) && !cell.f) continue;
+            const { r, c } = XLSX.utils.decode_cell(ref);
+            if (sets.some(region => r >= region.firstRow && r <= region.lastRow && region.columns.has(c))) {
+                refs.push({ ref, r, c });
+            }
+        }
+        return refs.sort((a, b) => a.r - b.r || a.c - b.c).map(item => item.ref);
+    },
+
+    /**
+     * Move the end row of formula ranges and defined names that covered the old data rows,
+     * so =AVERAGE(C12:C500) becomes =AVERAGE(C12:C700) after writing 700 - 11 rows
+     * Only ranges starting between the header row and the first data row and ending on the last
+     * old data row are changed
+     * @param {Object} workbook - SheetJS workbook
+     * @param {string} sheet - Name of the sheet written to
+     * @param {Object} layout - From layout()
+     * @param {Object} block - From findDataBlock() (before writing)
+     * @param {number} newLastRow - Last data row written (0-based)
+     * @returns {number} - Number of references changed
+     */
+    adjustReferences(workbook, sheet, layout, block, newLastRow) {
+        if (block.lastRow < block.firstRow || newLastRow < block.firstRow || newLastRow === block.lastRow) return 0;
+
+        const rangePattern = /((?:'(?:[^']|'')+'|[A-Za-z_][\w.]*)!)?(\$?[A-Z]{1,3}\$?)(\d+):(\$?[A-Z]{1,3}\$?)(\d+)(?![\w(])/g;
+        // Excel row numbers (1-based)
+        const headerRow = layout.headerRow + 1;
+        const dataRow = block.firstRow + 1;
+        let changed = 0;
+
+        const adjust = (formula, formulaSheet) => formula.replace(rangePattern, (match, prefix, startCol, startRow, endCol, endRow) => {
+            const target = prefix ? prefix.slice(0, -1).replace(/^'|'$/g, '').replace(/''/g, "'") : formulaSheet;
+            const start = parseInt(startRow, 10);
+            if (target !== sheet || start < headerRow || start > dataRow || parseInt(endRow, 10) !== block.lastRow + 1) {
+                return match;
+            }
+            changed++;
+            return `${prefix || ''}${startCol}${startRow}:${endCol}${newLastRow + 1}`;
+        });
+
+        for (const name of workbook.SheetNames) {
+            const ws = workbook.Sheets[name];
+            for (const ref of Object.keys(ws)) {
+                if (ref[0] !== '!' && typeof ws[ref].f === 'string') {
+                    ws[ref].f = adjust(ws[ref].f, name);
+                }
+            }
+        }
+        for (const definedName of workbook.Workbook?.Names || []) {
+            if (typeof definedName.Ref === 'string') {
+                definedName.Ref = adjust(definedName.Ref, null);
+            }
+        }
+        return changed;
+    },
+
+    /**
+     * Count the chart and drawing parts of an .xlsx template, which SheetJS does not write back
+     * The part names are stored uncompressed in the zip, so the bytes are searched for them directly.
+     * @param {ArrayBuffer} bytes - Template file
+     * @returns {{charts: number, drawings: number}}
+     */
+    findDrawings(bytes) {
+        const text = new TextDecoder('latin1').decode(new Uint8Array(bytes));
+        const count = (pattern) => new Set(text.match(pattern) || []).size;
+        return {
+            charts: count(/xl\/charts\/chart\d+\.xml/g),
+            drawings: count(/xl\/drawings\/drawing\d+\.xml/g)
+        };
+    },
+
+    /**
+     * Grow a sheet's !ref to include a range, never shrinking it
+     * @param {Object} ws - SheetJS worksheet
+     * @param {{s: {r: number, c: number}, e: {r: number, c: number}}} range
+     */
+    includeInRange(ws, range) {
+        const current = ws['!ref'] ? XLSX.utils.decode_range(ws['!ref']) : range;
+        ws['!ref'] = XLSX.utils.encode_range({
+            s: { r: Math.min(current.s.r, range.s.r), c: Math.min(current.s.c, range.s.c) },
+            e: { r: Math.max(current.e.r, range.e.r), c: Math.max(current.e.c, range.e.c) }
+        });
+    }
+};
+
+// Export for use in other modules
+window.TemplateMapping = TemplateMapping;
@@ -0,0 +1,608 @@
+/**
+ * Time Utilities Module
+ * Handles timestamp format patterns, timezone offsets and wall-clock conversion
+ */
+
+const TimeUtils = {
+    // Cache of Intl formatters and compiled format patterns
+    _formatters: new Map(),
+    _patterns: new Map(),
+
+    // Units of time offsets, in milliseconds
+    OFFSET_UNITS: { s: 1000, min: 60000, h: 3600000, D: 86400000 },
+
+    /**
+     * Parse a timezone setting
+     * Accepts "local", "UTC", fixed offsets like "+05:30" / "UTC-3", or IANA names like "Europe/Berlin"
+     * @param {string} spec - Timezone setting
+     * @returns {{type: string, offsetMinutes: number, zone: string|null, label: string}}
+     */
+    parseTimezone(spec) {
+        const value = String(spec || '').trim();
+
+        if (!value || value.toLowerCase() === 'local') {
+            return { type: 'local', offsetMinutes: 0, zone: null, label: 'Browser local time' };
+        }
+
+        if (/^(utc|gmt|z)$/i.test(value)) {
+            return { type: 'fixed', offsetMinutes: 0, zone: null, label: 'UTC' };
+        }
+
+        const fixed = value.match(/^(?:utc|gmt)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/i);
+        if (fixed) {
+            const sign = fixed[1] === '-' ? -1 : 1;
+            const hours = parseInt(fixed[2]);
+            const minutes = parseInt(fixed[3] || '0');
+            if (hours > 14 || minutes > 59) {
+                throw new Error(`Invalid UTC offset: ${value}`);
+            }
+            const offsetMinutes = sign * (hours * 60 + minutes);
+            return { type: 'fixed', offsetMinutes, zone: null, label: `UTC${this.formatOffset(offsetMinutes)}` };
+        }
+
+        try {
+            this._getFormatter(value);
+        } catch (e) {
+            throw new Error(`Unknown timezone: ${value}`);
+        }
+        return { type: 'iana', offsetMinutes: 0, zone: value, label: value };
+    },
+
+    /**
+     * Check whether a timezone setting is valid
+     * @param {string} spec - Timezone setting
+     * @returns {boolean}
+     */
+    isValidTimezone(spec) {
+        try {
+            this.parseTimezone(spec);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    },
+
+    /**
+     * List IANA timezone names supported by the browser
+     * @returns {Array<string>}
+     */
+    getTimezoneNames() {
+        const common = ['local', 'UTC'];
+        if (typeof Intl.supportedValuesOf === 'function') {
+            return [...common, ...Intl.supportedValuesOf('timeZone')];
+        }
+        return [...common, 'America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles',
+            'Europe/London', 'Europe/Berlin', 'Asia/Kolkata', 'Asia/Shanghai', 'Australia/Sydney'];
+    },
+
+    _getFormatter(zone) {
+        if (!this._formatters.has(zone)) {
+            this._formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+                timeZone: zone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            }));
+        }
+        return this._formatters.get(zone);
+    },
+
+    _resolve(tz) {
+        return typeof tz === 'object' && tz !== null ? tz : this.parseTimezone(tz);
+    },
+
+    /**
+     * Get the UTC offset of a timezone at a given instant
+     * @param {number} ms - Epoch milliseconds
+     * @param {string|Object} tz - Timezone setting or parsed timezone
+     * @returns {number} - Minutes east of UTC
+     */
+    getOffsetMinutes(ms, tz) {
+        const zone = this._resolve(tz);
+
+        if (zone.type === 'local') {
+            return -new Date(ms).getTimezoneOffset();
+        }
+        if (zone.type === 'fixed') {
+            return zone.offsetMinutes;
+        }
+
+        const wholeSeconds = ms - (((ms % 1000) + 1000) % 1000);
+        const parts = {};
+        for (const part of this._getFormatter(zone.zone).formatToParts(new Date(wholeSeconds))) {
+            parts[part.type] = part.value;
+        }
+        const asUtc = Date.UTC(
+            parseInt(parts.year),
+            parseInt(parts.month) - 1,
+            parseInt(parts.day),
+            parseInt(parts.hour) % 24,
+            parseInt(parts.minute),
+            parseInt(parts.second)
+        );
+        return Math.round((asUtc - wholeSeconds) / 60000);
+    },
+
+    /**
+     * Format an offset in minutes as "+HH:MM"
+     * @param {number} offsetMinutes
+     * @returns {string}
+     */
+    formatOffset(offsetMinutes) {
+        const sign = offsetMinutes < 0 ? '-' : '+';
+        const abs = Math.abs(offsetMinutes);
+        return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+    },
+
+    /**
+     * Get all instants at which a wall-clock time occurs in a timezone
+     * Returns no instants for times skipped by a DST change and two for repeated times
+     * @param {Object} fields - { year, month (1-12), day, hour, minute, second, millisecond }
+     * @param {string|Object} tz - Timezone setting or parsed timezone
+     * @returns {Array<number>} - Epoch milliseconds, earliest first
+     */
+    wallClockToInstants(fields, tz) {
+        const zone = this._resolve(tz);
+        const asUtc = Date.UTC(
+            fields.year, fields.month - 1, fields.day,
+            fields.hour || 0, fields.minute || 0, fields.second || 0, fields.millisecond || 0
+        );
+
+        if (zone.type === 'fixed') {
+            return [asUtc - zone.offsetMinutes * 60000];
+        }
+
+        // Try the offsets in effect a day either side; each candidate is only valid if it maps back
+        const dayMs = 24 * 60 * 60 * 1000;
+        const offsets = new Set([
+            this.getOffsetMinutes(asUtc - dayMs, zone),
+            this.getOffsetMinutes(asUtc, zone),
+            this.getOffsetMinutes(asUtc + dayMs, zone)
+        ]);
+
+        const instants = new Set();
+        for (const offset of offsets) {
+            const candidate = asUtc - offset * 60000;
+            if (this.getOffsetMinutes(candidate, zone) === offset) {
+                instants.add(candidate);
+            }
+        }
+
+        return [...instants].sort((a, b) => a - b);
+    },
+
+    /**
+     * Convert a wall-clock time in a timezone to an instant
+     * Repeated times resolve to the earlier instant; skipped times are pushed forward
+     * (the same rules the Date constructor applies to browser local time)
+     * @param {Object} fields - { year, month (1-12), day, hour, minute, second, millisecond }
+     * @param {string|Object} tz - Timezone setting or parsed timezone
+     * @returns {number} - Epoch milliseconds
+     */
+    wallClockToEpoch(fields, tz) {
+        const zone = this._resolve(tz);
+
+        if (zone.type === 'local') {
+            return new Date(
+                fields.year, fields.month - 1, fields.day,
+                fields.hour || 0, fields.minute || 0, fields.second || 0, fields.millisecond || 0
+            ).getTime();
+        }
+
+        const instants = this.wallClockToInstants(fields, zone);
+        if (instants.length > 0) {
+            return instants[0];
+        }
+
+        // Skipped by a DST change - use the offset from before the transition
+        const asUtc = Date.UTC(
+            fields.year, fields.month - 1, fields.day,
+            fields.hour || 0, fields.minute || 0, fields.second || 0, fields.millisecond || 0
+        );
+        return asUtc - this.getOffsetMinutes(asUtc - 24 * 60 * 60 * 1000, zone) * 60000;
+    },
+
+    /**
+     * Convert an instant to wall-clock fields in a timezone
+     * @param {number} ms - Epoch milliseconds
+     * @param {string|Object} tz - Timezone setting or parsed timezone
+     * @returns {Object} - { year, month (1-12), day, hour, minute, second, millisecond }
+     */
+    epochToWallClock(ms, tz) {
+        const zone = this._resolve(tz);
+
+        if (zone.type === 'local') {
+            const d = new Date(ms);
+            return {
+                year: d.getFullYear(),
+                month: d.getMonth() + 1,
+                day: d.getDate(),
+                hour: d.getHours(),
+                minute: d.getMinutes(),
+                second: d.getSeconds(),
+                millisecond: d.getMilliseconds()
+            };
+        }
+
+        const d = new Date(ms + this.getOffsetMinutes(ms, zone) * 60000);
+        return {
+            year: d.getUTCFullYear(),
+            month: d.getUTCMonth() + 1,
+            day: d.getUTCDate(),
+            hour: d.getUTCHours(),
+            minute: d.getUTCMinutes(),
+            second: d.getUTCSeconds(),
+            millisecond: d.getUTCMilliseconds()
+        };
+    },
+
+    /**
+     * Build a Date whose browser-local fields show the wall-clock time of an instant in a timezone
+     * SheetJS and Plotly display Dates in browser local time, so this is what gets written out
+     * @param {number} ms - Epoch milliseconds
+     * @param {string|Object} tz - Timezone setting or parsed timezone
+     * @returns {Date}
+     */
+    toWallClockDate(ms, tz) {
+        const f = this.epochToWallClock(ms, tz);
+        return new Date(f.year, f.month - 1, f.day, f.hour, f.minute, f.second, f.millisecond);
+    },
+
+    /**
+     * Read wall-clock fields from the browser-local fields of a Date
+     * @param {Date} date
+     * @returns {Object}
+     */
+    fieldsFromLocalDate(date) {
+        return {
+            year: date.getFullYear(),
+            month: date.getMonth() + 1,
+            day: date.getDate(),
+            hour: date.getHours(),
+            minute: date.getMinutes(),
+            second: date.getSeconds(),
+            millisecond: date.getMilliseconds()
+        };
+    },
+
+    /**
+     * Parse date/time input values ("2025-10-01" and "13:45") into wall-clock fields
+     * @param {string} dateStr - Value of an input[type="date"]
+     * @param {string} timeStr - Value of an input[type="time"]
+     * @returns {Object|null}
+     */
+    parseInputFields(dateStr, timeStr) {
+        const dateMatch = String(dateStr || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (!dateMatch) return null;
+
+        const timeMatch = String(timeStr || '').match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+        return {
+            year: parseInt(dateMatch[1]),
+            month: parseInt(dateMatch[2]),
+            day: parseInt(dateMatch[3]),
+            hour: timeMatch ? parseInt(timeMatch[1]) : 0,
+            minute: timeMatch ? parseInt(timeMatch[2]) : 0,
+            second: timeMatch && timeMatch[3] ? parseInt(timeMatch[3]) : 0,
+            millisecond: 0
+        };
+    },
+
+    /**
+     * Format an instant in a timezone
+     * @param {number} ms - Epoch milliseconds
+     * @param {string|Object} tz - Timezone setting or parsed timezone
+     * @param {string} format - Pattern using yyyy, MM, dd, HH, mm, ss tokens
+     * @returns {string}
+     */
+    formatInZone(ms, tz, format = 'yyyy-MM-dd HH:mm:ss') {
+        const f = this.epochToWallClock(ms, tz);
+        const pad = (n, len = 2) => String(n).padStart(len, '0');
+        return format.replace(/yyyy|MM|dd|HH|mm|ss|SSS/g, token => {
+            switch (token) {
+                case 'yyyy': return pad(f.year, 4);
+                case 'MM': return pad(f.month);
+                case 'dd': return pad(f.day);
+                case 'HH': return pad(f.hour);
+                case 'mm': return pad(f.minute);
+                case 'ss': return pad(f.second);
+                case 'SSS': return pad(f.millisecond, 3);
+                default: return token;
+            }
+        });
+    },
+
+    /**
+     * Compile a format pattern like "dd/MM/yyyy HH:mm:ss" into a regex and field list
+     * Tokens: yyyy yy MMM MM M dd d HH H hh h mm m ss s SSS a; anything else is literal
+     * Day, month and hour tokens accept one or two digits either way, as exports rarely pad consistently
+     * @param {string} format - Format pattern
+     * @returns {{regex: RegExp, fields: Array<string>}}
+     */
+    compileFormat(format) {
+        if (this._patterns.has(format)) {
+            return this._patterns.get(format);
+        }
+
+        const tokens = {
+            yyyy: ['year', '(\\d{4})'],
+            yy: ['year2', '(\\d{2})'],
+            MMM: ['monthName', '([A-Za-z]{3,9})'],
+            MM: ['month', '(\\d{1,2})'],
+            M: ['month', '(\\d{1,2})'],
+            dd: ['day', '(\\d{1,2})'],
+            d: ['day', '(\\d{1,2})'],
+            HH: ['hour', '(\\d{1,2})'],
+            H: ['hour', '(\\d{1,2})'],
+            hh: ['hour12', '(\\d{1,2})'],
+            h: ['hour12', '(\\d{1,2})'],
+            mm: ['minute', '(\\d{2})'],
+            m: ['minute', '(\\d{1,2})'],
+            ss: ['second', '(\\d{2})'],
+            s: ['second', '(\\d{1,2})'],
+            SSS: ['fraction', '(\\d{1,9})'],
+            a: ['meridiem', '([AaPp]\\.?[Mm]\\.?)']
+        };
+        const tokenRegex = /yyyy|yy|MMM|MM|M|dd|d|HH|H|hh|h|mm|m|ss|s|SSS|a|\s+|./g;
+
+        const fields = [];
+        let source = '^\\s*';
+        for (const token of format.match(tokenRegex) || []) {
+            if (tokens[token]) {
+                fields.push(tokens[token][0]);
+                source += tokens[token][1];
+            } else if (/^\s+$/.test(token)) {
+                source += '\\s+';
+            } else {
+                source += token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+        source += '\\s*$';
+
+        const compiled = { regex: new RegExp(source), fields };
+        this._patterns.set(format, compiled);
+        return compiled;
+    },
+
+    /**
+     * Parse a string into wall-clock fields using an explicit format pattern
+     * @param {string} str - Timestamp text
+     * @param {string} format - Format pattern
+     * @returns {Object|null} - Wall-clock fields, or null if the text does not match
+     */
+    parseWithFormat(str, format) {
+        const { regex, fields } = this.compileFormat(format);
+        const match = String(str).match(regex);
+        if (!match) return null;
+
+        const result = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0 };
+        let meridiem = null;
+        let hour12 = null;
+
+        fields.forEach((field, i) => {
+            const raw = match[i + 1];
+            switch (field) {
+                case 'year2': result.year = 2000 + parseInt(raw); break;
+                case 'monthName': result.month = this._monthFromName(raw); break;
+                case 'hour12': hour12 = parseInt(raw); break;
+                case 'meridiem': meridiem = raw.toLowerCase().startsWith('p') ? 'pm' : 'am'; break;
+                case 'fraction': result.millisecond = Math.round(parseFloat('0.' + raw) * 1000); break;
+                default: result[field] = parseInt(raw);
+            }
+        });
+
+        if (hour12 !== null) {
+            result.hour = hour12 % 12 + (meridiem === 'pm' ? 12 : 0);
+        }
+
+        if (!result.month || result.month > 12 || result.day < 1 || result.day > 31 ||
+            result.hour > 23 || result.minute > 59 || result.second > 59) {
+            return null;
+        }
+
+        return result;
+    },
+
+    _monthFromName(name) {
+        const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+        return months.indexOf(String(name).slice(0, 3).toLowerCase()) + 1;
+    },
+
+    /**
+     * Inspect sample timestamps and suggest a format pattern
+     * Flags day/month ambiguity when every sample would read both ways
+     * @param {Array} samples - Sample timestamp values
+     * @returns {{format: string|null, ambiguous: boolean, candidates: Array<string>, message: string|null}}
+     */
+    detectFormat(samples) {
+        const numericDate = /^\s*(\d{1,2})([/.\-])(\d{1,2})\2(\d{4}|\d{2})(?:([ T]+)(\d{1,2}):(\d{2})(?::(\d{2})(\.\d+)?)?\s*([AaPp][Mm])?)?\s*$/;
+        const strings = samples
+            .filter(v => v != null && v !== '' && !(v instanceof Date) && typeof v !== 'number')
+            .map(v => String(v));
+
+        let maxFirst = 0;
+        let maxSecond = 0;
+        let matched = null;
+        let matchCount = 0;
+
+        for (const str of strings) {
+            const m = str.match(numericDate);
+            if (!m) continue;
+            matchCount++;
+            matched = matched || m;
+            maxFirst = Math.max(maxFirst, parseInt(m[1]));
+            maxSecond = Math.max(maxSecond, parseInt(m[3]));
+        }
+
+        if (!matched || matchCount < strings.length * 0.8) {
+            return { format: null, ambiguous: false, candidates: [], message: null };
+        }
+
+        // Build the pattern around the separators actually used in the data
+        const sep = matched[2];
+        const year = matched[4].length === 4 ? 'yyyy' : 'yy';
+        let time = '';
+        if (matched[6] !== undefined) {
+            const hourToken = matched[10] ? 'h' : 'HH';
+            time = `${matched[5].includes('T') ? 'T' : ' '}${hourToken}:mm`;
+            if (matched[8] !== undefined) time += ':ss';
+            if (matched[9] !== undefined) time += '.SSS';
+            if (matched[10]) time += ' a';
+        }
+        const monthFirst = `MM${sep}dd${sep}${year}${time}`;
+        const dayFirst = `dd${sep}MM${sep}${year}${time}`;
+
+        if (maxFirst > 12 && maxSecond <= 12) {
+            return { format: dayFirst, ambiguous: false, candidates: [dayFirst], message: null };
+        }
+        if (maxSecond > 12 && maxFirst <= 12) {
+            return { format: monthFirst, ambiguous: false, candidates: [monthFirst], message: null };
+        }
+        if (maxFirst <= 12 && maxSecond <= 12) {
+            return {
+                format: null,
+                ambiguous: true,
+                candidates: [monthFirst, dayFirst],
+                message: `Dates like "${matched[0].trim()}" could be month-first or day-first. ` +
+                    `They are read as month-first unless you set a format.`
+            };
+        }
+        return {
+            format: null,
+            ambiguous: false,
+            candidates: [],
+            message: 'Timestamps do not fit a consistent day/month order. Please set a format.'
+        };
+    },
+
+    /**
+     * Read wall-clock fields from a timestamp using common layouts
+     * ISO-style year-first text, month-first numeric dates, then the browser's own parser
+     * @param {string} str - Timestamp text
+     * @returns {Object|null}
+     */
+    _autoFields(str) {
+        const iso = str.match(/^\s*(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?\s*$/);
+        if (iso) {
+            return {
+                year: parseInt(iso[1]), month: parseInt(iso[2]), day: parseInt(iso[3]),
+                hour: parseInt(iso[4] || '0'), minute: parseInt(iso[5] || '0'), second: parseInt(iso[6] || '0'),
+                millisecond: iso[7] ? Math.round(parseFloat('0.' + iso[7]) * 1000) : 0
+            };
+        }
+
+        const native = new Date(str);
+        if (isNaN(native.getTime())) return null;
+        return this.fieldsFromLocalDate(native);
+    },
+
+    /**
+     * Create a timestamp parser for a data source
+     * @param {Object} options
+     * @param {string} [options.format] - Explicit format pattern; auto-detect when empty
+     * @param {string} [options.timezone] - Timezone the source timestamps were recorded in
+     * @returns {function(*): number} - Returns epoch milliseconds, or NaN when unparseable
+     */
+    createParser(options = {}) {
+        const format = (options.format || '').trim();
+        const zone = this.parseTimezone(options.timezone);
+        const absolute = /(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+        return (value) => {
+            if (value == null || value === '') return NaN;
+
+            // Dates built by the browser carry their wall-clock time in local fields
+            if (value instanceof Date) {
+                if (isNaN(value.getTime())) return NaN;
+                if (zone.type === 'local') return value.getTime();
+                return this.wallClockToEpoch(this.fieldsFromLocalDate(value), zone);
+            }
+
+            if (typeof value === 'number') {
+                return value;
+            }
+
+            const str = String(value).trim();
+            let fields;
+            if (format) {
+                fields = this.parseWithFormat(str, format);
+            } else {
+                // Text that carries its own offset is already an absolute instant
+                if (absolute.test(str) && /\d{2}:\d{2}/.test(str)) {
+                    const ms = Date.parse(str);
+                    if (!isNaN(ms)) return ms;
+                }
+                fields = this._autoFields(str);
+            }
+
+            return fields ? this.wallClockToEpoch(fields, zone) : NaN;
+        };
+    },
+
+    /**
+     * Parse a time offset such as "-90s", "+2min", "1.5h" or "-1D"
+     * A plain number is minutes, as for the maximum gap setting
+     * @param {string} text - Setting text; blank means no offset
+     * @returns {number} - Milliseconds, NaN when invalid
+     */
+    parseTimeOffset(text) {
+        const trimmed = String(text ?? '').trim();
+        if (trimmed === '') return 0;
+        const match = trimmed.match(/^([-+]?)\s*(\d+(?:\.\d+)?)\s*(s|min|h|D)?$/);
+        if (!match) return NaN;
+        const ms = parseFloat(match[2]) * this.OFFSET_UNITS[match[3] || 'min'];
+        return match[1] === '-' ? -ms : ms;
+    },
+
+    /**
+     * Write a time offset in the largest unit that keeps it whole, e.g. -90000 -> "-90s", 7200000 -> "+2h"
+     * @param {number} ms
+     * @returns {string}
+     */
+    formatTimeOffset(ms) {
+        const sign = ms < 0 ? '-' : '+';
+        const abs = Math.abs(ms);
+        const unit = ['D', 'h', 'min'].find(u => abs >= this.OFFSET_UNITS[u] && abs % this.OFFSET_UNITS[u] === 0) || 's';
+        return `${sign}${Number((abs / this.OFFSET_UNITS[unit]).toPrecision(6))}${unit}`;
+    },
+
+    /**
+     * Create the timestamp parser for a file or stack from its settings
+     * The source's time offset (for a logger whose clock is off) is added to every timestamp
+     * @param {Object} info - File or stack info with timestampFormat / timestampDetection / sourceTimezone / sourceOffset
+     * @returns {function(*): number}
+     */
+    parserForSource(info) {
+        const parse = this.createParser({
+            format: info?.timestampFormat || info?.timestampDetection?.format || '',
+            timezone: info?.sourceTimezone || 'local'
+        });
+        const offsetMs = this.parseTimeOffset(info?.sourceOffset);
+        return offsetMs ? value => parse(value) + offsetMs : parse;
+    },
+
+    /**
+     * Sort rows by parsed timestamp without reparsing on every comparison
+     * @param {Array} rows - Data rows
+     * @param {string} dateTimeCol - DateTime column name
+     * @param {function(*): number} parseTime - Timestamp parser
+     * @returns {Array} - New sorted array
+     */
+    sortRowsByTime(rows, dateTimeCol, parseTime) {
+        return rows
+            .map(row => ({ row, time: parseTime(row[dateTimeCol]) }))
+            .sort((a, b) => {
+                // Unparseable timestamps sink to the end
+                if (isNaN(a.time)) return isNaN(b.time) ? 0 : 1;
+                if (isNaN(b.time)) return -1;
+                return a.time - b.time;
+            })
+            .map(entry => entry.row);
+    }
+};
+
+// Export for use in other modules (self is window on the page, the global scope in the worker)
+self.TimeUtils = TimeUtils;
@@ -0,0 +1,223 @@
+/**
+ * Units Module
+ * A catalogue of units by quantity and the linear conversions between them, so the same quantity
+ * logged by different vendors (°F and °C, psi and kPa, gpm and m³/h) can be merged in one unit
+ */
+
+const Units = {
+    // Quantity -> unit -> [factor, offset] to the quantity's base unit: base = value * factor + offset
+    CATALOGUE: {
+        temperature: {
+            'K': [1, 0],
+            '°C': [1, 273.15],
+            '°F': [5 / 9, 459.67 * 5 / 9],
+            '°R': [5 / 9, 0]
+        },
+        pressure: {
+            'Pa': [1, 0],
+            'hPa': [100, 0],
+            'kPa': [1000, 0],
+            'MPa': [1e6, 0],
+            'mbar': [100, 0],
+            'bar': [1e5, 0],
+            'psi': [6894.757293168, 0],
+            'atm': [101325, 0],
+            'mmHg': [133.322387415, 0],
+            'inHg': [3386.389, 0],
+            'inH2O': [249.08891, 0],
+            'mH2O': [9806.65, 0]
+        },
+        // Absolute and gauge pressure differ by the atmosphere, which the data does not record,
+        // so each is a quantity of its own and neither converts to the other or to plain pressure
+        'absolute pressure': {
+            'kPaa': [1000, 0],
+            'bara': [1e5, 0],
+            'psia': [6894.757293168, 0]
+        },
+        'gauge pressure': {
+            'kPag': [1000, 0],
+            'barg': [1e5, 0],
+            'psig': [6894.757293168, 0]
+        },
+        flow: {
+            'm³/s': [1, 0],
+            'm³/h': [1 / 3600, 0],
+            'm³/d': [1 / 86400, 0],
+            'l/s': [1e-3, 0],
+            'l/min': [1e-3 / 60, 0],
+            'l/h': [1e-3 / 3600, 0],
+            'gpm': [0.003785411784 / 60, 0],
+            'MGD': [3785.411784 / 86400, 0],
+            'cfm': [0.028316846592 / 60, 0],
+            'ft³/s': [0.028316846592, 0]
+        },
+        energy: {
+            'J': [1, 0],
+            'kJ': [1e3, 0],
+            'MJ': [1e6, 0],
+            'GJ': [1e9, 0],
+            'Wh': [3600, 0],
+            'kWh': [3.6e6, 0],
+            'MWh': [3.6e9, 0],
+            'BTU': [1055.05585262, 0],
+            'MMBtu': [1.05505585262e9, 0],
+            'therm': [1.05505585262e8, 0],
+            'kcal': [4184, 0]
+        },
+        power: {
+            'W': [1, 0],
+            'kW': [1e3, 0],
+            'MW': [1e6, 0],
+            'hp': [745.6998715822702, 0],
+            'BTU/h': [0.29307107017, 0],
+            'TR': [3516.8528420667, 0]
+        },
+        mass: {
+            'g': [1e-3, 0],
+            'kg': [1, 0],
+            't': [1000, 0],
+            'lb': [0.45359237, 0],
+            'oz': [0.028349523125, 0],
+            'short ton': [907.18474, 0]
+        },
+        length: {
+            'mm': [1e-3, 0],
+            'cm': [1e-2, 0],
+            'm': [1, 0],
+            'km': [1e3, 0],
+            'in': [0.0254, 0],
+            'ft': [0.3048, 0],
+            'yd': [0.9144, 0],
+            'mi': [1609.344, 0]
+        }
+    },
+
+    // Other ways the catalogue units are written in file headers (compared in lower case)
+    ALIASES: {
+        'degc': '°C', 'deg c': '°C', 'c': '°C', 'ºc': '°C', '℃': '°C', 'celsius': '°C',
+        'degf': '°F', 'deg f': '°F', 'f': '°F', 'ºf': '°F', '℉': '°F', 'fahrenheit': '°F',
+        'kelvin': 'K', 'degr': '°R',
+        'psi(a)': 'psia', 'psi a': 'psia', 'psi(g)': 'psig', 'psi g': 'psig', 'bar(a)': 'bara', 'bar(g)': 'barg',
+        'kpa(a)': 'kPaa', 'kpa(g)': 'kPag', 'lbf/in2': 'psi', 'mm hg': 'mmHg', 'in hg': 'inHg', 'inwc': 'inH2O', 'in wc': 'inH2O',
+        'm3/s': 'm³/s', 'm3/h': 'm³/h', 'm3/hr': 'm³/h', 'cmh': 'm³/h', 'm3/d': 'm³/d', 'm3/day': 'm³/d',
+        'lps': 'l/s', 'lpm': 'l/min', 'l/m': 'l/min', 'lph': 'l/h', 'usgpm': 'gpm', 'gal/min': 'gpm',
+        'mgd': 'MGD', 'ft3/min': 'cfm', 'scfm': 'cfm', 'ft3/s': 'ft³/s', 'cfs': 'ft³/s',
+        'btu': 'BTU', 'mmbtu': 'MMBtu', 'btu/hr': 'BTU/h', 'btuh': 'BTU/h', 'ton': 'TR', 'tons': 'TR',
+        'lbs': 'lb', 'tonne': 't', 'inch': 'in', 'feet': 'ft', 'foot': 'ft'
+    },
+
+    /**
+     * Read user-defined units, one per line: "<unit> = <factor> <unit> [+ <offset>]"
+     * e.g. "kgal = 1000 gal" or "klb/h = 0.126 kg/s". A unit defined in terms of a catalogue unit
+     * joins that quantity; otherwise both units form a quantity of their own
+     * @param {string} text
+     * @returns {Array<{unit: string, factor: number, of: string, offset: number}>}
+     */
+    parseCustom(text) {
+        const definitions = [];
+        String(text || '').split(/\r?\n/).forEach((line, i) => {
+            line = line.replace(/#.*$/, '').trim();
+            if (!line) return;
+            const match = line.match(/^(.+?)\s*=\s*([-+]?[\d.]+(?:e[-+]?\d+)?)\s*\*?\s*(.+?)(?:\s*([-+])\s*([\d.]+(?:e[-+]?\d+)?))?$/i);
+            if (!match || isNaN(parseFloat(match[2])) || parseFloat(match[2]) === 0) {
+                throw new Error(`Custom unit line ${i + 1} "${line}" not understood; write e.g. "kgal = 1000 gal"`);
+            }
+            const offset = match[5] ? parseFloat(match[5]) * (match[4] === '-' ? -1 : 1) : 0;
+            definitions.push({ unit: match[1].trim(), factor: parseFloat(match[2]), of: match[3].trim(), offset });
+        });
+        return definitions;
+    },
+
+    /**
+     * Find a unit in the catalogue, then among the custom units
+     * @param {string} unit
+     * @param {Array<Object>} [custom] - From parseCustom
+     * @returns {{quantity: string, unit: string, factor: number, offset: number}|null} - factor/offset to the base unit
+     */
+    lookup(unit, custom = []) {
+        const text = String(unit || '').trim();
+        if (!text) return null;
+        const canonical = this._canonical(text);
+        for (const [quantity, units] of Object.entries(this.CATALOGUE)) {
+            if (units[canonical]) {
+                const [factor, offset] = units[canonical];
+                return { quantity, unit: canonical, factor, offset };
+            }
+        }
+
+        for (const definition of custom) {
+            if (definition.unit === text) {
+                // x unit = factor * x of + offset
+                const base = this.lookup(definition.of, custom.filter(d => d !== definition));
+                if (base) {
+                    return {
+                        quantity: base.quantity,
+                        unit: text,
+                        factor: definition.factor * base.factor,
+                        offset: definition.offset * base.factor + base.offset
+                    };
+                }
+                return { quantity: `custom:${definition.of}`, unit: text, factor: definition.factor, offset: definition.offset };
+            }
+            if (definition.of === text) {
+                return { quantity: `custom:${definition.of}`, unit: text, factor: 1, offset: 0 };
+            }
+        }
+        return null;
+    },
+
+    _canonical(text) {
+        for (const units of Object.values(this.CATALOGUE)) {
+            if (units[text]) return text;
+        }
+        const lower = text.toLowerCase().replace(/\s+/g, ' ');
+        if (this.ALIASES[lower]) return this.ALIASES[lower];
+        for (const units of Object.values(this.CATALOGUE)) {
+            const found = Object.keys(units).find(u => u.toLowerCase() === lower);
+            if (found) return found;
+        }
+        return text;
+    },
+
+    /**
+     * Make a function converting values from one unit to another
+     * @param {string} from - Source unit
+     * @param {string} to - Output unit
+     * @param {Array<Object>} [custom] - From parseCustom
+     * @returns {function(number): number}
+     */
+    converter(from, to, custom = []) {
+        const source = this.lookup(from, custom);
+        const target = this.lookup(to, custom);
+        if (!source) throw new Error(`Unknown unit "${from}"`);
+        if (!target) throw new Error(`Unknown unit "${to}"`);
+        if (source.quantity !== target.quantity) {
+            throw new Error(`Cannot convert ${source.quantity.replace('custom:', '')} (${from}) to ${target.quantity.replace('custom:', '')} (${to})`);
+        }
+
+        // Rounded so 32 °F gives 0 °C rather than 7e-15
+        const factor = source.factor / target.factor;
+        const offset = (source.offset - target.offset) / target.factor;
+        if (offset === 0) return value => Number((value * factor).toPrecision(15));
+        return value => Math.round((value * factor + offset) * 1e10) / 1e10;
+    },
+
+    /**
+     * Units that a unit converts to, for suggestion lists (the whole catalogue when unknown)
+     * @param {string} [unit]
+     * @param {Array<Object>} [custom] - From parseCustom
+     * @returns {Array<string>}
+     */
+    compatible(unit, custom = []) {
+        const found = this.lookup(unit, custom);
+        const all = [
+            ...Object.entries(this.CATALOGUE).flatMap(([quantity, units]) => Object.keys(units).map(u => ({ quantity, unit: u }))),
+            ...custom.flatMap(d => [d.unit, d.of]).map(u => ({ quantity: this.lookup(u, custom)?.quantity, unit: u }))
+        ];
+        const units = all.filter(entry => !found || entry.quantity === found.quantity).map(entry => entry.unit);
+        return [...new Set(units)];
+    }
+};
+
+// Export for use in other modules (self is window on the page, the global scope in the worker)
+self.Units = Units;
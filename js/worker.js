@@ -0,0 +1,40 @@
+/**
+ * Processing Worker
+ * Runs ProcessingTasks off the main thread so the page stays responsive and work can be cancelled.
+ *
+ * Messages in:  { id, type, payload }
+ * Messages out: { type: 'ready' } once loaded, then per job
+ *               { id, type: 'progress', percent, message }
+ *               { id, type: 'result', result } or { id, type: 'error', message }
+ */
+
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.4.1/papaparse.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js',
+    'timeUtils.js',
+    'units.js',
+    'formulas.js',
+    'fileHandlers.js',
+    'dataProcessing.js',
+    'processingTasks.js'
+);
+
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data;
+    const onProgress = (percent, message) => {
+        self.postMessage({ id, type: 'progress', percent, message });
+    };
+
+    try {
+        if (typeof ProcessingTasks[type] !== 'function') {
+            throw new Error(`Unknown processing task: ${type}`);
+        }
+        const result = await ProcessingTasks[type](payload, onProgress);
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        console.error(`Worker task ${type} failed:`, error);
+        self.postMessage({ id, type: 'error', message: error.message || String(error) });
+    }
+};
+
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,151 @@
+/**
+ * Worker Client Module
+ * Sends ProcessingTasks to the processing worker, streams progress back and supports cancellation.
+ * Falls back to running tasks on the page when a worker cannot be started (e.g. opened via file://).
+ */
+
+const WorkerClient = {
+    worker: null,
+    workerReady: false,
+    workerFailed: false,
+    jobs: new Map(),    // id -> { id, type, payload, onProgress, resolve, reject, cancelled }
+    nextId: 1,
+
+    /**
+     * Run a processing task
+     * @param {string} type - ProcessingTasks method name
+     * @param {Object} payload - Structured-cloneable task input
+     * @param {function(number, string)} [onProgress] - Progress callback (percent, message)
+     * @returns {Promise<*>} - Task result; rejects with a cancelled error after cancel()
+     */
+    run(type, payload, onProgress = () => {}) {
+        return new Promise((resolve, reject) => {
+            const job = { id: this.nextId++, type, payload, onProgress, resolve, reject, cancelled: false };
+            this.jobs.set(job.id, job);
+
+            const worker = this._getWorker();
+            if (worker) {
+                worker.postMessage({ id: job.id, type, payload });
+            } else {
+                this._runOnPage(job);
+            }
+        });
+    },
+
+    /**
+     * Cancel all running tasks
+     * A worker can only be stopped mid-task by terminating it; a fresh one starts on the next run
+     */
+    cancel() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+            this.workerReady = false;
+        }
+
+        for (const job of this.jobs.values()) {
+            job.cancelled = true;
+            job.reject(this._cancelledError());
+        }
+        this.jobs.clear();
+    },
+
+    /**
+     * Check whether an error came from cancel()
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    isCancelled(error) {
+        return Boolean(error && error.cancelled);
+    },
+
+    _cancelledError() {
+        const error = new Error('Cancelled by user');
+        error.cancelled = true;
+        return error;
+    },
+
+    _getWorker() {
+        if (this.workerFailed || typeof Worker === 'undefined') return null;
+        if (this.worker) return this.worker;
+
+        try {
+            this.worker = new Worker('js/worker.js');
+        } catch (error) {
+            console.warn('Processing worker unavailable, running on the page instead:', error);
+            this.workerFailed = true;
+            return null;
+        }
+
+        this.worker.onmessage = (event) => this._handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            if (!this.workerReady) {
+                // The worker never loaded (blocked script or file:// page) - rerun its jobs on the page
+                console.warn('Processing worker failed to load, running on the page instead:', event.message);
+                this.workerFailed = true;
+                this.worker = null;
+                for (const job of this.jobs.values()) {
+                    this._runOnPage(job);
+                }
+                return;
+            }
+            for (const job of this.jobs.values()) {
+                job.reject(new Error(event.message || 'Processing worker crashed'));
+            }
+            this.jobs.clear();
+            this.worker.terminate();
+            this.worker = null;
+            this.workerReady = false;
+        };
+
+        return this.worker;
+    },
+
+    _handleMessage(message) {
+        if (message.type === 'ready') {
+            this.workerReady = true;
+            return;
+        }
+
+        const job = this.jobs.get(message.id);
+        if (!job) return;
+
+        if (message.type === 'progress') {
+            job.onProgress(message.percent, message.message);
+        } else if (message.type === 'result') {
+            this.jobs.delete(job.id);
+            job.resolve(message.result);
+        } else if (message.type === 'error') {
+            this.jobs.delete(job.id);
+            job.reject(new Error(message.message));
+        }
+    },
+
+    /**
+     * Main-thread fallback. Cancellation only takes effect between progress updates,
+     * since the page cannot handle the Cancel click while a task holds the thread.
+     */
+    async _runOnPage(job) {
+        // Let the loader paint before blocking the thread
+        await new Promise(resolve => setTimeout(resolve, 30));
+        if (job.cancelled) return;
+
+        try {
+            const result = await ProcessingTasks[job.type](job.payload, (percent, message) => {
+                if (job.cancelled) throw this._cancelledError();
+                job.onProgress(percent, message);
+            });
+            if (job.cancelled) return;
+            this.jobs.delete(job.id);
+            job.resolve(result);
+        } catch (error) {
+            if (job.cancelled) return;
+            this.jobs.delete(job.id);
+            job.reject(error);
+        }
+    }
+};
+
+// Export for use in other modules
+window.WorkerClient = WorkerClient;